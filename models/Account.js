@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// One account per email address, whatever the role. The role-specific
+// profile (Patient, Doctor or Admin) points back here through `account`.
+const accountSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    // Absent for accounts that only sign in through an OAuth provider.
+    password: { type: String },
+    role: {
+        type: String,
+        enum: ['patient', 'doctor', 'admin'],
+        required: true
+    },
+    isVerified: { type: Boolean, default: false },
+    verificationToken: String,
+    resetPasswordToken: String,
+    resetPasswordExpires: Date,
+    // Emailed one-time login code; only a bcrypt hash is stored.
+    loginCode: {
+        hash: String,
+        expiresAt: Date,
+        attempts: { type: Number, default: 0 },
+        sentAt: Date
+    },
+    oauthProviders: [{
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: String,
+        linkedAt: { type: Date, default: Date.now }
+    }],
+    // Set by scripts/migrate-google-passwords.js on accounts the old Google
+    // sign-in created without storing a link. The next sign-in with that
+    // provider, for the same verified email, links it.
+    pendingOAuthLink: String,
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        // Set by an admin to make the user enroll at their next login.
+        required: { type: Boolean, default: false },
+        secret: String,
+        // Secret shown during enrollment, until the first code confirms it.
+        pendingSecret: String,
+        // SHA-256 hashes of unused recovery codes.
+        recoveryCodes: [String],
+        // Last accepted TOTP time step, so a code can't be replayed.
+        lastUsedStep: Number,
+        enabledAt: Date
+    },
+    trustedDevices: [{
+        tokenHash: { type: String, required: true },
+        userAgent: String,
+        createdAt: { type: Date, default: Date.now },
+        expiresAt: { type: Date, required: true }
+    }],
+    // Failed password logins; see utils/accountLockout.js.
+    lockout: {
+        failedAttempts: { type: Number, default: 0 },
+        // Number of locks since the last successful login; each one lasts
+        // twice as long as the one before.
+        lockCount: { type: Number, default: 0 },
+        lockedUntil: Date,
+        // SHA-256 of the token in the emailed unlock link.
+        unlockTokenHash: String,
+        lastFailedAt: Date
+    },
+    // Bumped to invalidate every API access token issued so far.
+    tokenVersion: { type: Number, default: 0 },
+    lastLoginAt: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+accountSchema.index({ verificationToken: 1 }, { sparse: true });
+accountSchema.index({ resetPasswordToken: 1 }, { sparse: true });
+accountSchema.index({ 'lockout.unlockTokenHash': 1 }, { sparse: true });
+accountSchema.index({ 'lockout.lockedUntil': 1 }, { sparse: true });
+accountSchema.index({ 'oauthProviders.provider': 1, 'oauthProviders.subject': 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ADMIN_ROLES } = require('../utils/adminRoles');
 
 const adminSchema = new mongoose.Schema({
   name: {
@@ -10,15 +11,34 @@ const adminSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
-  password: {
-    type: String,
-    required: true,
-  },
+  account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', unique: true, sparse: true },
   role: {
     type: String,
     default: 'admin',
   },
-  isVerified: { type: Boolean, default: false }
+  // What the admin may do; see utils/adminRoles.js. Admins created before
+  // roles existed had full access, so they default to super-admin.
+  adminRole: {
+    type: String,
+    enum: ADMIN_ROLES,
+    default: 'super-admin'
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'deactivated'],
+    default: 'active'
+  },
+  // Pending invitation; only a SHA-256 hash of the emailed token is stored.
+  invite: {
+    tokenHash: String,
+    expiresAt: Date,
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  },
+  deactivatedAt: Date,
+  deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  locale: { type: String, default: 'en' }
 });
 
+adminSchema.index({ 'invite.tokenHash': 1 }, { sparse: true });
+
 module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Who did what to which record: admin decisions, booking status changes,
+// prescriptions and profile edits. Written through utils/audit.js.
+//
+// The log is append-only: the hooks below refuse every update and delete
+// made through Mongoose. Grant the application's database user insert and
+// find only on this collection to enforce the same outside the app.
+const auditLogSchema = new mongoose.Schema({
+    // Absent for changes the app makes by itself (actorRole 'system').
+    actor: { type: mongoose.Schema.Types.ObjectId },
+    actorRole: { type: String, enum: ['patient', 'doctor', 'admin', 'system'], required: true },
+    // Kept as it was at the time, since the actor's email may change later.
+    actorEmail: { type: String },
+    action: { type: String, required: true },
+    target: {
+        type: { type: String, required: true },
+        id: { type: mongoose.Schema.Types.ObjectId },
+        label: { type: String }
+    },
+    // Only the fields that changed, with their values before and after.
+    changes: {
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed }
+    },
+    reason: { type: String },
+    ip: { type: String },
+    // 'web' for the site, 'api' for requests made with an API token.
+    via: { type: String, enum: ['web', 'api', 'system'], required: true },
+    createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.id': 1, createdAt: -1 });
+
+function refuseChange() {
+    throw new Error('Audit log entries cannot be changed or deleted');
+}
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) {
+        refuseChange();
+    }
+});
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, refuseChange);
+auditLogSchema.pre(['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete'], refuseChange);
+auditLogSchema.pre('bulkWrite', refuseChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
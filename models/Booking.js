@@ -12,9 +12,26 @@ const bookingSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['waiting', 'accepted', 'rejected', 'completed'],
+        enum: ['waiting', 'accepted', 'rejected', 'completed', 'cancelled', 'no-show'],
         default: 'waiting'
     },
+    statusHistory: [{
+        from: { type: String },
+        to: { type: String, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId },
+        actorRole: { type: String, enum: ['patient', 'doctor', 'admin', 'system'], required: true },
+        reason: { type: String },
+        at: { type: Date, default: Date.now }
+    }],
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String },
+    rescheduleHistory: [{
+        fromDate: { type: Date, required: true },
+        fromTime: { type: String, required: true },
+        toDate: { type: Date, required: true },
+        toTime: { type: String, required: true },
+        rescheduledAt: { type: Date, default: Date.now }
+    }],
     meetingLink: { type: String },
     hospital: {
         name: { type: String },
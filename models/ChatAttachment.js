@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const chatAttachmentSchema = new Schema({
+    chatId: { type: Schema.Types.ObjectId, ref: 'Chat', required: true },
+    uploaderId: { type: Schema.Types.ObjectId, required: true },
+    fileName: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true },
+    data: { type: Buffer, required: true },
+    thumbnail: {
+        data: Buffer,
+        contentType: String
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const ChatAttachment = mongoose.model('ChatAttachment', chatAttachmentSchema);
+
+module.exports = ChatAttachment;
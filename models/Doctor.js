@@ -8,14 +8,29 @@ const reviewSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+const availabilityTemplateSchema = new mongoose.Schema({
+  hospital: { type: String, required: true },
+  weeklyRules: [{
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true },
+    startTime: { type: String, required: true },
+    endTime: { type: String, required: true }
+  }],
+  slotDuration: { type: Number, min: 5, default: 30 },
+  horizonDays: { type: Number, min: 1, max: 180, default: 28 },
+  exceptions: [{
+    date: { type: Date, required: true },
+    reason: String
+  }],
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
 const doctorSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
+  account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', unique: true, sparse: true },
   role: { type: String, enum: ['doctor'], default: 'doctor' },
   phoneNumber: String,
-  verificationToken: String,
-  isVerified: { type: Boolean, default: false },
   title: String,
   aboutMe: { type: String },
   speciality: { type: [String], required: true },
@@ -38,6 +53,11 @@ const doctorSchema = new mongoose.Schema({
   }],
   insurances: [String],
   consultation: { type: String, enum: ['In-person', 'Video call', 'Both'], default: 'In-person' },
+  // Personal video meeting room used by the `static` meeting-link provider.
+  meetingLink: String,
+  // IANA zone of the doctor's slot times, e.g. "Europe/Madrid"; unset means
+  // CLINIC_TIME_ZONE (see utils/bookingTime.js).
+  timeZone: String,
   awards: [String],
   faqs: [String],
   website: String,
@@ -57,6 +77,7 @@ const doctorSchema = new mongoose.Schema({
     startTime: { type: String, required: true },
     endTime: { type: String, required: true },
     status: { type: String, enum: ['free', 'booked'], default: 'free' },
+    template: { type: mongoose.Schema.Types.ObjectId },
     hospital: { type: String, required: true },
     hospitalLocation: {
       street: { type: String, required: true },
@@ -66,6 +87,7 @@ const doctorSchema = new mongoose.Schema({
       zip: { type: String, required: true }
     }
   }],
+  availabilityTemplates: [availabilityTemplateSchema],
   rating: { type: Number, default: 5 },
   consultationsCompleted: { type: Number, default: 0 },
   profileViews: { type: Number, default: 0 },
@@ -79,8 +101,8 @@ const doctorSchema = new mongoose.Schema({
     businessProof: { data: Buffer, contentType: String }
   },
   subscriptionVerification: { type: String, enum: ['Pending', 'Verified', 'Rejected'], default: 'Pending' },
-  resetPasswordToken: String,
-  resetPasswordExpires: Date,
+  reminderOptOut: { type: Boolean, default: false },
+  locale: { type: String, default: 'en' },
 });
 
 module.exports = mongoose.model('Doctor', doctorSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const emailOutboxSchema = new mongoose.Schema({
+    template: { type: String, required: true },
+    to: { type: String, required: true },
+    locale: { type: String },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'dead'],
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    sentAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Index of the logged-in sessions in the `sessions` collection (owned by
+// connect-mongo), so a user's sessions can be listed and ended without
+// scanning the store.
+const loginSessionSchema = new mongoose.Schema({
+    sessionId: { type: String, required: true, unique: true },
+    account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', required: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+    // Matches the session cookie's expiry and moves with it.
+    expiresAt: { type: Date, required: true }
+});
+
+loginSessionSchema.index({ account: 1, lastSeenAt: -1 });
+loginSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginSession', loginSessionSchema);
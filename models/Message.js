@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const messageSchema = new Schema({
+    chatId: { type: Schema.Types.ObjectId, ref: 'Chat', required: true },
+    senderId: { type: Schema.Types.ObjectId, required: true },
+    text: { type: String, required: function () { return !this.attachment; } },
+    attachment: { type: Schema.Types.ObjectId, ref: 'ChatAttachment' },
+    timestamp: { type: Date, default: Date.now },
+    read: { type: Boolean, default: false }
+});
+
+// Pages are read newest-first by _id; unread counts filter on read/senderId.
+messageSchema.index({ chatId: 1, _id: -1 });
+messageSchema.index({ chatId: 1, read: 1, senderId: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
@@ -17,10 +17,7 @@ const patientSchema = new mongoose.Schema({
         required: true,
         unique: true,
     },
-    password: {
-        type: String,
-        required: true,
-    },
+    account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', unique: true, sparse: true },
     role: {
         type: String,
         enum: ['patient'],
@@ -30,8 +27,6 @@ const patientSchema = new mongoose.Schema({
         type:String
     },
     dateOfBirth: Date,
-    verificationToken: String,
-    isVerified: { type: Boolean, default: false },
     bloodGroup: String,
     address: String,
     insuranceProvider: String,
@@ -45,8 +40,8 @@ const patientSchema = new mongoose.Schema({
     favoriteDoctors: [{
       type: mongoose.Schema.Types.ObjectId,
     }],
-    resetPasswordToken: String,
-    resetPasswordExpires: Date,
+    reminderOptOut: { type: Boolean, default: false },
+    locale: { type: String, default: 'en' },
 });
 
 module.exports = mongoose.model('Patient', patientSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// One fixed-window counter per key, e.g. "login-ip:203.0.113.7". MongoDB
+// removes the document once its window has passed.
+const rateLimitSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One row per issued refresh token. Rotating a token revokes it and issues a
+// successor in the same family; presenting a revoked token again means it
+// leaked, so the whole family is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+    account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', required: true },
+    // SHA-256 of the token; the token itself is only ever sent to the client.
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true },
+    userAgent: { type: String },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+refreshTokenSchema.index({ account: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
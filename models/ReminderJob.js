@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const reminderJobSchema = new mongoose.Schema({
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+    kind: { type: String, enum: ['24h', '1h'], required: true },
+    appointmentAt: { type: Date, required: true },
+    runAt: { type: Date, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'skipped', 'failed'],
+        default: 'pending'
+    },
+    channelsDone: [{ type: String }],
+    attempts: { type: Number, default: 0 },
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    sentAt: { type: Date }
+});
+
+// One reminder of each kind per appointment time, so restarts and repeated
+// scheduling never create a second job for a reminder already sent.
+reminderJobSchema.index({ booking: 1, kind: 1, appointmentAt: 1 }, { unique: true });
+reminderJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('ReminderJob', reminderJobSchema);
@@ -0,0 +1,177 @@
+(function () {
+    var container = document.getElementById('chatBox');
+    var form = document.getElementById('messageForm');
+    var input = form.querySelector('input[name="message"]');
+    var fileInput = form.querySelector('input[name="attachment"]');
+    var typingIndicator = document.getElementById('typingIndicator');
+    var chatId = container.dataset.chatId;
+    var userId = container.dataset.userId;
+    var loadOlderButton = document.getElementById('loadOlder');
+    var typingTimeout = null;
+
+    function scrollToBottom() {
+        container.scrollTop = container.scrollHeight;
+    }
+
+    function buildMessage(message) {
+        var sent = message.senderId === userId;
+        var wrapper = document.createElement('div');
+        wrapper.className = 'message-container';
+
+        var bubble = document.createElement('div');
+        bubble.className = 'message' + (sent ? ' sent-message' : '');
+        bubble.dataset.messageId = message._id;
+        bubble.appendChild(document.createTextNode((message.text || '') + ' '));
+
+        if (message.attachment) {
+            var url = container.dataset.attachmentUrl + message.attachment._id;
+            var attachment = document.createElement('div');
+            attachment.className = 'attachment';
+            var link = document.createElement('a');
+            link.href = url;
+            if (message.attachment.contentType.indexOf('image/') === 0) {
+                var image = document.createElement('img');
+                image.src = url + '?thumbnail=1';
+                image.alt = message.attachment.fileName;
+                link.target = '_blank';
+                link.appendChild(image);
+            } else {
+                link.textContent = message.attachment.fileName;
+            }
+            attachment.appendChild(link);
+            bubble.appendChild(attachment);
+        }
+
+        var timestamp = document.createElement('span');
+        timestamp.className = 'timestamp';
+        timestamp.textContent = new Date(message.timestamp).toLocaleString();
+        bubble.appendChild(timestamp);
+
+        if (sent) {
+            var receipt = document.createElement('span');
+            receipt.className = 'read-receipt';
+            receipt.textContent = message.read ? 'Read' : 'Sent';
+            bubble.appendChild(receipt);
+        }
+
+        wrapper.appendChild(bubble);
+        return wrapper;
+    }
+
+    function renderMessage(message) {
+        container.appendChild(buildMessage(message));
+        scrollToBottom();
+    }
+
+    // Older pages are prepended while keeping the current scroll position.
+    function loadOlder() {
+        var cursor = loadOlderButton.dataset.nextCursor;
+        if (!cursor) {
+            return;
+        }
+        loadOlderButton.disabled = true;
+
+        fetch(loadOlderButton.dataset.messagesUrl + '?before=' + encodeURIComponent(cursor), { credentials: 'same-origin' })
+            .then(function (response) {
+                if (!response.ok) {
+                    throw new Error('Could not load older messages');
+                }
+                return response.json();
+            })
+            .then(function (page) {
+                var previousHeight = container.scrollHeight;
+                var fragment = document.createDocumentFragment();
+                page.messages.forEach(function (message) {
+                    fragment.appendChild(buildMessage(message));
+                });
+                container.insertBefore(fragment, container.firstChild);
+                container.scrollTop += container.scrollHeight - previousHeight;
+
+                loadOlderButton.dataset.nextCursor = page.nextCursor || '';
+                loadOlderButton.hidden = !page.nextCursor;
+            })
+            .catch(function (error) {
+                alert(error.message);
+            })
+            .then(function () {
+                loadOlderButton.disabled = false;
+            });
+    }
+
+    if (loadOlderButton) {
+        loadOlderButton.addEventListener('click', loadOlder);
+    }
+
+    scrollToBottom();
+
+    if (typeof io === 'undefined') {
+        return;
+    }
+
+    var socket = io();
+
+    socket.on('connect', function () {
+        socket.emit('chat:join', { chatId: chatId });
+    });
+
+    socket.on('chat:message', function (payload) {
+        if (payload.chatId !== chatId) {
+            return;
+        }
+        renderMessage(payload.message);
+        if (payload.message.senderId !== userId && document.visibilityState === 'visible') {
+            socket.emit('chat:read', { chatId: chatId });
+        }
+    });
+
+    socket.on('chat:typing', function (payload) {
+        if (payload.chatId === chatId) {
+            typingIndicator.style.visibility = payload.typing ? 'visible' : 'hidden';
+        }
+    });
+
+    socket.on('chat:read', function (payload) {
+        if (payload.chatId !== chatId || payload.readerId === userId) {
+            return;
+        }
+        container.querySelectorAll('.sent-message .read-receipt').forEach(function (receipt) {
+            receipt.textContent = 'Read';
+        });
+    });
+
+    document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'visible') {
+            socket.emit('chat:read', { chatId: chatId });
+        }
+    });
+
+    input.addEventListener('input', function () {
+        socket.emit('chat:typing', { chatId: chatId, typing: true });
+        clearTimeout(typingTimeout);
+        typingTimeout = setTimeout(function () {
+            socket.emit('chat:typing', { chatId: chatId, typing: false });
+        }, 2000);
+    });
+
+    // Attachments and a disconnected socket fall back to the regular form post.
+    form.addEventListener('submit', function (event) {
+        if (!socket.connected || (fileInput && fileInput.files.length > 0)) {
+            return;
+        }
+        if (!input.value.trim()) {
+            event.preventDefault();
+            return;
+        }
+        event.preventDefault();
+
+        var text = input.value;
+        socket.emit('chat:message', { chatId: chatId, text: text }, function (response) {
+            if (response && response.error) {
+                alert(response.error);
+                return;
+            }
+            input.value = '';
+            socket.emit('chat:typing', { chatId: chatId, typing: false });
+        });
+    });
+})();
@@ -0,0 +1,230 @@
+(function () {
+    var room = document.getElementById('videoRoom');
+    var bookingId = room.dataset.bookingId;
+    var isDoctor = room.dataset.role === 'doctor';
+    var iceServers = JSON.parse(room.dataset.iceServers);
+    var statusBox = document.getElementById('status');
+    var localVideo = document.getElementById('localVideo');
+    var remoteVideo = document.getElementById('remoteVideo');
+    var admitButton = document.getElementById('admitButton');
+    var muteButton = document.getElementById('muteButton');
+    var cameraButton = document.getElementById('cameraButton');
+    var leaveButton = document.getElementById('leaveButton');
+
+    var socket = io();
+    var localStream = null;
+    var peer = null;
+
+    function setStatus(text) {
+        statusBox.textContent = text;
+    }
+
+    function signal(data) {
+        socket.emit('room:signal', { bookingId: bookingId, data: data });
+    }
+
+    function closePeer() {
+        if (peer) {
+            peer.close();
+            peer = null;
+        }
+        remoteVideo.srcObject = null;
+    }
+
+    function createPeer() {
+        closePeer();
+        peer = new RTCPeerConnection({ iceServers: iceServers });
+
+        localStream.getTracks().forEach(function (track) {
+            peer.addTrack(track, localStream);
+        });
+
+        peer.onicecandidate = function (event) {
+            if (event.candidate) {
+                signal({ candidate: event.candidate });
+            }
+        };
+
+        peer.ontrack = function (event) {
+            remoteVideo.srcObject = event.streams[0];
+        };
+
+        peer.onconnectionstatechange = function () {
+            if (peer && peer.connectionState === 'connected') {
+                setStatus('Connected');
+            } else if (peer && peer.connectionState === 'failed') {
+                setStatus('The connection failed. Try leaving and joining again.');
+            }
+        };
+
+        return peer;
+    }
+
+    // The doctor always makes the offer, once the patient has been admitted.
+    function startCall() {
+        createPeer();
+        peer.createOffer()
+            .then(function (offer) {
+                return peer.setLocalDescription(offer);
+            })
+            .then(function () {
+                signal({ description: peer.localDescription });
+            })
+            .catch(function (error) {
+                setStatus('Could not start the call: ' + error.message);
+            });
+    }
+
+    function handleSignal(data) {
+        if (data.description) {
+            if (data.description.type === 'offer') {
+                createPeer();
+            }
+            if (!peer) {
+                return;
+            }
+            peer.setRemoteDescription(data.description)
+                .then(function () {
+                    if (data.description.type !== 'offer') {
+                        return null;
+                    }
+                    return peer.createAnswer()
+                        .then(function (answer) {
+                            return peer.setLocalDescription(answer);
+                        })
+                        .then(function () {
+                            signal({ description: peer.localDescription });
+                        });
+                })
+                .catch(function (error) {
+                    setStatus('Could not connect the call: ' + error.message);
+                });
+        } else if (data.candidate && peer) {
+            peer.addIceCandidate(data.candidate).catch(function () {});
+        }
+    }
+
+    function join() {
+        socket.emit('room:join', { bookingId: bookingId }, function (response) {
+            if (response.error) {
+                setStatus(response.error);
+                return;
+            }
+            if (isDoctor) {
+                setStatus(response.patientWaiting ? 'The patient is waiting to be admitted.' : 'Waiting for the patient to join.');
+                admitButton.hidden = !response.patientWaiting;
+            } else {
+                setStatus(response.doctorPresent ? 'You are in the waiting room. The doctor will admit you shortly.' : 'You are in the waiting room. Waiting for the doctor to join.');
+            }
+        });
+    }
+
+    socket.on('room:waiting', function (payload) {
+        if (payload.bookingId !== bookingId) {
+            return;
+        }
+        closePeer();
+        setStatus(payload.patientName + ' is waiting to be admitted.');
+        admitButton.hidden = false;
+    });
+
+    socket.on('room:doctor-joined', function (payload) {
+        if (payload.bookingId === bookingId) {
+            setStatus('You are in the waiting room. The doctor will admit you shortly.');
+        }
+    });
+
+    socket.on('room:admitted', function (payload) {
+        if (payload.bookingId === bookingId) {
+            setStatus('Admitted. Connecting...');
+        }
+    });
+
+    socket.on('room:signal', function (payload) {
+        if (payload.bookingId === bookingId) {
+            handleSignal(payload.data);
+        }
+    });
+
+    socket.on('room:peer-left', function (payload) {
+        if (payload.bookingId !== bookingId) {
+            return;
+        }
+        closePeer();
+        admitButton.hidden = true;
+        setStatus(isDoctor ? 'The patient left. Waiting for the patient to join.' : 'The doctor left. You are back in the waiting room.');
+    });
+
+    socket.on('room:closed', function (payload) {
+        if (payload.bookingId !== bookingId) {
+            return;
+        }
+        closePeer();
+        admitButton.hidden = true;
+        setStatus('This consultation has ended.');
+    });
+
+    socket.on('room:replaced', function () {
+        closePeer();
+        setStatus('This consultation was opened in another window.');
+        socket.disconnect();
+    });
+
+    socket.on('connect', function () {
+        if (localStream) {
+            join();
+        }
+    });
+
+    admitButton.addEventListener('click', function () {
+        socket.emit('room:admit', { bookingId: bookingId }, function (response) {
+            if (response.error) {
+                setStatus(response.error);
+                return;
+            }
+            admitButton.hidden = true;
+            setStatus('Connecting...');
+            startCall();
+        });
+    });
+
+    muteButton.addEventListener('click', function () {
+        var tracks = localStream ? localStream.getAudioTracks() : [];
+        tracks.forEach(function (track) {
+            track.enabled = !track.enabled;
+        });
+        muteButton.textContent = tracks.length && !tracks[0].enabled ? 'Unmute' : 'Mute';
+    });
+
+    cameraButton.addEventListener('click', function () {
+        var tracks = localStream ? localStream.getVideoTracks() : [];
+        tracks.forEach(function (track) {
+            track.enabled = !track.enabled;
+        });
+        cameraButton.textContent = tracks.length && !tracks[0].enabled ? 'Turn camera on' : 'Turn camera off';
+    });
+
+    leaveButton.addEventListener('click', function () {
+        socket.emit('room:leave');
+        closePeer();
+        if (localStream) {
+            localStream.getTracks().forEach(function (track) {
+                track.stop();
+            });
+        }
+        window.location.href = room.dataset.leaveUrl;
+    });
+
+    setStatus('Requesting camera and microphone...');
+    navigator.mediaDevices.getUserMedia({ video: true, audio: true })
+        .then(function (stream) {
+            localStream = stream;
+            localVideo.srcObject = stream;
+            if (socket.connected) {
+                join();
+            }
+        })
+        .catch(function (error) {
+            setStatus('Camera and microphone access is required for the consultation: ' + error.message);
+        });
+})();
@@ -1,27 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const mongoose = require('mongoose');
 const Doctor = require('../models/Doctor');
 const Admin = require('../models/Admin'); 
 const Blog = require('../models/Blog');
 const Notification = require('../models/Notification'); 
+const Account = require('../models/Account');
+const AuditLog = require('../models/AuditLog');
+const { EmailInUseError, findProfile } = require('../utils/accounts');
+const { unlockAccount } = require('../utils/accountLockout');
+const { requireRole, loadAdmin, requirePermission } = require('../utils/auth');
+const { csrfUpload } = require('../utils/csrf');
+const { ADMIN_ROLES, ROLE_LABELS, hasPermission } = require('../utils/adminRoles');
+const { sendInvite, createInvitedAdmin } = require('../utils/adminInvites');
+const { revokeOtherSessions } = require('../utils/sessions');
+const { withTransaction } = require('../utils/transactions');
+const { auditContext, snapshot, recordAudit, saveAudited, auditFilter, csvHeader, csvRow } = require('../utils/audit');
+const { TEMPLATES, SUPPORTED_LOCALES, renderEmail } = require('../utils/email');
 
 const storage = multer.memoryStorage(); 
 const upload = multer({ storage: storage });
 
-function isLoggedIn(req, res, next) {
-  if (req.session.user && req.session.user.role === 'admin') {
-    return next();
-  }
-  req.flash('error_msg', 'Please log in to view this resource');
-  res.redirect('/auth/login');
-}
-function isAdmin(req, res, next) {
-  if (req.session.user && req.session.user.role === 'admin') {
-      return next();
-  }
-  res.status(403).send('Access denied.');
-};
+// Every admin page, including the blog upload form and the admin home,
+// is for active admins only; most also need a permission of the admin's
+// role (see utils/adminRoles.js).
+router.use(requireRole('admin'), loadAdmin);
 
 router.get('/admin-home', async (req, res) => {
   try {
@@ -37,9 +41,11 @@ router.get('/admin-home', async (req, res) => {
 });
 
 
-router.get('/dashboard', isLoggedIn, async (req, res) => {
+router.get('/dashboard', async (req, res) => {
   try {
-    const doctors = await Doctor.find({ verified: { $ne: 'Verified' } }).lean();
+    const doctors = hasPermission(req.admin, 'doctors.view')
+      ? await Doctor.find({ verified: { $ne: 'Verified' } }).lean()
+      : [];
 
     res.render('adminDashboard', { doctors, success_msg: req.flash('success_msg') });
   } catch (err) {
@@ -48,7 +54,7 @@ router.get('/dashboard', isLoggedIn, async (req, res) => {
   }
 });
 
-router.get('/view/:id', isLoggedIn, async (req, res) => {
+router.get('/view/:id', requirePermission('doctors.view'), async (req, res) => {
   try {
     const doctorId = req.params.id;
     const doctor = await Doctor.findById(doctorId).lean();
@@ -57,14 +63,16 @@ router.get('/view/:id', isLoggedIn, async (req, res) => {
       return res.status(404).send('Doctor not found');
     }
 
-    res.render('adminViewDoctor', { doctor });
+    const account = await Account.findById(doctor.account).lean();
+
+    res.render('adminViewDoctor', { doctor, account });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
   }
 });
 
-router.post('/verify/:id', isLoggedIn, async (req, res) => {
+router.post('/verify/:id', requirePermission('doctors.verify'), async (req, res) => {
   try {
     const doctorId = req.params.id;
     const { verificationStatus } = req.body;
@@ -79,8 +87,13 @@ router.post('/verify/:id', isLoggedIn, async (req, res) => {
       return res.status(404).send('Doctor not found');
     }
 
+    const before = snapshot(doctor, ['verified']);
     doctor.verified = verificationStatus;
-    await doctor.save();
+    await saveAudited(auditContext(req), doctor, {
+      action: 'doctor.verify',
+      target: { type: 'Doctor', id: doctor._id, label: doctor.name },
+      before
+    });
 
     const message = `Your profile has been ${verificationStatus.toLowerCase()}.`;
     const notification = new Notification({
@@ -100,7 +113,93 @@ router.post('/verify/:id', isLoggedIn, async (req, res) => {
 });
 
 
-router.get('/subscriptions', isAdmin, async (req, res) => {
+router.post('/view/:id/two-factor', requirePermission('accounts.security'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).send('Doctor not found');
+    }
+
+    const doctor = await Doctor.findById(req.params.id);
+
+    if (!doctor) {
+      return res.status(404).send('Doctor not found');
+    }
+
+    const account = await Account.findById(doctor.account);
+    if (!account) {
+      return res.status(404).send('Account not found');
+    }
+
+    const before = snapshot(account, ['twoFactor.required']);
+    account.twoFactor.required = req.body.required === 'true';
+    await saveAudited(auditContext(req), account, {
+      action: 'account.require-two-factor',
+      target: { type: 'Account', id: account._id, label: account.email },
+      before
+    });
+
+    req.flash('success_msg', account.twoFactor.required
+      ? 'Two-factor authentication is now required for this doctor.'
+      : 'Two-factor authentication is no longer required for this doctor.');
+    res.redirect(`/admin/view/${doctor._id}`);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+
+router.get('/locked-accounts', requirePermission('accounts.security'), async (req, res) => {
+  try {
+    const accounts = await Account.find({ 'lockout.lockedUntil': { $gt: new Date() } })
+      .sort({ 'lockout.lockedUntil': -1 });
+
+    const lockedAccounts = await Promise.all(accounts.map(async account => ({
+      account,
+      profile: await findProfile(account)
+    })));
+
+    res.render('adminLockedAccounts', {
+      lockedAccounts,
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/locked-accounts/:id/unlock', requirePermission('accounts.security'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).send('Account not found');
+    }
+
+    const account = await Account.findById(req.params.id);
+
+    if (!account) {
+      return res.status(404).send('Account not found');
+    }
+
+    const before = snapshot(account, ['lockout.lockedUntil']);
+    unlockAccount(account);
+    await saveAudited(auditContext(req), account, {
+      action: 'account.unlock',
+      target: { type: 'Account', id: account._id, label: account.email },
+      before
+    });
+
+    req.flash('success_msg', `${account.email} has been unlocked.`);
+    res.redirect('/admin/locked-accounts');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+
+router.get('/subscriptions', requirePermission('subscriptions.verify'), async (req, res) => {
   try {
       const doctors = await Doctor.find({}, 'name subscriptionType subscriptionVerification documents').lean(); 
 
@@ -114,7 +213,7 @@ router.get('/subscriptions', isAdmin, async (req, res) => {
 });
 
 
-router.post('/verify-subscription/:id', isLoggedIn, async (req, res) => {
+router.post('/verify-subscription/:id', requirePermission('subscriptions.verify'), async (req, res) => {
   try {
     const doctorId = req.params.id;
     const { verificationStatus } = req.body;
@@ -129,8 +228,13 @@ router.post('/verify-subscription/:id', isLoggedIn, async (req, res) => {
       return res.status(404).send('Doctor not found');
     }
 
+    const before = snapshot(doctor, ['subscriptionVerification']);
     doctor.subscriptionVerification = verificationStatus;
-    await doctor.save();
+    await saveAudited(auditContext(req), doctor, {
+      action: 'doctor.verify-subscription',
+      target: { type: 'Doctor', id: doctor._id, label: doctor.name },
+      before
+    });
 
     const message = `Your subscription has been ${verificationStatus.toLowerCase()}.`;
     const notification = new Notification({
@@ -150,7 +254,7 @@ router.post('/verify-subscription/:id', isLoggedIn, async (req, res) => {
 });
 
 
-router.get('/blogs', isLoggedIn, async (req, res) => {
+router.get('/blogs', requirePermission('blogs.moderate'), async (req, res) => {
   try {
       const blogs = await Blog.find().lean();
       
@@ -162,7 +266,7 @@ router.get('/blogs', isLoggedIn, async (req, res) => {
 });
 
 
-router.get('/blogs/view/:id', isLoggedIn, async (req, res) => {
+router.get('/blogs/view/:id', requirePermission('blogs.moderate'), async (req, res) => {
   try {
       const blogId = req.params.id;
       const blog = await Blog.findById(blogId).lean();
@@ -179,7 +283,7 @@ router.get('/blogs/view/:id', isLoggedIn, async (req, res) => {
 });
 
 
-router.post('/blogs/verify/:id', isLoggedIn, async (req, res) => {
+router.post('/blogs/verify/:id', requirePermission('blogs.moderate'), async (req, res) => {
   try {
       const blogId = req.params.id;
       const { verificationStatus } = req.body;
@@ -194,8 +298,13 @@ router.post('/blogs/verify/:id', isLoggedIn, async (req, res) => {
           return res.status(404).send('Blog not found');
       }
 
+      const before = snapshot(blog, ['verificationStatus']);
       blog.verificationStatus = verificationStatus;
-      await blog.save();
+      await saveAudited(auditContext(req), blog, {
+          action: 'blog.verify',
+          target: { type: 'Blog', id: blog._id, label: blog.title },
+          before
+      });
 
       const notification = new Notification({
           userId: blog.authorId, 
@@ -214,7 +323,10 @@ router.post('/blogs/verify/:id', isLoggedIn, async (req, res) => {
 });
 
 
-router.post('/blogs/edit/:id', isLoggedIn, upload.single('image'), async (req, res) => {
+// The image is left out of the audit log; replacing it is noted instead.
+const BLOG_EDIT_FIELDS = ['title', 'author', 'description', 'summary', 'authorEmail', 'priority'];
+
+router.post('/blogs/edit/:id', requirePermission('blogs.moderate'), csrfUpload(upload.single('image')), async (req, res) => {
   try {
     const { title, author, description, summary, authorEmail, priority } = req.body;
     const blogId = req.params.id;
@@ -225,6 +337,7 @@ router.post('/blogs/edit/:id', isLoggedIn, upload.single('image'), async (req, r
       return res.status(404).send('Blog not found');
     }
 
+    const before = snapshot(blog, BLOG_EDIT_FIELDS);
     blog.title = title;
     blog.author = author;
     blog.description = description;
@@ -239,7 +352,12 @@ router.post('/blogs/edit/:id', isLoggedIn, upload.single('image'), async (req, r
       };
     }
 
-    await blog.save();
+    await saveAudited(auditContext(req), blog, {
+      action: 'blog.edit',
+      target: { type: 'Blog', id: blog._id, label: blog.title },
+      before,
+      reason: req.file ? 'Image replaced' : undefined
+    });
 
     req.flash('success_msg', 'Blog updated successfully');
     res.redirect('/admin/blogs');
@@ -249,12 +367,12 @@ router.post('/blogs/edit/:id', isLoggedIn, upload.single('image'), async (req, r
   }
 });
 
-router.get('/blog', (req, res) => {
+router.get('/blog', requirePermission('blogs.write'), (req, res) => {
   res.render('admin-blog-upload-form'); 
 });
 
 
-router.post('/blog-all', upload.single('image'), async (req, res) => {
+router.post('/blog-all', requirePermission('blogs.write'), csrfUpload(upload.single('image')), async (req, res) => {
   try {
       const authorEmail = req.session.user.email;
       const { title, author, description, summary, categories, hashtags, priority } = req.body;
@@ -292,7 +410,7 @@ router.post('/blog-all', upload.single('image'), async (req, res) => {
   }
 });
 
-router.get('/blogs-all/view/:id', isLoggedIn, async (req, res) => {
+router.get('/blogs-all/view/:id', async (req, res) => {
   try {
       const blogId = req.params.id;
       const blog = await Blog.findById(blogId).lean();
@@ -310,7 +428,7 @@ router.get('/blogs-all/view/:id', isLoggedIn, async (req, res) => {
 
 
 
-router.post('/blogs-all/comment/:id', isLoggedIn, async (req, res) => {
+router.post('/blogs-all/comment/:id', async (req, res) => {
   try {
       const { comment } = req.body;
       const blogId = req.params.id;
@@ -398,4 +516,309 @@ router.get('/blogs-all', async (req, res) => {
   }
 });
 
+router.get('/emails', requirePermission('emails.preview'), (req, res) => {
+  res.render('adminEmailPreviews', { templates: Object.keys(TEMPLATES), locales: SUPPORTED_LOCALES });
+});
+
+// Renders a template with sample data; ?format=text shows the plain-text part.
+router.get('/emails/:template', requirePermission('emails.preview'), async (req, res) => {
+  try {
+    const { template } = req.params;
+
+    if (!TEMPLATES[template]) {
+      return res.status(404).send('Email template not found');
+    }
+
+    const email = await renderEmail(template, req.query.locale, TEMPLATES[template]);
+
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+    res.send(email.html);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Admin accounts. Admins can't change their own role or deactivate
+// themselves, which also guarantees the super-admin doing the managing
+// stays, so there is always someone left who can manage admins.
+router.get('/admins', requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ name: 1 }).lean();
+
+    res.render('adminAdmins', {
+      admins,
+      roles: ADMIN_ROLES,
+      roleLabels: ROLE_LABELS,
+      currentAdminId: req.admin._id.toString(),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/admins/invite', requirePermission('admins.manage'), async (req, res) => {
+  const { name, email, adminRole } = req.body;
+
+  if (!name || !email || !ADMIN_ROLES.includes(adminRole)) {
+    req.flash('error_msg', 'Please enter a name, an email and a role.');
+    return res.redirect('/admin/admins');
+  }
+
+  try {
+    await withTransaction(async (session) => {
+      const admin = await createInvitedAdmin({ name, email, adminRole }, session);
+      await sendInvite(admin, req.admin, session);
+      await recordAudit(auditContext(req), {
+        action: 'admin.invite',
+        target: { type: 'Admin', id: admin._id, label: admin.email },
+        after: snapshot(admin, ['name', 'email', 'adminRole', 'status'])
+      }, session);
+    });
+
+    req.flash('success_msg', `An invitation has been sent to ${email}.`);
+    res.redirect('/admin/admins');
+  } catch (err) {
+    if (err instanceof EmailInUseError) {
+      req.flash('error_msg', 'That email already belongs to an account.');
+      return res.redirect('/admin/admins');
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Loads the admin being managed, refusing when it is the current admin.
+async function findManagedAdmin(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).send('Admin not found');
+    return null;
+  }
+
+  const admin = await Admin.findById(req.params.id);
+
+  if (!admin) {
+    res.status(404).send('Admin not found');
+    return null;
+  }
+  if (admin._id.equals(req.admin._id)) {
+    req.flash('error_msg', "You can't change your own admin account.");
+    res.redirect('/admin/admins');
+    return null;
+  }
+  return admin;
+}
+
+router.post('/admins/:id/role', requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const { adminRole } = req.body;
+
+    if (!ADMIN_ROLES.includes(adminRole)) {
+      return res.status(400).send('Invalid admin role');
+    }
+
+    const admin = await findManagedAdmin(req, res);
+    if (!admin) {
+      return;
+    }
+
+    const before = snapshot(admin, ['adminRole']);
+    admin.adminRole = adminRole;
+    await saveAudited(auditContext(req), admin, {
+      action: 'admin.change-role',
+      target: { type: 'Admin', id: admin._id, label: admin.email },
+      before
+    });
+
+    req.flash('success_msg', `${admin.name} is now a ${ROLE_LABELS[adminRole].toLowerCase()}.`);
+    res.redirect('/admin/admins');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/admins/:id/resend-invite', requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const admin = await findManagedAdmin(req, res);
+    if (!admin) {
+      return;
+    }
+
+    if (admin.status !== 'invited') {
+      req.flash('error_msg', `${admin.name} has no pending invitation.`);
+      return res.redirect('/admin/admins');
+    }
+
+    await withTransaction(async (session) => {
+      await sendInvite(admin, req.admin, session);
+      await recordAudit(auditContext(req), {
+        action: 'admin.resend-invite',
+        target: { type: 'Admin', id: admin._id, label: admin.email }
+      }, session);
+    });
+
+    req.flash('success_msg', `A new invitation has been sent to ${admin.email}.`);
+    res.redirect('/admin/admins');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Deactivated admins can't log in, and are logged out of every browser.
+// Their profile and the records they worked on are kept.
+router.post('/admins/:id/deactivate', requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const admin = await findManagedAdmin(req, res);
+    if (!admin) {
+      return;
+    }
+
+    if (admin.status === 'deactivated') {
+      req.flash('error_msg', `${admin.name} is already deactivated.`);
+      return res.redirect('/admin/admins');
+    }
+
+    const before = snapshot(admin, ['status']);
+    admin.status = 'deactivated';
+    admin.deactivatedAt = new Date();
+    admin.deactivatedBy = req.admin._id;
+    admin.invite = undefined;
+    await saveAudited(auditContext(req), admin, {
+      action: 'admin.deactivate',
+      target: { type: 'Admin', id: admin._id, label: admin.email },
+      before
+    });
+
+    if (admin.account) {
+      await revokeOtherSessions(req.sessionStore, admin.account);
+    }
+
+    req.flash('success_msg', `${admin.name} has been deactivated.`);
+    res.redirect('/admin/admins');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// An admin who never accepted their invitation gets a new one instead.
+router.post('/admins/:id/reactivate', requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const admin = await findManagedAdmin(req, res);
+    if (!admin) {
+      return;
+    }
+
+    if (admin.status !== 'deactivated') {
+      req.flash('error_msg', `${admin.name} is not deactivated.`);
+      return res.redirect('/admin/admins');
+    }
+
+    const account = await Account.findById(admin.account);
+    const before = snapshot(admin, ['status']);
+    const audit = {
+      action: 'admin.reactivate',
+      target: { type: 'Admin', id: admin._id, label: admin.email },
+      before
+    };
+
+    admin.deactivatedAt = undefined;
+    admin.deactivatedBy = undefined;
+
+    if (account && account.password) {
+      admin.status = 'active';
+      await saveAudited(auditContext(req), admin, audit);
+      req.flash('success_msg', `${admin.name} has been reactivated.`);
+    } else {
+      admin.status = 'invited';
+      await withTransaction(async (session) => {
+        await sendInvite(admin, req.admin, session);
+        await recordAudit(auditContext(req), { ...audit, after: snapshot(admin, ['status']) }, session);
+      });
+      req.flash('success_msg', `${admin.name} has been reactivated and sent a new invitation.`);
+    }
+    res.redirect('/admin/admins');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// The audit log (see models/AuditLog.js): read-only, searchable, and
+// exportable as CSV with the same filters.
+const AUDIT_PAGE_SIZE = 50;
+
+router.get('/audit-log', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const filter = auditFilter(req.query);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [entries, total, actions, targetTypes] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * AUDIT_PAGE_SIZE)
+        .limit(AUDIT_PAGE_SIZE)
+        .lean(),
+      AuditLog.countDocuments(filter),
+      AuditLog.distinct('action'),
+      AuditLog.distinct('target.type')
+    ]);
+
+    const filters = { ...req.query };
+    delete filters.page;
+
+    res.render('adminAuditLog', {
+      entries,
+      page,
+      totalPages: Math.max(Math.ceil(total / AUDIT_PAGE_SIZE), 1),
+      total,
+      filters,
+      queryString: new URLSearchParams(filters).toString(),
+      actions: actions.sort(),
+      targetTypes: targetTypes.sort(),
+      actorRoles: AuditLog.schema.path('actorRole').enumValues
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.get('/audit-log/export', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const filter = auditFilter(req.query);
+
+    // Exports copy personal data out of the app, so they are logged too.
+    await recordAudit(auditContext(req), {
+      action: 'audit.export',
+      target: { type: 'AuditLog' },
+      after: { query: new URLSearchParams(req.query).toString() }
+    });
+
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.write(csvHeader());
+
+    for await (const entry of cursor) {
+      res.write(csvRow(entry));
+    }
+    res.end();
+  } catch (err) {
+    console.error(err.message);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { ApiError } = require('../../utils/apiErrors');
+const { findAccountByEmail, findProfile } = require('../../utils/accounts');
+const { isTwoFactorRequired, verifyCode } = require('../../utils/twoFactor');
+const { API_ROLES, issueTokens, rotateRefreshToken, revokeRefreshToken } = require('../../utils/apiTokens');
+const { isLocked, recordFailedLogin, clearFailedLogins } = require('../../utils/accountLockout');
+const { rateLimit, byEmail } = require('../../utils/rateLimit');
+const { checkPassword } = require('../../utils/login');
+const { validate } = require('./middleware');
+
+const router = express.Router();
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+async function passwordGrant(req) {
+  const { email, password, code } = req.body;
+  const account = await findAccountByEmail(email);
+  const isMatch = await checkPassword(account, password);
+
+  // Same answer for unknown emails, wrong passwords and locked accounts, as
+  // on the web login.
+  if (!account || !account.password || isLocked(account) || !isMatch || !API_ROLES.includes(account.role)) {
+    if (account && account.password && !isLocked(account) && !isMatch) {
+      await recordFailedLogin(account);
+    }
+    throw new ApiError(401, 'invalid_credentials', 'Invalid Credentials');
+  }
+  if (!account.isVerified) {
+    throw new ApiError(403, 'email_not_verified', 'Please verify your email before logging in.');
+  }
+  // As on the web login, where enrollment happens: no tokens for an account
+  // that must use two-factor authentication but hasn't set it up.
+  if (!account.twoFactor.enabled && isTwoFactorRequired(account)) {
+    throw new ApiError(403, 'two_factor_enrollment_required', 'Please set up two-factor authentication on the website before logging in.');
+  }
+  if (account.twoFactor.enabled) {
+    if (!code) {
+      throw new ApiError(401, 'two_factor_required', 'A two-factor authentication code is required');
+    }
+    if (!verifyCode(account, code)) {
+      throw new ApiError(401, 'invalid_two_factor_code', 'Invalid authentication code');
+    }
+  }
+
+  const user = await findProfile(account);
+  if (!user) {
+    throw new ApiError(401, 'invalid_credentials', 'Invalid Credentials');
+  }
+
+  account.lastLoginAt = new Date();
+  clearFailedLogins(account);
+  await account.save();
+
+  return {
+    ...(await issueTokens(account, { userAgent: req.get('user-agent') })),
+    user: { id: user._id, role: user.role, name: user.name, email: user.email }
+  };
+}
+
+// grantType "password" logs in with email and password (plus `code` when
+// 2FA is on); grantType "refresh_token" rotates a refresh token.
+router.post('/token', [
+  rateLimit({ name: 'api-token-ip', limit: 30, windowMs: WINDOW_MS }),
+  rateLimit({ name: 'login-email', limit: 10, windowMs: WINDOW_MS, key: byEmail }),
+  body('grantType').isIn(['password', 'refresh_token']),
+  body('email').if(body('grantType').equals('password')).isEmail(),
+  body('password').if(body('grantType').equals('password')).isString().notEmpty(),
+  body('refreshToken').if(body('grantType').equals('refresh_token')).isString().notEmpty()
+], validate, async (req, res, next) => {
+  try {
+    const tokens = req.body.grantType === 'password'
+      ? await passwordGrant(req)
+      : await rotateRefreshToken(req.body.refreshToken, { userAgent: req.get('user-agent') });
+
+    res.set('Cache-Control', 'no-store');
+    res.json(tokens);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logging out of the app revokes its refresh token along with every token
+// rotated from the same login.
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty()
+], validate, async (req, res, next) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
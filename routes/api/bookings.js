@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Booking = require('../../models/Booking');
+const Doctor = require('../../models/Doctor');
+const { ApiError } = require('../../utils/apiErrors');
+const { scopeFor, findOwned } = require('../../utils/policies');
+const { allowedTransitions } = require('../../utils/bookingLifecycle');
+const { createBooking, cancelBooking, updateBookingStatus } = require('../../utils/bookings');
+const { auditContext } = require('../../utils/audit');
+const { validate, requireToken, paginationRules, paginate } = require('./middleware');
+
+const router = express.Router();
+
+const STATUSES = ['waiting', 'accepted', 'rejected', 'completed', 'cancelled', 'no-show'];
+
+function serializeBooking(booking, role) {
+  const { doctor, patient } = booking;
+  return {
+    id: booking._id,
+    doctor: doctor && doctor._id ? { id: doctor._id, name: doctor.name, speciality: doctor.speciality } : doctor,
+    patient: patient && patient._id ? { id: patient._id, name: patient.name } : patient,
+    date: booking.date,
+    time: booking.time,
+    consultationType: booking.consultationType,
+    status: booking.status,
+    allowedStatuses: allowedTransitions(booking.status, role),
+    meetingLink: booking.meetingLink,
+    hospital: booking.hospital,
+    cancellationReason: booking.cancellationReason,
+    statusHistory: booking.statusHistory
+  };
+}
+
+// Bookings are only visible to their own patient or doctor; anyone else
+// gets a 404.
+async function findOwnBooking(req) {
+  const booking = await findOwned('booking', req.params.id, req.user)
+    .populate('doctor')
+    .populate('patient');
+
+  if (!booking) {
+    throw new ApiError(404, 'not_found', 'Booking not found');
+  }
+  return booking;
+}
+
+router.get('/', requireToken('patient', 'doctor'), [
+  ...paginationRules,
+  query('status').optional().isIn(STATUSES)
+], validate, async (req, res, next) => {
+  try {
+    const filter = scopeFor('booking', req.user);
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const findQuery = Booking.find(filter)
+      .sort({ date: -1, time: -1 })
+      .populate('doctor', 'name speciality')
+      .populate('patient', 'name');
+    const page = await paginate(req, Booking, filter, findQuery);
+
+    res.json({ ...page, data: page.data.map(booking => serializeBooking(booking, req.user.role)) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/', requireToken('patient'), [
+  body('doctorId').isMongoId(),
+  body('date').isISO8601({ strict: true }),
+  body('startTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body('consultationType').isIn(['In-person', 'Video call'])
+], validate, async (req, res, next) => {
+  try {
+    const { doctorId, date, startTime, consultationType } = req.body;
+
+    if (!(await Doctor.exists({ _id: doctorId, verified: 'Verified' }))) {
+      throw new ApiError(404, 'not_found', 'Doctor not found');
+    }
+
+    const booking = await createBooking({
+      patientId: req.user._id,
+      doctorId,
+      date: date.slice(0, 10),
+      startTime,
+      consultationType
+    }, auditContext(req));
+    await booking.populate([{ path: 'doctor', select: 'name speciality' }, { path: 'patient', select: 'name' }]);
+
+    res.status(201).json({ data: serializeBooking(booking, 'patient') });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', requireToken('patient', 'doctor'), [param('id').isMongoId()], validate, async (req, res, next) => {
+  try {
+    const booking = await findOwnBooking(req);
+    res.json({ data: serializeBooking(booking, req.user.role) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/cancel', requireToken('patient', 'doctor'), [
+  param('id').isMongoId(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], validate, async (req, res, next) => {
+  try {
+    const booking = await findOwnBooking(req);
+
+    if (req.user.role === 'patient') {
+      await cancelBooking(booking, req.user, req.body.reason, auditContext(req));
+    } else {
+      await updateBookingStatus(booking, 'cancelled', {
+        actor: req.user._id,
+        reason: req.body.reason,
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+        audit: auditContext(req)
+      });
+    }
+
+    res.json({ data: serializeBooking(booking, req.user.role) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.patch('/:id/status', requireToken('doctor'), [
+  param('id').isMongoId(),
+  body('status').isIn(STATUSES),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], validate, async (req, res, next) => {
+  try {
+    const booking = await findOwnBooking(req);
+
+    await updateBookingStatus(booking, req.body.status, {
+      actor: req.user._id,
+      reason: req.body.reason,
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      audit: auditContext(req)
+    });
+
+    res.json({ data: serializeBooking(booking, 'doctor') });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
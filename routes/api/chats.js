@@ -0,0 +1,108 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Chat = require('../../models/Chat');
+const Notification = require('../../models/Notification');
+const { ApiError } = require('../../utils/apiErrors');
+const { scopeFor, findOwned } = require('../../utils/policies');
+const { PAGE_SIZE, addMessage, listMessages, markRead, countUnread } = require('../../utils/chatMessages');
+const { emitChatMessage, emitChatRead } = require('../../sockets/chat');
+const { validate, requireToken, paginationRules, paginate } = require('./middleware');
+
+const router = express.Router();
+
+router.use(requireToken('patient', 'doctor'));
+
+async function findOwnChat(req) {
+  const chat = await findOwned('chat', req.params.id, req.user);
+
+  if (!chat) {
+    throw new ApiError(404, 'not_found', 'Chat not found');
+  }
+  return chat;
+}
+
+router.get('/', paginationRules, validate, async (req, res, next) => {
+  try {
+    const filter = scopeFor('chat', req.user);
+    const findQuery = Chat.find(filter)
+      .sort({ updatedAt: -1 })
+      .populate('doctorId', 'name')
+      .populate('patientId', 'name');
+    const page = await paginate(req, Chat, filter, findQuery);
+
+    const unreadCounts = await countUnread(page.data.map(chat => chat._id), req.user._id);
+    page.data = page.data.map(chat => ({
+      id: chat._id,
+      doctor: chat.doctorId,
+      patient: chat.patientId,
+      lastMessage: chat.lastMessage,
+      updatedAt: chat.updatedAt,
+      unreadCount: unreadCounts[chat._id.toString()] || 0
+    }));
+
+    res.json(page);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Messages use the same cursor paging as the web chat: pass the returned
+// `nextCursor` as `before` to load older messages.
+router.get('/:id/messages', [
+  param('id').isMongoId(),
+  query('before').optional().isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], validate, async (req, res, next) => {
+  try {
+    const chat = await findOwnChat(req);
+    const { messages, nextCursor } = await listMessages(chat, req.user, {
+      before: req.query.before,
+      limit: req.query.limit || PAGE_SIZE
+    });
+
+    res.json({ data: messages, pagination: { nextCursor } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/messages', [
+  param('id').isMongoId(),
+  body('text').isString().trim().isLength({ min: 1, max: 5000 })
+], validate, async (req, res, next) => {
+  try {
+    const chat = await findOwnChat(req);
+    const user = req.user;
+
+    const message = (await addMessage(chat._id, { senderId: user._id, text: req.body.text })).toObject();
+    emitChatMessage(req.app.get('io'), chat._id, message);
+
+    await Notification.create({
+      userId: user.role === 'doctor' ? chat.patientId : chat.doctorId,
+      message: user.role === 'doctor' ? `New message from Dr. ${user.name}` : `New message from ${user.name}`,
+      type: 'chat',
+      read: false,
+      createdAt: new Date()
+    });
+
+    res.status(201).json({ data: message });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/read', [param('id').isMongoId()], validate, async (req, res, next) => {
+  try {
+    const chat = await findOwnChat(req);
+
+    if (await markRead(chat._id, req.user._id)) {
+      emitChatRead(req.app.get('io'), chat._id, req.user._id);
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
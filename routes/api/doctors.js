@@ -0,0 +1,121 @@
+const express = require('express');
+const moment = require('moment');
+const { param, query } = require('express-validator');
+const Doctor = require('../../models/Doctor');
+const { ApiError } = require('../../utils/apiErrors');
+const { validate, paginationRules, paginate } = require('./middleware');
+
+const router = express.Router();
+
+// Everything else on the profile (documents, payment details, pictures) is
+// private to the doctor and admins.
+const PUBLIC_FIELDS = 'name title aboutMe speciality country state city gender languages hospitals insurances consultation rating consultationsCompleted profileViews conditions';
+
+const SORTS = {
+  mostReviewed: { consultationsCompleted: -1 },
+  highestRated: { rating: -1 },
+  mostViewed: { profileViews: -1 }
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+router.get('/', [
+  ...paginationRules,
+  query('q').optional().isString().trim(),
+  query('speciality').optional().isString(),
+  query('country').optional().isString(),
+  query('state').optional().isString(),
+  query('city').optional().isString(),
+  query('language').optional().isString(),
+  query('gender').optional().isString(),
+  query('consultation').optional().isIn(['In-person', 'Video call']),
+  query('sort').optional().isIn(Object.keys(SORTS))
+], validate, async (req, res, next) => {
+  try {
+    const { q, speciality, country, state, city, language, gender, consultation, sort } = req.query;
+    const filter = { verified: 'Verified' };
+
+    if (q) {
+      filter.name = { $regex: escapeRegex(q), $options: 'i' };
+    }
+    if (speciality) {
+      filter.speciality = speciality;
+    }
+    if (country) {
+      filter.country = country;
+    }
+    if (state) {
+      filter.state = state;
+    }
+    if (city) {
+      filter.city = city;
+    }
+    if (language) {
+      filter.languages = language;
+    }
+    if (gender) {
+      filter.gender = gender;
+    }
+    if (consultation) {
+      filter.consultation = { $in: [consultation, 'Both'] };
+    }
+
+    const findQuery = Doctor.find(filter, PUBLIC_FIELDS).sort({ ...SORTS[sort], _id: 1 });
+    res.json(await paginate(req, Doctor, filter, findQuery));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', [param('id').isMongoId()], validate, async (req, res, next) => {
+  try {
+    const doctor = await Doctor.findOne({ _id: req.params.id, verified: 'Verified' }, PUBLIC_FIELDS).lean();
+
+    if (!doctor) {
+      throw new ApiError(404, 'not_found', 'Doctor not found');
+    }
+
+    res.json({ data: doctor });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Free slots from today (or `from`) onwards. Slot dates are UTC midnight.
+router.get('/:id/slots', [
+  param('id').isMongoId(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], validate, async (req, res, next) => {
+  try {
+    const doctor = await Doctor.findOne({ _id: req.params.id, verified: 'Verified' }, 'timeSlots').lean();
+
+    if (!doctor) {
+      throw new ApiError(404, 'not_found', 'Doctor not found');
+    }
+
+    const today = moment.utc().startOf('day');
+    const from = req.query.from ? moment.max(moment.utc(req.query.from).startOf('day'), today) : today;
+    const to = req.query.to ? moment.utc(req.query.to).startOf('day') : null;
+
+    const slots = doctor.timeSlots
+      .filter(slot => slot.status === 'free' && !moment.utc(slot.date).isBefore(from) &&
+        (!to || !moment.utc(slot.date).isAfter(to)))
+      .sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime))
+      .map(slot => ({
+        date: moment.utc(slot.date).format('YYYY-MM-DD'),
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        hospital: slot.hospital,
+        hospitalLocation: slot.hospitalLocation
+      }));
+
+    res.json({ data: slots });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { ApiError, sendApiError } = require('../../utils/apiErrors');
+const { buildOpenApiSpec } = require('../../utils/openapi');
+
+const router = express.Router();
+
+router.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec());
+});
+
+router.get('/docs', (req, res) => {
+  res.render('apiDocs', { specUrl: `${req.baseUrl}/openapi.json` });
+});
+
+router.use('/auth', require('./auth'));
+router.use('/doctors', require('./doctors'));
+router.use('/bookings', require('./bookings'));
+router.use('/chats', require('./chats'));
+router.use('/prescriptions', require('./prescriptions'));
+router.use('/notifications', require('./notifications'));
+
+router.use((req, res, next) => {
+  next(new ApiError(404, 'not_found', 'Not found'));
+});
+
+router.use((err, req, res, next) => {
+  sendApiError(res, err);
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const { query, validationResult } = require('express-validator');
+const { ApiError } = require('../../utils/apiErrors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Runs after a list of express-validator chains and rejects the request with
+// the first failure.
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const [first] = errors.array();
+    return next(new ApiError(422, 'validation_failed', `${first.path}: ${first.msg}`));
+  }
+  next();
+}
+
+// The API only accepts bearer tokens (see utils/apiTokens.js), never the
+// browser's session cookie.
+function requireToken(...roles) {
+  return (req, res, next) => {
+    const user = req.session && req.session.viaToken ? req.session.user : null;
+
+    if (!user) {
+      return next(new ApiError(401, 'unauthorized', 'A valid access token is required'));
+    }
+    if (roles.length > 0 && !roles.includes(user.role)) {
+      return next(new ApiError(403, 'forbidden', 'This endpoint is not available for your role'));
+    }
+    req.user = user;
+    next();
+  };
+}
+
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).toInt()
+];
+
+// Runs a page of `findQuery` (a Mongoose query that has not been executed)
+// and returns `{ data, pagination }`.
+async function paginate(req, model, filter, findQuery) {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+  const [data, total] = await Promise.all([
+    findQuery.skip((page - 1) * limit).limit(limit).lean(),
+    model.countDocuments(filter)
+  ]);
+
+  return {
+    data,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+  };
+}
+
+module.exports = {
+  validate,
+  requireToken,
+  paginationRules,
+  paginate
+};
@@ -0,0 +1,61 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const Notification = require('../../models/Notification');
+const { ApiError } = require('../../utils/apiErrors');
+const { scopeFor } = require('../../utils/policies');
+const { validate, requireToken, paginationRules, paginate } = require('./middleware');
+
+const router = express.Router();
+
+router.use(requireToken('patient', 'doctor'));
+
+router.get('/', [
+  ...paginationRules,
+  query('unread').optional().isBoolean().toBoolean()
+], validate, async (req, res, next) => {
+  try {
+    const filter = scopeFor('notification', req.user);
+    if (req.query.unread) {
+      filter.read = false;
+    }
+
+    const findQuery = Notification.find(filter).sort({ createdAt: -1 });
+    res.json(await paginate(req, Notification, filter, findQuery));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/:id/read', [param('id').isMongoId()], validate, async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, ...scopeFor('notification', req.user) },
+      { $set: { read: true } },
+      { new: true }
+    ).lean();
+
+    if (!notification) {
+      throw new ApiError(404, 'not_found', 'Notification not found');
+    }
+
+    res.json({ data: notification });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/:id', [param('id').isMongoId()], validate, async (req, res, next) => {
+  try {
+    const result = await Notification.deleteOne({ _id: req.params.id, ...scopeFor('notification', req.user) });
+
+    if (result.deletedCount === 0) {
+      throw new ApiError(404, 'not_found', 'Notification not found');
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
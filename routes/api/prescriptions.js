@@ -0,0 +1,45 @@
+const express = require('express');
+const { param } = require('express-validator');
+const Prescription = require('../../models/Prescription');
+const { ApiError } = require('../../utils/apiErrors');
+const { scopeFor, findOwned } = require('../../utils/policies');
+const { validate, requireToken, paginationRules, paginate } = require('./middleware');
+
+const router = express.Router();
+
+router.use(requireToken('patient', 'doctor'));
+
+router.get('/', paginationRules, validate, async (req, res, next) => {
+  try {
+    // Patients see prescriptions written for them; doctors see the ones they wrote.
+    const filter = scopeFor('prescription', req.user);
+    const findQuery = Prescription.find(filter).sort({ createdAt: -1 });
+
+    res.json(await paginate(req, Prescription, filter, findQuery));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/:id', [param('id').isMongoId()], validate, async (req, res, next) => {
+  try {
+    const prescription = await findOwned('prescription', req.params.id, req.user).lean();
+
+    if (!prescription) {
+      throw new ApiError(404, 'not_found', 'Prescription not found');
+    }
+
+    res.json({
+      data: {
+        ...prescription,
+        // The web download route of the caller's role, which also accepts the
+        // access token.
+        downloadUrl: `${req.protocol}://${req.get('host')}/${req.user.role}/prescriptions/${prescription._id}/download`
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
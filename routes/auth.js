@@ -3,12 +3,22 @@ const bcrypt = require('bcryptjs');
 const session = require('express-session');
 const flash = require('connect-flash');
 const otpGenerator = require('otp-generator');
-const nodemailer = require('nodemailer');
-const { google } = require('googleapis');
-const Patient = require('../models/Patient');
-const Doctor = require('../models/Doctor');
-const Admin = require('../models/Admin');
+const Account = require('../models/Account');
 const crypto = require('crypto');
+const { SUPPORTED_LOCALES } = require('../utils/email');
+const { enqueueEmail } = require('../utils/emailOutbox');
+const { withTransaction } = require('../utils/transactions');
+const { findAccountByEmail, findProfile, createAccountWithProfile } = require('../utils/accounts');
+const { HOME_PAGES, checkPassword, beginLogin } = require('../utils/login');
+const { revokeAllTokens } = require('../utils/apiTokens');
+const { rateLimit, byEmail } = require('../utils/rateLimit');
+const { isLocked, recordFailedLogin, unlockAccount, findAccountByUnlockToken } = require('../utils/accountLockout');
+const { forgetSession, revokeOtherSessions } = require('../utils/sessions');
+const { requireAccount } = require('../utils/auth');
+const { ROLE_LABELS } = require('../utils/adminRoles');
+const { findAdminByInviteToken } = require('../utils/adminInvites');
+const { PROVIDER: GOOGLE, createState, verifyState, getAuthUrl, fetchGoogleIdentity, findLink } = require('../utils/googleAuth');
+const { CODE_TTL_MINUTES, canUseLoginCode, canResend, issueLoginCode, checkLoginCode } = require('../utils/loginCodes');
 
 const router = express.Router();
 
@@ -26,78 +36,71 @@ router.use((req, res, next) => {
   next();
 });
 
-const sendOTP = async (email, otp) => {
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
-    }
-  });
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Verification OTP for Signup',
-    text: `Your OTP for signup is: ${otp}`
-  };
-
-  await transporter.sendMail(mailOptions);
-};
 const generateVerificationToken = () => {
   return crypto.randomBytes(20).toString('hex');
 };
 
-const sendVerificationEmail = async (email, token, role) => {
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
-    }
-  });
+const queueVerificationEmail = async (account, profile, session) => {
+  const verificationLink = `${APP_URL}/auth/verify-email?token=${account.verificationToken}&role=${account.role}`;
 
-  const verificationLink = `http://localhost:3000/auth/verify-email?token=${token}&role=${role}`;
+  await enqueueEmail('verify-email', { to: account.email, locale: profile.locale, data: { name: profile.name, verificationLink } }, { session });
+};
 
+// Signing up with a registered email gets the same response as a new
+// signup; the owner is told by email instead.
+const queueSignupExistingEmail = async (account) => {
+  const profile = await findProfile(account);
+
+  await enqueueEmail('signup-existing', {
+    to: account.email,
+    locale: profile && profile.locale,
+    data: {
+      name: profile ? profile.name : account.email,
+      loginUrl: `${APP_URL}/auth/login`,
+      resetUrl: `${APP_URL}/auth/forgot-password`
+    }
+  });
+};
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Email Verification for Signup',
-    text: `Click the following link to verify your email: ${verificationLink}`
-  };
+const signupLimit = (role) => rateLimit({ name: 'signup-ip', limit: 5, windowMs: HOUR, redirectTo: `/auth/signup/${role}` });
 
-  await transporter.sendMail(mailOptions);
-};
+// New accounts get the best match from the browser's Accept-Language header;
+// users can change it later from their profile.
+const preferredLocale = (req) => req.acceptsLanguages(...SUPPORTED_LOCALES) || 'en';
 
 router.get('/signup/patient', (req, res) => {
   const showOtpForm = req.session.newUser && req.session.newUser.otp;
   res.render('signup_patient', { showOtpForm });
 });
 
-router.post('/signup/patient', async (req, res) => {
+router.post('/signup/patient', signupLimit('patient'), async (req, res) => {
   const { name, email, password, phoneNumber } = req.body;
 
   try {
-    let existingUser = await Patient.findOne({ email });
-
-    if (existingUser) {
-      req.flash('error_msg', 'User already exists');
+    // Emails are unique across patients, doctors and admins.
+    const existingAccount = await findAccountByEmail(email);
+    if (existingAccount) {
+      await queueSignupExistingEmail(existingAccount);
+      req.flash('success_msg', 'Verification email has been sent to your email. Please verify.');
       return res.redirect('/auth/signup/patient');
     }
 
-    const token = generateVerificationToken();
-    await sendVerificationEmail(email, token, 'patient');
+    const passwordHash = await bcrypt.hash(password, 10);
 
-    const newPatient = new Patient({
-      name,
-      email,
-      password: await bcrypt.hash(password, 10),
-      phoneNumber,
-      verificationToken: token
-    });
+    await withTransaction(async (session) => {
+      const { account, profile } = await createAccountWithProfile({
+        email,
+        password: passwordHash,
+        role: 'patient',
+        verificationToken: generateVerificationToken()
+      }, { name, phoneNumber, locale: preferredLocale(req) }, session);
 
-    await newPatient.save();
+      await queueVerificationEmail(account, profile, session);
+    });
 
     req.flash('success_msg', 'Verification email has been sent to your email. Please verify.');
     return res.redirect('/auth/signup/patient');
@@ -113,29 +116,30 @@ router.get('/signup/doctor', (req, res) => {
   res.render('signup_doctor', { showOtpForm });
 });
 
-router.post('/signup/doctor', async (req, res) => {
+router.post('/signup/doctor', signupLimit('doctor'), async (req, res) => {
   const { name, email, password, phoneNumber } = req.body;
 
   try {
-    let existingUser = await Doctor.findOne({ email });
-
-    if (existingUser) {
-      req.flash('error_msg', 'User already exists');
+    // Emails are unique across patients, doctors and admins.
+    const existingAccount = await findAccountByEmail(email);
+    if (existingAccount) {
+      await queueSignupExistingEmail(existingAccount);
+      req.flash('success_msg', 'Verification email has been sent to your email. Please verify.');
       return res.redirect('/auth/signup/doctor');
     }
 
-    const token = generateVerificationToken();
-    await sendVerificationEmail(email, token, 'doctor');
+    const passwordHash = await bcrypt.hash(password, 10);
 
-    const newDoctor = new Doctor({
-      name,
-      email,
-      password: await bcrypt.hash(password, 10),
-      phoneNumber,
-      verificationToken: token
-    });
+    await withTransaction(async (session) => {
+      const { account, profile } = await createAccountWithProfile({
+        email,
+        password: passwordHash,
+        role: 'doctor',
+        verificationToken: generateVerificationToken()
+      }, { name, phoneNumber, locale: preferredLocale(req) }, session);
 
-    await newDoctor.save();
+      await queueVerificationEmail(account, profile, session);
+    });
 
     req.flash('success_msg', 'Verification email has been sent to your email. Please verify.');
     return res.redirect('/auth/signup/doctor');
@@ -150,21 +154,16 @@ router.get('/verify-email', async (req, res) => {
   const { token, role } = req.query;
 
   try {
-    let user;
-    if (role === 'patient') {
-      user = await Patient.findOne({ verificationToken: token });
-    } else if (role === 'doctor') {
-      user = await Doctor.findOne({ verificationToken: token });
-    }
+    const account = token ? await Account.findOne({ verificationToken: token }) : null;
 
-    if (!user) {
+    if (!account) {
       req.flash('error_msg', 'Invalid or expired verification link');
       return res.redirect(`/auth/signup/${role}`);
     }
 
-    user.isVerified = true;
-    user.verificationToken = undefined;
-    await user.save();
+    account.isVerified = true;
+    account.verificationToken = undefined;
+    await account.save();
 
     req.flash('success_msg', 'Your account has been verified. You can now login.');
     return res.redirect('/auth/login');
@@ -179,44 +178,39 @@ router.get('/login', (req, res) => {
   res.render('login');
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', [
+  rateLimit({ name: 'login-ip', limit: 20, windowMs: 15 * MINUTE, redirectTo: '/auth/login' }),
+  rateLimit({ name: 'login-email', limit: 10, windowMs: 15 * MINUTE, key: byEmail, redirectTo: '/auth/login' })
+], async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    let user = await Patient.findOne({ email }) ||
-               await Doctor.findOne({ email }) ||
-               await Admin.findOne({ email });
-
-    if (!user) {
+    const account = await findAccountByEmail(email);
+    const isMatch = await checkPassword(account, password);
+
+    // Unknown emails, wrong passwords and locked accounts all get the same
+    // answer; the owner of a locked account is told by email.
+    if (!account || !account.password || isLocked(account) || !isMatch) {
+      if (account && account.password && !isLocked(account)) {
+        await recordFailedLogin(account);
+      }
       req.flash('error_msg', 'Invalid Credentials');
       return res.redirect('/auth/login');
     }
 
-    if (!user.isVerified) {
+    if (!account.isVerified) {
       req.flash('error_msg', 'Please verify your email before logging in.');
       return res.redirect('/auth/login');
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
+    const user = await findProfile(account);
 
-    if (!isMatch) {
+    if (!user) {
       req.flash('error_msg', 'Invalid Credentials');
       return res.redirect('/auth/login');
     }
 
-    req.session.user = user;
-    req.flash('success_msg', 'Logged in successfully');
-
-    if (user.role === 'patient') {
-      return res.redirect('/patient/patient-index'); 
-    } else if (user.role === 'doctor') {
-      return res.redirect('/doctor/doctor-index'); 
-    } else if (user.role === 'admin') {
-      return res.redirect('/admin/admin-home'); 
-    } else {
-      req.flash('error_msg', 'Invalid role');
-      return res.redirect('/auth/login');
-    }
+    return beginLogin(req, res, account, user);
   } catch (err) {
     console.error('Error in login:', err);
     req.flash('error_msg', 'Server error');
@@ -225,123 +219,293 @@ router.post('/login', async (req, res) => {
 });
 
 
-const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
-const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI;
+// Passwordless login for patients: a one-time code is emailed and entered on
+// the next page. The response is the same whether or not the email has an
+// account, so the form can't be used to discover who is registered.
+router.get('/login/code', (req, res) => {
+  res.render('loginCodeRequest');
+});
+
+router.post('/login/code', [
+  rateLimit({ name: 'login-code-ip', limit: 10, windowMs: HOUR, redirectTo: '/auth/login/code' }),
+  rateLimit({ name: 'login-code-email', limit: 5, windowMs: HOUR, key: byEmail, redirectTo: '/auth/login/code' })
+], async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const account = await findAccountByEmail(email);
 
-const oauth2Client = new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI);
+    if (canUseLoginCode(account) && canResend(account)) {
+      const user = await findProfile(account);
+
+      if (user) {
+        const code = await issueLoginCode(account);
+
+        await withTransaction(async (session) => {
+          await account.save({ session });
+          await enqueueEmail('login-code', {
+            to: account.email,
+            locale: user.locale,
+            data: { name: user.name, code, minutes: CODE_TTL_MINUTES }
+          }, { session });
+        });
+      }
+    }
+
+    req.session.loginCodeEmail = email;
+    req.flash('success_msg', 'If an account exists for that email, a login code has been sent to it.');
+    return res.redirect('/auth/login/code/verify');
+  } catch (err) {
+    console.error('Error sending login code:', err);
+    req.flash('error_msg', 'Server error');
+    return res.redirect('/auth/login/code');
+  }
+});
+
+router.get('/login/code/verify', (req, res) => {
+  if (!req.session.loginCodeEmail) {
+    return res.redirect('/auth/login/code');
+  }
+  res.render('loginCodeVerify', { email: req.session.loginCodeEmail });
+});
+
+router.post('/login/code/verify', async (req, res) => {
+  const email = req.session.loginCodeEmail;
+
+  if (!email) {
+    return res.redirect('/auth/login/code');
+  }
+
+  try {
+    const account = await findAccountByEmail(email);
+
+    if (!canUseLoginCode(account)) {
+      req.flash('error_msg', 'Invalid or expired code');
+      return res.redirect('/auth/login/code/verify');
+    }
+
+    const result = await checkLoginCode(account, req.body.code);
+
+    // Receiving the code proves the user controls the address.
+    if (result === 'ok') {
+      account.isVerified = true;
+      account.verificationToken = undefined;
+    }
+    await account.save();
+
+    if (result === 'locked' || result === 'expired') {
+      delete req.session.loginCodeEmail;
+      req.flash('error_msg', result === 'locked'
+        ? 'Too many invalid attempts. Please request a new code.'
+        : 'Your code has expired. Please request a new one.');
+      return res.redirect('/auth/login/code');
+    }
+    if (result !== 'ok') {
+      req.flash('error_msg', 'Invalid or expired code');
+      return res.redirect('/auth/login/code/verify');
+    }
+
+    const user = await findProfile(account);
+
+    if (!user) {
+      req.flash('error_msg', 'Invalid Credentials');
+      return res.redirect('/auth/login');
+    }
+
+    delete req.session.loginCodeEmail;
+    return beginLogin(req, res, account, user);
+  } catch (err) {
+    console.error('Error verifying login code:', err);
+    req.flash('error_msg', 'Server error');
+    return res.redirect('/auth/login/code/verify');
+  }
+});
+
+
+// Google sign-in. /auth/google signs in an account already linked to a
+// Google identity; /auth/google/patient and /auth/google/doctor may also
+// create one. Accounts are never matched by email alone: a password account
+// has to link Google from its linked accounts page while logged in.
+router.get('/google', (req, res) => {
+  res.redirect(getAuthUrl(createState(req, { intent: 'login' })));
+});
 
 router.get('/google/patient', (req, res) => {
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: ['profile', 'email'],
-    state: JSON.stringify({ role: 'patient' }) 
-  });
-  res.redirect(authUrl);
+  res.redirect(getAuthUrl(createState(req, { intent: 'login', role: 'patient' })));
 });
 
 router.get('/google/doctor', (req, res) => {
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: ['profile', 'email'],
-    state: JSON.stringify({ role: 'doctor' }) 
-  });
-  res.redirect(authUrl);
+  res.redirect(getAuthUrl(createState(req, { intent: 'login', role: 'doctor' })));
 });
 
-router.get('/google', (req, res) => {
-  const url = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: [
-      'https://www.googleapis.com/auth/userinfo.profile',
-      'https://www.googleapis.com/auth/userinfo.email'
-    ],
-    prompt: 'consent', 
-  });
-  res.redirect(url);
+router.get('/google/link', requireAccount, (req, res) => {
+  res.redirect(getAuthUrl(createState(req, { intent: 'link', accountId: req.session.accountId })));
 });
 
+const linkGoogle = async (req, res, identity) => {
+  const account = await Account.findById(req.session.accountId);
+
+  if (!account) {
+    return res.redirect('/auth/login');
+  }
+
+  const owner = await Account.findOne({ oauthProviders: { $elemMatch: { provider: GOOGLE, subject: identity.subject } } });
+
+  if (owner && !owner._id.equals(account._id)) {
+    req.flash('error_msg', 'That Google account is already linked to another account.');
+  } else if (findLink(account)) {
+    req.flash('error_msg', 'A Google account is already linked. Unlink it first.');
+  } else {
+    account.oauthProviders.push({ provider: GOOGLE, subject: identity.subject, email: identity.email });
+    account.pendingOAuthLink = undefined;
+    await account.save();
+    req.flash('success_msg', 'Your Google account has been linked.');
+  }
+  return res.redirect('/auth/linked-accounts');
+};
+
+const signInWithGoogle = async (req, res, identity, role) => {
+  const account = await Account.findOne({ oauthProviders: { $elemMatch: { provider: GOOGLE, subject: identity.subject } } });
+
+  if (account) {
+    const user = await findProfile(account);
+
+    if (!user) {
+      req.flash('error_msg', 'Invalid Credentials');
+      return res.redirect('/auth/login');
+    }
+
+    // Google has confirmed the address, so no verification email is needed.
+    account.isVerified = true;
+    return beginLogin(req, res, account, user);
+  }
+
+  const existing = await findAccountByEmail(identity.email);
+
+  // Created by the old Google sign-in for this very address, so it is the
+  // owner coming back; link it now.
+  if (existing && existing.pendingOAuthLink === GOOGLE && identity.emailVerified) {
+    const user = await findProfile(existing);
+
+    if (!user) {
+      req.flash('error_msg', 'Invalid Credentials');
+      return res.redirect('/auth/login');
+    }
 
+    existing.oauthProviders.push({ provider: GOOGLE, subject: identity.subject, email: identity.email });
+    existing.pendingOAuthLink = undefined;
+    existing.isVerified = true;
+    await existing.save();
+    return beginLogin(req, res, existing, user);
+  }
+
+  if (existing) {
+    req.flash('error_msg', 'An account with this email already exists. Log in with your password, then link Google from your profile.');
+    return res.redirect('/auth/login');
+  }
+
+  if (!role) {
+    req.flash('error_msg', 'No account is linked to this Google account. Please sign up first.');
+    return res.redirect('/auth/login');
+  }
+
+  if (!identity.emailVerified) {
+    req.flash('error_msg', 'Your Google email address is not verified.');
+    return res.redirect(`/auth/signup/${role}`);
+  }
+
+  // No password: these accounts sign in through Google only.
+  const { account: newAccount, profile: newUser } = await withTransaction((session) => createAccountWithProfile({
+    email: identity.email,
+    role,
+    isVerified: true,
+    oauthProviders: [{ provider: GOOGLE, subject: identity.subject, email: identity.email }]
+  }, { name: identity.name, locale: preferredLocale(req) }, session));
+
+  return beginLogin(req, res, newAccount, newUser, `/${role}/profile`);
+};
 
 router.get('/google/callback', async (req, res) => {
-  const { code } = req.query;
+  const state = verifyState(req, req.query.state);
+
+  if (!state) {
+    req.flash('error_msg', 'Authentication failed. Please try again.');
+    return res.redirect('/auth/login');
+  }
+
+  const linking = state.intent === 'link';
+
+  if (linking && (!req.session.accountId || String(req.session.accountId) !== state.accountId)) {
+    return res.redirect('/auth/login');
+  }
+
+  if (req.query.error || !req.query.code) {
+    req.flash('error_msg', 'Google sign-in was cancelled.');
+    return res.redirect(linking ? '/auth/linked-accounts' : '/auth/login');
+  }
 
   try {
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
+    const identity = await fetchGoogleIdentity(req.query.code);
+
+    return linking
+      ? await linkGoogle(req, res, identity)
+      : await signInWithGoogle(req, res, identity, state.role);
+  } catch (err) {
+    console.error('Error in Google OAuth callback:', err);
+    req.flash('error_msg', 'Authentication failed. Please try again.');
+    return res.redirect(linking ? '/auth/linked-accounts' : '/auth/login');
+  }
+});
 
-    const oauth2 = google.oauth2({
-      auth: oauth2Client,
-      version: 'v2'
+router.get('/linked-accounts', requireAccount, async (req, res) => {
+  try {
+    const account = await Account.findById(req.session.accountId);
+
+    if (!account) {
+      return res.redirect('/auth/login');
+    }
+
+    res.render('linkedAccounts', {
+      google: findLink(account),
+      hasPassword: !!account.password,
+      homeUrl: HOME_PAGES[account.role]
     });
+  } catch (err) {
+    console.error('Error loading linked accounts:', err);
+    req.flash('error_msg', 'Server error');
+    return res.redirect('/auth/sessions');
+  }
+});
 
-    const { data } = await oauth2.userinfo.get();
-    const { name, email } = data;
-
-    let existingUser = await Patient.findOne({ email })
-                       || await Doctor.findOne({ email })
-                       || await Admin.findOne({ email });
-
-    if (existingUser) {
-      req.session.user = existingUser;
-      req.flash('success_msg', 'Logged in successfully');
-      if (existingUser.role === 'patient') {
-        return res.redirect('/patient/patient-index'); 
-      } else if (existingUser.role === 'doctor') {
-        return res.redirect('/doctor/doctor-index'); 
-      } else if (existingUser.role === 'admin') {
-        return res.redirect('/admin/admin-home'); 
-      } else {
-        req.flash('error_msg', 'Invalid role');
-        return res.redirect('/auth/login');
-      }
-    } else {
-      const { role } = JSON.parse(req.query.state); 
-
-      let newUser;
-      if (role === 'patient') {
-        newUser = new Patient({
-          name,
-          email,
-          role: 'patient', 
-        });
-      } else if (role === 'doctor') {
-        newUser = new Doctor({
-          name,
-          email,
-          role: 'doctor', 
-        });
-      } else {
-        req.flash('error_msg', 'Invalid role');
-        return res.redirect('/auth/login');
-      }
+router.post('/google/unlink', requireAccount, async (req, res) => {
+  try {
+    const account = await Account.findById(req.session.accountId);
 
-      const salt = await bcrypt.genSalt(10);
-      newUser.password = await bcrypt.hash(email, salt); 
-
-      await newUser.save();
-
-      req.session.user = newUser;
-      req.flash('success_msg', 'Logged in successfully');
-      
-      if (role === 'patient') {
-        return res.redirect('/patient/profile');
-      } else if (role === 'doctor') {
-        return res.redirect('/doctor/profile');
-      } else {
-        req.flash('error_msg', 'Invalid role');
-        return res.redirect('/auth/login');
-      }
+    if (!account) {
+      return res.redirect('/auth/login');
     }
+
+    // Unlinking must not leave the account without a way to sign in.
+    if (!account.password && !canUseLoginCode(account)) {
+      req.flash('error_msg', 'Set a password before unlinking Google.');
+      return res.redirect('/auth/linked-accounts');
+    }
+
+    account.oauthProviders = account.oauthProviders.filter(link => link.provider !== GOOGLE);
+    await account.save();
+
+    req.flash('success_msg', 'Your Google account has been unlinked.');
+    return res.redirect('/auth/linked-accounts');
   } catch (err) {
-    console.error('Error in Google OAuth callback:', err);
-    req.flash('error_msg', 'Authentication failed. Please try again.');
-    return res.redirect('/auth/login');
+    console.error('Error unlinking Google:', err);
+    req.flash('error_msg', 'Server error');
+    return res.redirect('/auth/linked-accounts');
   }
 });
 
 router.get('/logout', (req, res) => {
   req.flash('success_msg', 'Logged out successfully');
+  forgetSession(req.sessionID).catch(err => console.error('Error forgetting session:', err));
   req.session.destroy(err => {
     if (err) {
       console.error('Error in session destruction:', err);
@@ -368,92 +532,183 @@ router.get('/exit', (req, res) => {
   });
 });
 
-module.exports = router;
+router.get('/unlock', async (req, res) => {
+  try {
+    const account = await findAccountByUnlockToken(req.query.token);
 
+    if (!account) {
+      req.flash('error_msg', 'Invalid or expired unlock link');
+      return res.redirect('/auth/login');
+    }
 
+    unlockAccount(account);
+    await account.save();
 
-router.get('/forgot-password', (req, res) => {
-  res.render('forgot-password');
+    req.flash('success_msg', 'Your account has been unlocked. You can now login.');
+    return res.redirect('/auth/login');
+  } catch (err) {
+    console.error('Error unlocking account:', err);
+    req.flash('error_msg', 'Server error');
+    return res.redirect('/auth/login');
+  }
 });
 
-router.post('/forgot-password', async (req, res) => {
-  const { email } = req.body;
+// Accepting an admin invitation (see utils/adminInvites.js) sets the
+// account's password and activates the admin.
+router.get('/admin-invite', async (req, res) => {
+  try {
+    const admin = await findAdminByInviteToken(req.query.token);
+
+    if (!admin) {
+      req.flash('error_msg', 'Invalid or expired invitation');
+      return res.redirect('/auth/login');
+    }
+
+    res.render('adminInviteAccept', { admin, token: req.query.token, roleLabel: ROLE_LABELS[admin.adminRole] });
+  } catch (err) {
+    console.error('Error loading admin invitation:', err);
+    req.flash('error_msg', 'Server error');
+    return res.redirect('/auth/login');
+  }
+});
+
+router.post('/admin-invite', async (req, res) => {
+  const { token, newPassword, confirmPassword } = req.body;
+  const retryUrl = `/auth/admin-invite?token=${encodeURIComponent(token || '')}`;
+
+  if (!newPassword || !confirmPassword) {
+    req.flash('error_msg', 'Please fill all fields');
+    return res.redirect(retryUrl);
+  }
+
+  if (newPassword !== confirmPassword) {
+    req.flash('error_msg', 'Passwords do not match');
+    return res.redirect(retryUrl);
+  }
 
   try {
-    let user = await Patient.findOne({ email }) ||
-               await Doctor.findOne({ email }) ||
-               await Admin.findOne({ email });
+    const admin = await findAdminByInviteToken(token);
+    const account = admin && await Account.findById(admin.account);
 
-    if (!user) {
-      req.flash('error_msg', 'User not found');
-      return res.redirect('/auth/forgot-password');
+    if (!account) {
+      req.flash('error_msg', 'Invalid or expired invitation');
+      return res.redirect('/auth/login');
     }
 
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetTokenExpires = Date.now() + 3600000; 
+    account.password = await bcrypt.hash(newPassword, 10);
+    // The invitation was emailed, so following it proves the address.
+    account.isVerified = true;
+    admin.status = 'active';
+    admin.invite = undefined;
 
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = resetTokenExpires;
+    await withTransaction(async (session) => {
+      await account.save({ session });
+      await admin.save({ session });
+    });
 
-    await user.save();
+    req.flash('success_msg', 'Your admin account is ready. You can now login.');
+    return res.redirect('/auth/login');
+  } catch (err) {
+    console.error('Error accepting admin invitation:', err);
+    req.flash('error_msg', 'Server error');
+    return res.redirect(retryUrl);
+  }
+});
 
-    const resetUrl = `http://localhost:3000/auth/reset-password?token=${resetToken}`;
-    await sendResetPasswordEmail(user.email, resetUrl);
 
-    req.flash('success_msg', 'A password reset link has been sent to your email.');
-    return res.redirect('/auth/forgot-password');
+router.get('/change-password', requireAccount, async (req, res) => {
+  try {
+    const account = await Account.findById(req.session.accountId);
+
+    if (!account) {
+      return res.redirect('/auth/login');
+    }
+
+    res.render('change-password', { hasPassword: !!account.password });
   } catch (err) {
-    console.error('Error in forgot password:', err);
+    console.error('Error loading change password page:', err);
     req.flash('error_msg', 'Server error');
-    return res.redirect('/auth/forgot-password');
+    return res.redirect('/auth/sessions');
   }
 });
 
-const generateResetToken = () => {
-  return crypto.randomBytes(20).toString('hex');
-};
+router.post('/change-password', requireAccount, async (req, res) => {
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+
+  if (!newPassword || !confirmPassword) {
+    req.flash('error_msg', 'Please fill all fields');
+    return res.redirect('/auth/change-password');
+  }
+
+  if (newPassword !== confirmPassword) {
+    req.flash('error_msg', 'Passwords do not match');
+    return res.redirect('/auth/change-password');
+  }
+
+  try {
+    const account = await Account.findById(req.session.accountId);
 
-const sendResetPasswordEmail = async (email, resetUrl) => {
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
+    if (!account) {
+      return res.redirect('/auth/login');
     }
-  });
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Password Reset',
-    text: `You requested a password reset. Click the following link to reset your password: ${resetUrl}`
-  };
+    // Accounts created through Google have no password yet and can set one.
+    if (account.password && !(await bcrypt.compare(String(currentPassword || ''), account.password))) {
+      req.flash('error_msg', 'Current password is incorrect');
+      return res.redirect('/auth/change-password');
+    }
 
-  await transporter.sendMail(mailOptions);
-};
+    account.password = await bcrypt.hash(newPassword, 10);
+
+    await withTransaction(async (session) => {
+      await revokeAllTokens(account, { session });
+      await account.save({ session });
+    });
+    const count = await revokeOtherSessions(req.sessionStore, account._id, req.sessionID);
+
+    req.flash('success_msg', `Your password has been changed.${count > 0 ? ` ${count} other session${count === 1 ? ' was' : 's were'} logged out.` : ''}`);
+    return res.redirect('/auth/sessions');
+  } catch (err) {
+    console.error('Error changing password:', err);
+    req.flash('error_msg', 'Server error');
+    return res.redirect('/auth/change-password');
+  }
+});
 
-router.post('/forgot-password', async (req, res) => {
+router.get('/forgot-password', (req, res) => {
+  res.render('forgot-password');
+});
+
+router.post('/forgot-password', [
+  rateLimit({ name: 'forgot-password-ip', limit: 5, windowMs: HOUR, redirectTo: '/auth/forgot-password' }),
+  rateLimit({ name: 'forgot-password-email', limit: 3, windowMs: HOUR, key: byEmail, redirectTo: '/auth/forgot-password' })
+], async (req, res) => {
   const { email } = req.body;
 
   try {
-    let user = await Patient.findOne({ email }) ||
-               await Doctor.findOne({ email }) ||
-               await Admin.findOne({ email });
+    const account = await findAccountByEmail(email);
+    const user = account && await findProfile(account);
 
+    // Same answer whether or not the email is registered.
     if (!user) {
-      req.flash('error_msg', 'User not found');
+      req.flash('success_msg', 'If an account exists for that email, a password reset link has been sent to it.');
       return res.redirect('/auth/forgot-password');
     }
 
-    const token = generateResetToken();
-    user.resetPasswordToken = token;
-    user.resetPasswordExpires = Date.now() + 3600000; 
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetTokenExpires = Date.now() + 3600000; 
+
+    account.resetPasswordToken = resetToken;
+    account.resetPasswordExpires = resetTokenExpires;
 
-    await user.save();
+    const resetUrl = `${APP_URL}/auth/reset-password?token=${resetToken}`;
 
-    await sendResetEmail(email, token);
+    await withTransaction(async (session) => {
+      await account.save({ session });
+      await queueResetPasswordEmail(account, user, resetUrl, session);
+    });
 
-    req.flash('success_msg', 'Reset link has been sent to your email.');
+    req.flash('success_msg', 'If an account exists for that email, a password reset link has been sent to it.');
     return res.redirect('/auth/forgot-password');
   } catch (err) {
     console.error('Error in forgot password:', err);
@@ -462,6 +717,10 @@ router.post('/forgot-password', async (req, res) => {
   }
 });
 
+const queueResetPasswordEmail = async (account, profile, resetUrl, session) => {
+  await enqueueEmail('password-reset', { to: account.email, locale: profile.locale, data: { name: profile.name, resetUrl } }, { session });
+};
+
 router.get('/reset-password', async (req, res) => {
   const { token } = req.query;
 
@@ -471,11 +730,9 @@ router.get('/reset-password', async (req, res) => {
   }
 
   try {
-    let user = await Patient.findOne({ resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } }) ||
-               await Doctor.findOne({ resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } }) ||
-               await Admin.findOne({ resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } });
+    const account = await Account.findOne({ resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } });
 
-    if (!user) {
+    if (!account) {
       req.flash('error_msg', 'Invalid or expired password reset token');
       return res.redirect('/auth/forgot-password');
     }
@@ -502,21 +759,28 @@ router.post('/reset-password', async (req, res) => {
   }
 
   try {
-    let user = await Patient.findOne({ resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } }) ||
-               await Doctor.findOne({ resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } }) ||
-               await Admin.findOne({ resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } });
+    const account = await Account.findOne({ resetPasswordToken: token, resetPasswordExpires: { $gt: Date.now() } });
 
-    if (!user) {
+    if (!account) {
       req.flash('error_msg', 'Invalid or expired password reset token');
       return res.redirect('/auth/forgot-password');
     }
 
     const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
-
-    await user.save();
+    account.password = await bcrypt.hash(newPassword, salt);
+    account.resetPasswordToken = undefined;
+    account.resetPasswordExpires = undefined;
+    // Following the emailed link proves the address, as verification would.
+    account.isVerified = true;
+    unlockAccount(account);
+
+    await withTransaction(async (session) => {
+      // Sign the account out of the mobile app everywhere.
+      await revokeAllTokens(account, { session });
+      await account.save({ session });
+    });
+    // And out of every browser.
+    await revokeOtherSessions(req.sessionStore, account._id);
 
     req.flash('success_msg', 'Password reset successful. Please login with your new password.');
     return res.redirect('/auth/login');
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { ICE_SERVERS, RoomAccessError, getRoomWindow, formatRoomTime, findRoomBooking } = require('../utils/videoRooms');
+const { requireRole } = require('../utils/auth');
+
+router.get('/:bookingId', requireRole('doctor', 'patient'), async (req, res) => {
+  try {
+    const booking = await findRoomBooking(req.params.bookingId, req.user);
+    const { closesAt } = getRoomWindow(booking);
+
+    res.render('videoRoom', {
+      booking,
+      role: req.user.role,
+      iceServers: ICE_SERVERS,
+      closesAt: formatRoomTime(closesAt)
+    });
+  } catch (err) {
+    if (err instanceof RoomAccessError) {
+      return res.status(err.status).send(err.message);
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -3,43 +3,38 @@ const router = express.Router();
 const multer = require('multer');
 const moment = require('moment');
 const methodOverride = require('method-override');
-const nodemailer = require('nodemailer');
-const { google } = require('googleapis');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Blog = require('../models/Blog');
 const Doctor = require('../models/Doctor');
 const Admin = require('../models/Admin'); 
 const Booking = require('../models/Booking');
 const Chat = require('../models/Chat');
+const Message = require('../models/Message');
 const Patient = require('../models/Patient');
 const Prescription = require('../models/Prescription');
 const Notification = require('../models/Notification');
+const { toMinutes, regenerateTemplateSlots, regenerateAvailability, removeTemplateSlots } = require('../utils/availability');
+const { withTransaction } = require('../utils/transactions');
+const { EmailInUseError, pickProfileFields, changeAccountEmail } = require('../utils/accounts');
+const { emitChatMessage, emitChatRead } = require('../sockets/chat');
+const { PAGE_SIZE, addMessage, postToConversation, listMessages, markRead, countUnread } = require('../utils/chatMessages');
+const { uploadAttachment, createAttachment, sendAttachment } = require('../utils/chatAttachments');
+const { sendPrescriptionPdf } = require('../utils/prescriptionPdf');
+const { allowedTransitions, InvalidTransitionError } = require('../utils/bookingLifecycle');
+const { updateBookingStatus } = require('../utils/bookings');
+const { requireRole, isOwner } = require('../utils/auth');
+const { csrfUpload } = require('../utils/csrf');
+const { scopeFor, findOwned, isDoctorsPatient } = require('../utils/policies');
+const { auditContext, snapshot, recordAudit, profileEditFields } = require('../utils/audit');
 
 
 require('dotenv').config();
 
-console.log('EMAIL_USER:', process.env.EMAIL_USER);
-console.log('EMAIL_PASSWORD:', process.env.EMAIL_PASSWORD);
-
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
 router.use(methodOverride('_method'));
 
-function isLoggedIn(req, res, next) {
-    if (req.session && req.session.user && req.session.user.role === 'doctor') {
-        req.user = req.session.user;
-        return next();
-    } else {
-        console.warn('Unauthorized access attempt:', {
-            ip: req.ip,
-            originalUrl: req.originalUrl,
-            user: req.session.user ? req.session.user.email : 'Guest'
-        });
-        res.redirect('/auth/login');
-    }
-}
-
 function checkSubscription(req, res, next) {
     const user = req.session.user;
     if (user.subscriptionType === 'Premium' || user.subscriptionType === 'Standard') {
@@ -50,14 +45,7 @@ function checkSubscription(req, res, next) {
     res.redirect('/doctor/subscription-message');
 }
 
-function isDoctor(req, res, next) {
-    if (req.session.user && req.session.user.role === 'doctor') {
-        return next();
-    }
-    res.redirect('/auth/login');
-}
-
-router.get('/doctor-index', isDoctor, isLoggedIn, async (req, res) => {
+router.get('/doctor-index', requireRole('doctor'), async (req, res) => {
     try {
         const doctorEmail = req.session.user.email;
 
@@ -75,7 +63,7 @@ router.get('/doctor-index', isDoctor, isLoggedIn, async (req, res) => {
 });
 
 
-router.get('/profile', isLoggedIn, async (req, res) => {
+router.get('/profile', requireRole('doctor'), async (req, res) => {
     try {
       const doctorEmail = req.session.user.email;
       const doctor = await Doctor.findOne({ email: doctorEmail }).lean();
@@ -89,7 +77,7 @@ router.get('/profile', isLoggedIn, async (req, res) => {
     }
   });
   
-  router.get('/edit', isLoggedIn, async (req, res) => {
+  router.get('/edit', requireRole('doctor'), async (req, res) => {
     try {
       const doctorEmail = req.session.user.email;
       const doctor = await Doctor.findOne({ email: doctorEmail }).lean();
@@ -106,7 +94,12 @@ router.get('/profile', isLoggedIn, async (req, res) => {
   });
   
   
-  router.post('/profile/update', upload.single('profilePicture'), isLoggedIn, async (req, res) => {
+  // What a doctor may change from the profile form, besides the lists and
+  // hospitals handled below, the picture and the email (which moves the
+  // account's email too).
+  const PROFILE_FIELDS = ['name', 'aboutMe', 'title', 'country', 'state', 'city', 'availability', 'gender', 'dateOfBirth', 'bloodGroup', 'website', 'socialHandles', 'consultation', 'locale', 'meetingLink', 'timeZone', 'conditions'];
+
+  router.post('/profile/update', requireRole('doctor'), csrfUpload(upload.single('profilePicture')), async (req, res) => {
     try {
       const doctorEmail = req.session.user.email;
       let doctor = await Doctor.findOne({ email: doctorEmail });
@@ -133,7 +126,7 @@ router.get('/profile', isLoggedIn, async (req, res) => {
       }
   
       const updateData = {
-        ...req.body,
+        ...pickProfileFields(req.body, PROFILE_FIELDS),
         aboutMe: req.body.aboutMe || doctor.aboutMe,  
         speciality: Array.isArray(req.body.speciality) ? req.body.speciality : [req.body.speciality],
         languages: Array.isArray(req.body.languages) ? req.body.languages : [req.body.languages],
@@ -150,17 +143,34 @@ router.get('/profile', isLoggedIn, async (req, res) => {
         };
       }
   
-      doctor = await Doctor.findOneAndUpdate({ email: doctorEmail }, updateData, { new: true });
-  
-      await doctor.save();
+      const fields = profileEditFields(updateData);
+      const before = snapshot(doctor, fields);
+
+      doctor = await withTransaction(async (session) => {
+        updateData.email = await changeAccountEmail(doctor, req.body.email, session);
+        const updated = await Doctor.findOneAndUpdate({ email: doctorEmail }, updateData, { new: true, session });
+
+        await recordAudit(auditContext(req), {
+          action: 'doctor.edit-profile',
+          target: { type: 'Doctor', id: updated._id, label: updated.email },
+          before,
+          after: snapshot(updated, fields),
+          reason: req.file ? 'Profile picture replaced' : undefined
+        }, session);
+        return updated;
+      });
+      req.session.user.email = doctor.email;
   
       res.redirect('/doctor/profile');
     } catch (err) {
+      if (err instanceof EmailInUseError) {
+        return res.status(err.status).send(err.message);
+      }
       console.error(err.message);
       res.status(500).send('Server Error');
     }
   });
-  router.get('/insights', isLoggedIn, async (req, res) => {
+  router.get('/insights', requireRole('doctor'), async (req, res) => {
     try {
         const doctorEmail = req.session.user.email;
         const doctor = await Doctor.findOne({ email: doctorEmail });
@@ -183,10 +193,9 @@ router.get('/profile', isLoggedIn, async (req, res) => {
             }
         ]);
 
-        const totalUnreadMessages = await Chat.aggregate([
-            { $match: { doctorId: doctor._id } },
-            { $unwind: '$messages' },
-            { $match: { 'messages.read': false, 'messages.senderId': { $ne: doctor._id } } },
+        const doctorChatIds = await Chat.find({ doctorId: doctor._id }).distinct('_id');
+        const totalUnreadMessages = await Message.aggregate([
+            { $match: { chatId: { $in: doctorChatIds }, read: false, senderId: { $ne: doctor._id } } },
             { $count: 'unreadCount' }
         ]);
 
@@ -205,7 +214,21 @@ router.get('/profile', isLoggedIn, async (req, res) => {
 });
 
   
-router.post('/profile/verify', isLoggedIn, async (req, res) => {
+router.post('/profile/reminders', requireRole('doctor'), async (req, res) => {
+    try {
+        await Doctor.updateOne(
+            { email: req.session.user.email },
+            { reminderOptOut: req.body.reminderOptOut === 'on' }
+        );
+
+        res.redirect('/doctor/profile');
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.post('/profile/verify', requireRole('doctor'), async (req, res) => {
     try {
         const doctorEmail = req.session.user.email;
         let doctor = await Doctor.findOne({ email: doctorEmail });
@@ -225,27 +248,30 @@ router.post('/profile/verify', isLoggedIn, async (req, res) => {
     }
 });
 
-router.get('/bookings', isLoggedIn, checkSubscription, async (req, res) => {
+router.get('/bookings', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
-        const bookings = await Booking.find({ doctor: req.session.user._id }).populate('patient');
-        res.render('doctorBookings', { bookings });
+        const bookings = await Booking.find(scopeFor('booking', req.user)).populate('patient');
+        res.render('doctorBookings', {
+            bookings,
+            nextStatuses: booking => allowedTransitions(booking.status, 'doctor')
+        });
     } catch (error) {
         console.error(error.message);
         res.status(500).send('Server Error');
     }
 });
 
-router.get('/subscription-message', isLoggedIn, (req, res) => {
+router.get('/subscription-message', requireRole('doctor'), (req, res) => {
     res.render('subscriptionMessage');
 });
 
 
-router.post('/bookings/:id', isLoggedIn, async (req, res) => {
+router.post('/bookings/:id', requireRole('doctor'), async (req, res) => {
     try {
-        const { status } = req.body;
+        const { status, reason } = req.body;
         const bookingId = req.params.id;
 
-        const booking = await Booking.findById(bookingId)
+        const booking = await findOwned('booking', bookingId, req.user)
             .populate('doctor')
             .populate('patient');
 
@@ -253,177 +279,29 @@ router.post('/bookings/:id', isLoggedIn, async (req, res) => {
             return res.status(404).send('Booking not found');
         }
 
-        const currentStatus = booking.status;
-
-        const now = moment();
-
-        const bookingDate = moment(booking.date);
-        const bookingTimeStart = moment(booking.time.split(' - ')[0], 'HH:mm');
-        const bookingTimeEnd = moment(booking.time.split(' - ')[1], 'HH:mm');
-
-        const bookingStartDateTime = moment(bookingDate).set({
-            hour: bookingTimeStart.get('hour'),
-            minute: bookingTimeStart.get('minute')
-        });
-
-        const bookingEndDateTime = moment(bookingDate).set({
-            hour: bookingTimeEnd.get('hour'),
-            minute: bookingTimeEnd.get('minute')
-        });
-
-        if (now.isAfter(bookingEndDateTime)) {
-            booking.status = 'completed';
-        } else {
-            booking.status = status;
-        }
-
-        if (status === 'accepted' && !booking.meetingLink && booking.consultationType === 'Video call') {
-            booking.meetingLink = await createGoogleMeetLink(booking);
-        }
-
-        await booking.save();
-
-        const doctor = booking.doctor;
-
-        if (!doctor) {
+        if (!booking.doctor) {
             return res.status(404).send('Doctor not found');
         }
 
-        const timeSlotIndex = doctor.timeSlots.findIndex(slot =>
-            slot.date.toISOString() === booking.date.toISOString() &&
-            slot.startTime === booking.time.split(' - ')[0]
-        );
-
-        if (timeSlotIndex !== -1) {
-            if (currentStatus === 'rejected' && (status === 'waiting' || status === 'accepted')) {
-                doctor.timeSlots[timeSlotIndex].status = 'booked';
-            } else if (status === 'rejected') {
-                doctor.timeSlots[timeSlotIndex].status = 'free';
-            } else {
-                doctor.timeSlots[timeSlotIndex].status = 'booked';
-            }
-
-            await doctor.save();
-
-            if (status === 'accepted' || status === 'rejected') {
-                let emailSubject, emailContent;
-
-                if (status === 'accepted') {
-                    if (booking.consultationType === 'Video call') {
-                        emailSubject = 'Appointment Confirmation';
-                        emailContent = `<div style="font-family: Helvetica, Arial, sans-serif; min-width: 1000px; overflow: auto; line-height: 2;">
-                                            <div style="margin: 50px auto; width: 70%; padding: 20px 0;">
-                                                <div style="border-bottom: 1px solid #eee;">
-                                                    <a href="" style="font-size: 1.4em; color: #00466a; text-decoration: none; font-weight: 600;">Global Wellness Alliance</a>
-                                                </div>
-                                                <p style="font-size: 1.1em;">Hi ${booking.patient.name},</p>
-                                                <p>Your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been confirmed.</p>
-                                                <p>Join the meeting using the following link:</p>
-                                                <a href="${booking.meetingLink}" style="background: #00466a; margin: 0 auto; width: max-content; padding: 0 10px; color: #fff; border-radius: 4px; text-decoration: none;">${booking.meetingLink}</a>
-                                                <p style="font-size: 0.9em;">Best regards,<br />Global Wellness Alliance Team</p>
-                                                <hr style="border: none; border-top: 1px solid #eee;" />
-                                                <div style="float: right; padding: 8px 0; color: #aaa; font-size: 0.8em; line-height: 1; font-weight: 300;">
-                                                    <p>Global Wellness Alliance</p>
-                                                    <p>1600 Amphitheatre Parkway</p>
-                                                    <p>California</p>
-                                                </div>
-                                            </div>
-                                        </div>`;
-                        await sendAppointmentEmail(booking.patient.email, booking.patient.name, emailSubject, emailContent);
-
-                        const acceptanceEmailContent = `<div style="font-family: Helvetica, Arial, sans-serif; min-width: 1000px; overflow: auto; line-height: 2;">
-                                                            <div style="margin: 50px auto; width: 70%; padding: 20px 0;">
-                                                                <div style="border-bottom: 1px solid #eee;">
-                                                                    <a href="" style="font-size: 1.4em; color: #00466a; text-decoration: none; font-weight: 600;">Global Wellness Alliance</a>
-                                                                </div>
-                                                                <p style="font-size: 1.1em;">Hi Dr. ${doctor.name},</p>
-                                                                <p>The appointment with ${booking.patient.name} on ${booking.date.toDateString()} at ${booking.time} has been confirmed.</p>
-                                                                <p>Join the meeting using the following link:</p>
-                                                                <a href="${booking.meetingLink}" style="background: #00466a; margin: 0 auto; width: max-content; padding: 0 10px; color: #fff; border-radius: 4px; text-decoration: none;">${booking.meetingLink}</a>
-                                                                <p style="font-size: 0.9em;">Best regards,<br />Global Wellness Alliance Team</p>
-                                                                <hr style="border: none; border-top: 1px solid #eee;" />
-                                                                <div style="float: right; padding: 8px 0; color: #aaa; font-size: 0.8em; line-height: 1; font-weight: 300;">
-                                                                    <p>Global Wellness Alliance</p>
-                                                                    <p>1600 Amphitheatre Parkway</p>
-                                                                    <p>California</p>
-                                                                </div>
-                                                            </div>
-                                                        </div>`;
-                        await sendAppointmentEmail(doctor.email, doctor.name, 'Appointment Confirmation Notification', acceptanceEmailContent);
-
-                        let chatMessage = `Your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been confirmed. Join the meeting using the following link: ${booking.meetingLink}`;
-                        await Chat.findOneAndUpdate(
-                            { doctorId: booking.doctor, patientId: booking.patient },
-                            { $push: { messages: { senderId: booking.doctor, text: chatMessage, timestamp: new Date() } } },
-                            { upsert: true, new: true }
-                        );
-                    } else if (booking.consultationType === 'In-person') {
-                        emailSubject = 'Appointment Confirmation';
-                        emailContent = `<div style="font-family: Helvetica, Arial, sans-serif; min-width: 1000px; overflow: auto; line-height: 2;">
-                                            <div style="margin: 50px auto; width: 70%; padding: 20px 0;">
-                                                <div style="border-bottom: 1px solid #eee;">
-                                                    <a href="" style="font-size: 1.4em; color: #00466a; text-decoration: none; font-weight: 600;">Global Wellness Alliance</a>
-                                                </div>
-                                                <p style="font-size: 1.1em;">Hi ${booking.patient.name},</p>
-                                                <p>Your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been confirmed.</p>
-                                                <p>Please visit the hospital at ${booking.hospital.name}, ${booking.hospital.location.street}, ${booking.hospital.location.city}, ${booking.hospital.location.state}, ${booking.hospital.location.country}, ${booking.hospital.location.zip}</p>
-                                                <p style="font-size: 0.9em;">Best regards,<br />Global Wellness Alliance Team</p>
-                                                <hr style="border: none; border-top: 1px solid #eee;" />
-                                                <div style="float: right; padding: 8px 0; color: #aaa; font-size: 0.8em; line-height: 1; font-weight: 300;">
-                                                    <p>Global Wellness Alliance</p>
-                                                    <p>1600 Amphitheatre Parkway</p>
-                                                    <p>California</p>
-                                                </div>
-                                            </div>
-                                        </div>`;
-                        await sendAppointmentEmail(booking.patient.email, booking.patient.name, emailSubject, emailContent);
-
-                        let chatMessage = `Your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been confirmed. Please visit the hospital at ${booking.hospital.name}, ${booking.hospital.location.street}, ${booking.hospital.location.city}, ${booking.hospital.location.state}, ${booking.hospital.location.country}, ${booking.hospital.location.zip}`;
-                        await Chat.findOneAndUpdate(
-                            { doctorId: booking.doctor, patientId: booking.patient },
-                            { $push: { messages: { senderId: booking.doctor, text: chatMessage, timestamp: new Date() } } },
-                            { upsert: true, new: true }
-                        );
-                    }
-                } else if (status === 'rejected') {
-                    emailSubject = 'Appointment Rejection';
-                    emailContent = `<div style="font-family: Helvetica, Arial, sans-serif; min-width: 1000px; overflow: auto; line-height: 2;">
-                                        <div style="margin: 50px auto; width: 70%; padding: 20px 0;">
-                                            <div style="border-bottom: 1px solid #eee;">
-                                                <a href="" style="font-size: 1.4em; color: #00466a; text-decoration: none; font-weight: 600;">Global Wellness Alliance</a>
-                                            </div>
-                                            <p style="font-size: 1.1em;">Hi ${booking.patient.name},</p>
-                                            <p>We regret to inform you that your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been rejected.</p>
-                                            <p style="font-size: 0.9em;">Best regards,<br />Global Wellness Alliance Team</p>
-                                            <hr style="border: none; border-top: 1px solid #eee;" />
-                                            <div style="float: right; padding: 8px 0; color: #aaa; font-size: 0.8em; line-height: 1; font-weight: 300;">
-                                                <p>Global Wellness Alliance</p>
-                                                <p>1600 Amphitheatre Parkway</p>
-                                                <p>California</p>
-                                            </div>
-                                        </div>
-                                    </div>`;
-                    await sendAppointmentEmail(booking.patient.email, booking.patient.name, emailSubject, emailContent);
-
-                    let chatMessage = `We regret to inform you that your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been rejected.`;
-                    await Chat.findOneAndUpdate(
-                        { doctorId: booking.doctor, patientId: booking.patient },
-                        { $push: { messages: { senderId: booking.doctor, text: chatMessage, timestamp: new Date() } } },
-                        { upsert: true, new: true }
-                    );
-                }
-            }
-        }
+        await updateBookingStatus(booking, status, {
+            actor: req.user._id,
+            reason,
+            baseUrl: `${req.protocol}://${req.get('host')}`,
+            audit: auditContext(req)
+        });
 
         res.redirect(`/doctor/bookings`);
     } catch (error) {
+        if (error instanceof InvalidTransitionError) {
+            return res.status(error.status).send(error.message);
+        }
         console.error(error);
         res.status(500).send('Server error');
     }
 });
 
 
-router.get('/completed-bookings', isLoggedIn, checkSubscription, async (req, res) => {
+router.get('/completed-bookings', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const doctorId = req.session.user._id; 
         const completedBookings = await Booking.find({ doctor: doctorId, status: 'completed' })
@@ -437,7 +315,7 @@ router.get('/completed-bookings', isLoggedIn, checkSubscription, async (req, res
     }
 });
 
-router.get('/reviews/:doctorId', isLoggedIn, async (req, res) => {
+router.get('/reviews/:doctorId', requireRole('doctor'), async (req, res) => {
     try {
         const doctorId = req.params.doctorId;
         if (!doctorId) {
@@ -464,10 +342,10 @@ router.get('/reviews/:doctorId', isLoggedIn, async (req, res) => {
 });
 
 
-router.get('/bookings/:id/prescription', isLoggedIn, checkSubscription, async (req, res) => {
+router.get('/bookings/:id/prescription', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const bookingId = req.params.id;
-        const booking = await Booking.findById(bookingId).populate('patient').populate('doctor');
+        const booking = await findOwned('booking', bookingId, req.user).populate('patient').populate('doctor');
         
         if (!booking) {
             return res.status(404).send('Booking not found');
@@ -497,9 +375,14 @@ router.get('/bookings/:id/prescription', isLoggedIn, checkSubscription, async (r
 });
 
 
-router.post('/prescriptions/upload', isLoggedIn, checkSubscription, async (req, res) => {
+router.post('/prescriptions/upload', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
-        const { patientId, doctorId, patientName, doctorName, doctorSpeciality, doctorEmail, patientAge, medicines, meetingDate, meetingTime } = req.body;
+        const { patientId, patientName, doctorName, doctorSpeciality, doctorEmail, patientAge, medicines, meetingDate, meetingTime } = req.body;
+        const doctorId = req.user._id;
+
+        if (!(await isDoctorsPatient(req.user, patientId))) {
+            return res.status(404).send('Patient not found');
+        }
 
         const processedMedicines = medicines.map(medicine => ({
             name: medicine.name,
@@ -526,16 +409,19 @@ router.post('/prescriptions/upload', isLoggedIn, checkSubscription, async (req,
             meetingTime
         });
 
-        await prescription.save();
+        await withTransaction(async (session) => {
+            await prescription.save({ session });
+            await recordAudit(auditContext(req), {
+                action: 'prescription.create',
+                target: { type: 'Prescription', id: prescription._id, label: patientName },
+                after: snapshot(prescription, ['patientId', 'doctorId', 'medicines', 'meetingDate', 'meetingTime'])
+            }, session);
+        });
 
         const downloadLink = `${req.protocol}://${req.get('host')}/patient/prescriptions/${prescription._id}/download`;
   
         const chatMessage = `You have a new prescription from Dr. ${doctorName}. You can download it using the following link: ${downloadLink}`;
-        await Chat.findOneAndUpdate(
-            { doctorId: doctorId, patientId: patientId },
-            { $push: { messages: { senderId: doctorId, text: chatMessage, timestamp: new Date() } } },
-            { upsert: true, new: true }
-        );
+        await postToConversation(doctorId, patientId, doctorId, chatMessage);
 
         res.redirect('/doctor/completed-bookings');
     } catch (error) {
@@ -545,15 +431,33 @@ router.post('/prescriptions/upload', isLoggedIn, checkSubscription, async (req,
 });
 
 
-router.get('/doctor-view/:id/prescriptions', isLoggedIn, checkSubscription, async (req, res) => {
+router.get('/prescriptions/:id/download', requireRole('doctor'), checkSubscription, async (req, res) => {
+    try {
+        const prescription = await findOwned('prescription', req.params.id, req.user)
+            .populate('doctorId', 'name speciality')
+            .exec();
+
+        if (!prescription) {
+            return res.status(404).send('Prescription not found');
+        }
+
+        await sendPrescriptionPdf(res, prescription);
+    } catch (error) {
+        console.error(error.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/doctor-view/:id/prescriptions', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const patientId = req.params.id;
-        const prescriptions = await Prescription.find({ patientId }).populate('doctorId').populate('patientId');
 
-        if (!prescriptions) {
+        if (!(await isDoctorsPatient(req.user, patientId))) {
             return res.status(404).send('No prescriptions found for this patient');
         }
 
+        const prescriptions = await Prescription.find({ patientId }).populate('doctorId').populate('patientId');
+
         res.render('view-prescriptions', {
             prescriptions
         });
@@ -563,7 +467,7 @@ router.get('/doctor-view/:id/prescriptions', isLoggedIn, checkSubscription, asyn
     }
 });
 
-router.get('/manage-time-slots', isLoggedIn, checkSubscription, async (req, res) => {
+router.get('/manage-time-slots', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const doctorEmail = req.session.user.email;
         const doctor = await Doctor.findOne({ email: doctorEmail }).populate('timeSlots.hospital').exec();
@@ -612,7 +516,7 @@ router.get('/manage-time-slots', isLoggedIn, checkSubscription, async (req, res)
     }
 });
 
-router.delete('/manage-time-slots/:index', isLoggedIn, checkSubscription, async (req, res) => {
+router.delete('/manage-time-slots/:index', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const doctorEmail = req.session.user.email;
         const { index } = req.params;
@@ -633,7 +537,7 @@ router.delete('/manage-time-slots/:index', isLoggedIn, checkSubscription, async
     }
 });
 
-router.post('/add-time-slot', isLoggedIn, checkSubscription, async (req, res) => {
+router.post('/add-time-slot', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const doctorEmail = req.session.user.email;
         const { date, startTime, endTime, hospital } = req.body;
@@ -674,82 +578,198 @@ router.post('/add-time-slot', isLoggedIn, checkSubscription, async (req, res) =>
     }
 });
 
+router.get('/availability', requireRole('doctor'), checkSubscription, async (req, res) => {
+    try {
+        const doctor = await Doctor.findOne({ email: req.session.user.email }).lean();
+        if (!doctor) {
+            return res.status(404).send('Doctor not found');
+        }
 
-async function createGoogleMeetLink(booking) {
-    const oauth2Client = new google.auth.OAuth2(
-        process.env.GOOGLE_CLIENT_ID,
-        process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_REDIRECT_URI
-    );
-
-    oauth2Client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
-
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-    const event = {
-        summary: `Appointment with Dr. ${booking.doctor.name}`,
-        description: `Appointment with Dr. ${booking.doctor.name} and patient ${booking.patient.name}`,
-        start: {
-            dateTime: booking.date.toISOString(),
-            timeZone: 'America/Los_Angeles',
-        },
-        end: {
-            dateTime: new Date(booking.date.getTime() + 30 * 60000).toISOString(),
-            timeZone: 'America/Los_Angeles',
-        },
-        attendees: [
-            { email: booking.doctor.email },
-            { email: booking.patient.email },
-        ],
-        conferenceData: {
-            createRequest: {
-                requestId: 'some-random-string',
-                conferenceSolutionKey: {
-                    type: 'hangoutsMeet'
-                }
-            }
-        },
-    };
+        res.render('availabilityTemplates', {
+            doctor,
+            templates: doctor.availabilityTemplates || [],
+            weekdays: moment.weekdays(),
+            success_msg: req.flash('success_msg'),
+            error_msg: req.flash('error_msg')
+        });
+    } catch (error) {
+        console.error(error.message);
+        res.status(500).send('Server Error');
+    }
+});
 
+router.post('/availability', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
-        const response = await calendar.events.insert({
-            calendarId: 'primary',
-            resource: event,
-            conferenceDataVersion: 1,
+        const { hospital, startTime, endTime } = req.body;
+        const days = [].concat(req.body.days || []).map(Number);
+        const slotDuration = parseInt(req.body.slotDuration, 10);
+        const horizonDays = parseInt(req.body.horizonDays, 10) || 28;
+
+        const doctor = await Doctor.findOne({ email: req.session.user.email });
+        if (!doctor) {
+            return res.status(404).send('Doctor not found');
+        }
+
+        if (!doctor.hospitals.some(h => h.name === hospital)) {
+            req.flash('error_msg', 'Hospital not found');
+            return res.redirect('/doctor/availability');
+        }
+
+        const validTime = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if (days.length === 0 || days.some(day => !(day >= 0 && day <= 6))) {
+            req.flash('error_msg', 'Select at least one day of the week');
+            return res.redirect('/doctor/availability');
+        }
+        if (!validTime.test(startTime) || !validTime.test(endTime) || toMinutes(startTime) >= toMinutes(endTime)) {
+            req.flash('error_msg', 'End time must be after start time');
+            return res.redirect('/doctor/availability');
+        }
+        if (isNaN(slotDuration) || slotDuration < 5 || slotDuration > toMinutes(endTime) - toMinutes(startTime)) {
+            req.flash('error_msg', 'Slot length must fit between the start and end time');
+            return res.redirect('/doctor/availability');
+        }
+
+        doctor.availabilityTemplates.push({
+            hospital,
+            weeklyRules: days.map(dayOfWeek => ({ dayOfWeek, startTime, endTime })),
+            slotDuration,
+            horizonDays: Math.min(Math.max(horizonDays, 1), 180)
         });
 
-        return response.data.hangoutLink;
+        const template = doctor.availabilityTemplates[doctor.availabilityTemplates.length - 1];
+        regenerateTemplateSlots(doctor, template);
+        await doctor.save();
+
+        req.flash('success_msg', 'Availability template saved and time slots generated.');
+        res.redirect('/doctor/availability');
     } catch (error) {
-        console.error('Error creating Google Meet link:', error);
-        throw new Error('Unable to create Google Meet link');
+        console.error(error.message);
+        res.status(500).send('Server Error');
     }
-}
+});
 
-async function sendAppointmentEmail(to, name, subject, content) {
-    const transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-            user: process.env.EMAIL_USER,
-            pass: process.env.EMAIL_PASSWORD,
-        },
-    });
+router.post('/availability/:templateId/exceptions', requireRole('doctor'), checkSubscription, async (req, res) => {
+    try {
+        const { date, reason } = req.body;
+
+        const doctor = await Doctor.findOne({ email: req.session.user.email });
+        if (!doctor) {
+            return res.status(404).send('Doctor not found');
+        }
+
+        const template = doctor.availabilityTemplates.id(req.params.templateId);
+        if (!template) {
+            return res.status(404).send('Availability template not found');
+        }
+
+        if (!date || isNaN(new Date(date))) {
+            req.flash('error_msg', 'Invalid exception date');
+            return res.redirect('/doctor/availability');
+        }
+
+        template.exceptions.push({ date: new Date(date), reason });
+        regenerateTemplateSlots(doctor, template);
+        await doctor.save();
+
+        req.flash('success_msg', 'Exception added. Booked slots on that day were kept.');
+        res.redirect('/doctor/availability');
+    } catch (error) {
+        console.error(error.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.post('/availability/:templateId/exceptions/:exceptionId/delete', requireRole('doctor'), checkSubscription, async (req, res) => {
+    try {
+        const doctor = await Doctor.findOne({ email: req.session.user.email });
+        if (!doctor) {
+            return res.status(404).send('Doctor not found');
+        }
+
+        const template = doctor.availabilityTemplates.id(req.params.templateId);
+        if (!template) {
+            return res.status(404).send('Availability template not found');
+        }
+
+        template.exceptions.pull(req.params.exceptionId);
+        regenerateTemplateSlots(doctor, template);
+        await doctor.save();
+
+        res.redirect('/doctor/availability');
+    } catch (error) {
+        console.error(error.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.post('/availability/:templateId/toggle', requireRole('doctor'), checkSubscription, async (req, res) => {
+    try {
+        const doctor = await Doctor.findOne({ email: req.session.user.email });
+        if (!doctor) {
+            return res.status(404).send('Doctor not found');
+        }
+
+        const template = doctor.availabilityTemplates.id(req.params.templateId);
+        if (!template) {
+            return res.status(404).send('Availability template not found');
+        }
+
+        template.active = !template.active;
+        regenerateTemplateSlots(doctor, template);
+        await doctor.save();
 
-    const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to,
-        subject,
-        html: content,
-    };
+        res.redirect('/doctor/availability');
+    } catch (error) {
+        console.error(error.message);
+        res.status(500).send('Server Error');
+    }
+});
 
+router.post('/availability/:templateId/delete', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
-        await transporter.sendMail(mailOptions);
+        const doctor = await Doctor.findOne({ email: req.session.user.email });
+        if (!doctor) {
+            return res.status(404).send('Doctor not found');
+        }
+
+        const template = doctor.availabilityTemplates.id(req.params.templateId);
+        if (!template) {
+            return res.status(404).send('Availability template not found');
+        }
+
+        removeTemplateSlots(doctor, template._id);
+        doctor.availabilityTemplates.pull(template._id);
+        await doctor.save();
+
+        req.flash('success_msg', 'Availability template removed. Booked slots were kept.');
+        res.redirect('/doctor/availability');
     } catch (error) {
-        console.error('Error sending email:', error);
-        throw new Error('Unable to send email');
+        console.error(error.message);
+        res.status(500).send('Server Error');
     }
-}
+});
+
+router.post('/availability/regenerate', requireRole('doctor'), checkSubscription, async (req, res) => {
+    try {
+        const doctor = await Doctor.findOne({ email: req.session.user.email });
+        if (!doctor) {
+            return res.status(404).send('Doctor not found');
+        }
+
+        regenerateAvailability(doctor);
+        await doctor.save();
+
+        req.flash('success_msg', 'Time slots regenerated from your availability templates.');
+        res.redirect('/doctor/availability');
+    } catch (error) {
+        console.error(error.message);
+        req.flash('error_msg', error.message);
+        res.redirect('/doctor/availability');
+    }
+});
+
 
-router.get('/calendar', isLoggedIn, checkSubscription, async (req, res) => {
+router.get('/calendar', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const doctorId = req.session.user._id; 
         const doctor = await Doctor.findById(doctorId);
@@ -806,11 +826,11 @@ router.get('/calendar', isLoggedIn, checkSubscription, async (req, res) => {
 
 router.use(methodOverride('_method'));
 
-router.get('/subscribe', isLoggedIn, async (req, res) => {
+router.get('/subscribe', requireRole('doctor'), async (req, res) => {
     res.render('subscriptionForm');
 });
 
-router.post('/subscribe', upload.fields([{ name: 'licenseProof' }, { name: 'certificationProof' }, { name: 'businessProof' }]), isLoggedIn, async (req, res) => {
+router.post('/subscribe', requireRole('doctor'), csrfUpload(upload.fields([{ name: 'licenseProof' }, { name: 'certificationProof' }, { name: 'businessProof' }])), async (req, res) => {
     try {
     const { subscriptionType } = req.body;
     const paymentDetails = req.body.paymentDetails;
@@ -862,7 +882,7 @@ router.post('/subscribe', upload.fields([{ name: 'licenseProof' }, { name: 'cert
     }
     });
     
-router.get('/subscription-success', async (req, res) => {
+router.get('/subscription-success', requireRole('doctor'), async (req, res) => {
         try {
             const session = await stripe.checkout.sessions.retrieve(req.query.session_id);
         
@@ -905,16 +925,16 @@ router.get('/subscription-success', async (req, res) => {
     });
     
 
-router.get('/subscription-failure', (req, res) => {
+router.get('/subscription-failure', requireRole('doctor'), (req, res) => {
     res.send('Subscription payment failed. Please try again.');
 });
 
 
-router.get('/blog', (req, res) => {
+router.get('/blog', requireRole('doctor'), (req, res) => {
     res.render('blog-upload-form'); 
 });
 
-router.post('/blog', isLoggedIn, checkSubscription, upload.single('image'), async (req, res) => {
+router.post('/blog', requireRole('doctor'), checkSubscription, csrfUpload(upload.single('image')), async (req, res) => {
     try {
         const authorEmail = req.session.user.email;
         const { title, author, description, summary, categories, hashtags, priority } = req.body;
@@ -954,7 +974,7 @@ router.post('/blog', isLoggedIn, checkSubscription, upload.single('image'), asyn
 
 
 
-router.get('/profile/blogs', isLoggedIn, async (req, res) => {
+router.get('/profile/blogs', requireRole('doctor'), async (req, res) => {
     try {
       const doctorEmail = req.session.user.email; 
   
@@ -967,7 +987,7 @@ router.get('/profile/blogs', isLoggedIn, async (req, res) => {
     }
   });
 
-router.get('/blogs/edit/:id', isLoggedIn, async (req, res) => {
+router.get('/blogs/edit/:id', requireRole('doctor'), async (req, res) => {
     try {
       const blog = await Blog.findById(req.params.id);
   
@@ -976,17 +996,7 @@ router.get('/blogs/edit/:id', isLoggedIn, async (req, res) => {
         return res.status(404).send('Blog not found');
       }
   
-      if (!req.session.user || !req.session.user._id) {
-        console.error('Unauthorized: No user session found');
-        return res.status(403).send('Unauthorized');
-      }
-  
-      if (!blog.authorId) {
-        console.error('Blog author ID is not defined');
-        return res.status(403).send('Unauthorized');
-      }
-  
-      if (blog.authorId.toString() !== req.session.user._id.toString()) {
+      if (!isOwner(req.user, blog.authorId)) {
         return res.status(403).send('Unauthorized');
       }
   
@@ -1000,7 +1010,7 @@ router.get('/blogs/edit/:id', isLoggedIn, async (req, res) => {
   
   
 
-router.post('/blogs/edit/:id', isLoggedIn, checkSubscription, upload.single('image'), async (req, res) => {
+router.post('/blogs/edit/:id', requireRole('doctor'), checkSubscription, csrfUpload(upload.single('image')), async (req, res) => {
     try {
         const blog = await Blog.findById(req.params.id);
 
@@ -1008,7 +1018,7 @@ router.post('/blogs/edit/:id', isLoggedIn, checkSubscription, upload.single('ima
             return res.status(404).send('Blog not found');
         }
 
-        if (blog.authorId.toString() !== req.session.user._id.toString()) {
+        if (!isOwner(req.user, blog.authorId)) {
             return res.status(403).send('Unauthorized');
         }
 
@@ -1036,7 +1046,7 @@ router.post('/blogs/edit/:id', isLoggedIn, checkSubscription, upload.single('ima
     }
 });
 
-router.get('/dashboard', isLoggedIn, checkSubscription, async (req, res) => {
+router.get('/dashboard', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const doctor = await Doctor.findOne({ email: req.session.user.email }).lean();
         if (!doctor) {
@@ -1048,10 +1058,9 @@ router.get('/dashboard', isLoggedIn, checkSubscription, async (req, res) => {
             .sort({ updatedAt: -1 })
             .lean(); 
 
+        const unreadCounts = await countUnread(chats.map(chat => chat._id), doctor._id);
         chats.forEach(chat => {
-            chat.unreadCount = chat.messages.filter(message => 
-                !message.read && message.senderId.toString() !== doctor._id.toString()
-            ).length;
+            chat.unreadCount = unreadCounts[chat._id.toString()] || 0;
         });
 
         res.render('doctorDashboard', { doctor, chats });
@@ -1063,7 +1072,7 @@ router.get('/dashboard', isLoggedIn, checkSubscription, async (req, res) => {
 
 
 
-router.post('/chats/:chatId/send-message', isLoggedIn, async (req, res) => {
+router.post('/chats/:chatId/send-message', requireRole('doctor'), csrfUpload(uploadAttachment), async (req, res) => {
     try {
         const { message } = req.body;
         const doctor = await Doctor.findOne({ email: req.session.user.email });
@@ -1073,11 +1082,27 @@ router.post('/chats/:chatId/send-message', isLoggedIn, async (req, res) => {
             return res.status(404).send('Doctor not found');
         }
 
-        let chat = await Chat.findOneAndUpdate(
-            { _id: chatId, doctorId: doctor._id },
-            { $push: { messages: { senderId: doctor._id, text: message, timestamp: new Date(), read: false } } },
-            { upsert: true, new: true }
-        );
+        if (!message && !req.file) {
+            return res.status(400).send('Message is empty');
+        }
+
+        const chat = await findOwned('chat', chatId, req.user);
+
+        if (!chat) {
+            return res.status(404).send('Chat not found');
+        }
+
+        const attachment = req.file ? await createAttachment(chat._id, doctor._id, req.file) : null;
+        const sentMessage = (await addMessage(chat._id, {
+            senderId: doctor._id,
+            text: message,
+            attachment: attachment ? attachment._id : undefined
+        })).toObject();
+
+        if (attachment) {
+            sentMessage.attachment = { _id: attachment._id, fileName: attachment.fileName, contentType: attachment.contentType };
+        }
+        emitChatMessage(req.app.get('io'), chat._id, sentMessage);
 
         const patient = await Patient.findById(chat.patientId);
 
@@ -1099,30 +1124,39 @@ router.post('/chats/:chatId/send-message', isLoggedIn, async (req, res) => {
     }
 });
 
+router.get('/chats/:chatId/attachments/:attachmentId', requireRole('doctor'), async (req, res) => {
+    try {
+        const chat = await findOwned('chat', req.params.chatId, req.user);
+
+        if (!chat) {
+            return res.status(404).send('Chat not found');
+        }
+
+        await sendAttachment(req, res, chat._id);
+    } catch (error) {
+        console.error(error.message);
+        res.status(500).send('Server Error');
+    }
+});
+
   
 
-router.get('/chat/:id', isLoggedIn, checkSubscription, async (req, res) => {
+router.get('/chat/:id', requireRole('doctor'), checkSubscription, async (req, res) => {
     try {
         const chatId = req.params.id;
-        const chat = await Chat.findById(chatId).populate('patientId').lean();
+        const chat = await findOwned('chat', chatId, req.user).populate('patientId').lean();
 
         if (!chat) {
             return res.status(404).send('Chat not found');
         }
 
-        const updatedChat = await Chat.findById(chatId);
-
-        if (updatedChat) {
-            updatedChat.messages.forEach(message => {
-                if (message.senderId.toString() !== req.user._id.toString() && !message.read) {
-                    message.read = true;
-                }
-            });
-
-            await updatedChat.save();
+        if (await markRead(chat._id, req.user._id)) {
+            emitChatRead(req.app.get('io'), chat._id, req.user._id);
         }
 
-        res.render('doctorChat', { chat: updatedChat.toObject() });
+        const { messages, nextCursor } = await listMessages(chat, req.user);
+
+        res.render('doctorChat', { chat, messages, nextCursor, userId: req.user._id });
 
     } catch (err) {
         console.error(err.message);
@@ -1130,8 +1164,24 @@ router.get('/chat/:id', isLoggedIn, checkSubscription, async (req, res) => {
     }
 });
 
+router.get('/chat/:id/messages', requireRole('doctor'), checkSubscription, async (req, res) => {
+    try {
+        const chat = await findOwned('chat', req.params.id, req.user).lean();
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE, 100);
+        res.json(await listMessages(chat, req.user, { before: req.query.before, limit }));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
 
-router.get('/blogs/view/:id', isLoggedIn, checkSubscription,async (req, res) => {
+router.get('/blogs/view/:id', requireRole('doctor'), checkSubscription,async (req, res) => {
     try {
         const blogId = req.params.id;
         const blog = await Blog.findById(blogId).lean();
@@ -1147,7 +1197,7 @@ router.get('/blogs/view/:id', isLoggedIn, checkSubscription,async (req, res) =>
     }
   });
   
-router.post('/blogs/comment/:id', isLoggedIn, async (req, res) => {
+router.post('/blogs/comment/:id', requireRole('doctor'), async (req, res) => {
     try {
         const { comment } = req.body;
         const blogId = req.params.id;
@@ -1235,9 +1285,9 @@ router.get('/blogs', async (req, res) => {
     }
   });
 
-router.get('/notifications', isLoggedIn, async (req, res) => {
+router.get('/notifications', requireRole('doctor'), async (req, res) => {
 try {
-    const notifications = await Notification.find({ userId: req.user._id }).lean();
+    const notifications = await Notification.find(scopeFor('notification', req.user)).lean();
     res.render('doctorNotifications', { notifications });
 } catch (error) {
     console.error(error);
@@ -1245,9 +1295,16 @@ try {
 }
 });
 
-router.post('/notifications/:id/mark-read', isLoggedIn, async (req, res) => {
+router.post('/notifications/:id/mark-read', requireRole('doctor'), async (req, res) => {
     try {
-        await Notification.findByIdAndUpdate(req.params.id, { read: true });
+        const notification = await findOwned('notification', req.params.id, req.user);
+
+        if (!notification) {
+            return res.status(404).send('Notification not found');
+        }
+
+        notification.read = true;
+        await notification.save();
         res.redirect('/doctor/notifications');
     } catch (error) {
         console.error(error);
@@ -1255,9 +1312,15 @@ router.post('/notifications/:id/mark-read', isLoggedIn, async (req, res) => {
     }
 });
 
-router.post('/notifications/:id/delete', isLoggedIn, async (req, res) => {
+router.post('/notifications/:id/delete', requireRole('doctor'), async (req, res) => {
     try {
-        await Notification.findByIdAndDelete(req.params.id);
+        const notification = await findOwned('notification', req.params.id, req.user);
+
+        if (!notification) {
+            return res.status(404).send('Notification not found');
+        }
+
+        await notification.deleteOne();
         res.redirect('/doctor/notifications');
     } catch (error) {
         console.error(error);
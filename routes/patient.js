@@ -1,30 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const moment = require('moment');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Booking = require('../models/Booking');
 const Admin = require('../models/Admin'); 
-const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
 const Blog = require('../models/Blog');
 const Chat = require('../models/Chat');
 const Prescription = require('../models/Prescription');
 const Notification = require('../models/Notification');
+const { reserveSlot, releaseSlot, SlotUnavailableError } = require('../utils/slotReservation');
+const { CHANGE_CUTOFF_HOURS, isWithinChangeCutoff } = require('../utils/bookingTime');
+const { ACTIVE_STATUSES, InvalidTransitionError, transition } = require('../utils/bookingLifecycle');
+const { createBooking, cancelBooking } = require('../utils/bookings');
+const { cancelReminders } = require('../utils/reminderScheduler');
+const { emitChatMessage, emitChatRead } = require('../sockets/chat');
+const { PAGE_SIZE, addMessage, postToConversation, listMessages, markRead, countUnread } = require('../utils/chatMessages');
+const { uploadAttachment, createAttachment, sendAttachment } = require('../utils/chatAttachments');
+const { sendPrescriptionPdf } = require('../utils/prescriptionPdf');
+const { withTransaction } = require('../utils/transactions');
+const { EmailInUseError, pickProfileFields, changeAccountEmail } = require('../utils/accounts');
+const { requireRole } = require('../utils/auth');
+const { csrfUpload } = require('../utils/csrf');
+const { scopeFor, findOwned } = require('../utils/policies');
+const { auditContext, snapshot, recordAudit, profileEditFields } = require('../utils/audit');
 
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
-function isLoggedIn(req, res, next) {
-  if (req.session.user && req.session.user.role === 'patient') {
-    req.user = req.session.user;
-    return next();
-  }
-  res.redirect('/auth/login');
-}
-
-router.get('/patient-index', async (req, res) => {
+router.get('/patient-index', requireRole('patient'), async (req, res) => {
   try {
     const highPriorityBlogs = await Blog.find({ priority: 'high', verificationStatus: 'Verified' }).limit(5).exec();
       const patientEmail = req.session.user.email; 
@@ -37,7 +42,7 @@ router.get('/patient-index', async (req, res) => {
   }
 });
 
-router.get('/profile', isLoggedIn, async (req, res) => {
+router.get('/profile', requireRole('patient'), async (req, res) => {
   try {
     const patientEmail = req.session.user.email;
     const patient = await Patient.findOne({ email: patientEmail }).lean();
@@ -51,7 +56,7 @@ router.get('/profile', isLoggedIn, async (req, res) => {
   }
 });
 
-router.get('/edit', isLoggedIn, async (req, res) => {
+router.get('/edit', requireRole('patient'), async (req, res) => {
   try {
     const patientEmail = req.session.user.email;
     const patient = await Patient.findOne({ email: patientEmail }).lean();
@@ -65,7 +70,11 @@ router.get('/edit', isLoggedIn, async (req, res) => {
   }
 });
 
-router.post('/profile/update', upload.single('profilePicture'), isLoggedIn, async (req, res) => {
+// What a patient may change from the profile form, besides the emergency
+// contacts, the picture and the email (which moves the account's email too).
+const PROFILE_FIELDS = ['name', 'phoneNumber', 'dateOfBirth', 'bloodGroup', 'address', 'insuranceProvider', 'policyNumber', 'groupNumber', 'locale'];
+
+router.post('/profile/update', requireRole('patient'), csrfUpload(upload.single('profilePicture')), async (req, res) => {
   try {
     const patientEmail = req.session.user.email;
     let patient = await Patient.findOne({ email: patientEmail });
@@ -75,7 +84,7 @@ router.post('/profile/update', upload.single('profilePicture'), isLoggedIn, asyn
     }
 
     const updateData = {
-      ...req.body,
+      ...pickProfileFields(req.body, PROFILE_FIELDS),
       emergencyContacts: Array.isArray(req.body.emergencyContacts) ? req.body.emergencyContacts.map(contact => ({
         name: contact.name,
         relationship: contact.relationship,
@@ -91,9 +100,39 @@ router.post('/profile/update', upload.single('profilePicture'), isLoggedIn, asyn
       };
     }
 
-    Object.assign(patient, updateData);
+    const fields = profileEditFields(updateData);
+    const before = snapshot(patient, fields);
+
+    await withTransaction(async (session) => {
+      updateData.email = await changeAccountEmail(patient, req.body.email, session);
+      Object.assign(patient, updateData);
+      await patient.save({ session });
+      await recordAudit(auditContext(req), {
+        action: 'patient.edit-profile',
+        target: { type: 'Patient', id: patient._id, label: patient.email },
+        before,
+        after: snapshot(patient, fields),
+        reason: req.file ? 'Profile picture replaced' : undefined
+      }, session);
+    });
+    req.session.user.email = patient.email;
 
-    await patient.save();
+    res.redirect('/patient/profile');
+  } catch (err) {
+    if (err instanceof EmailInUseError) {
+      return res.status(err.status).send(err.message);
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/profile/reminders', requireRole('patient'), async (req, res) => {
+  try {
+    await Patient.updateOne(
+      { email: req.session.user.email },
+      { reminderOptOut: req.body.reminderOptOut === 'on' }
+    );
 
     res.redirect('/patient/profile');
   } catch (err) {
@@ -151,7 +190,7 @@ router.get('/doctors', async (req, res) => {
 });
 
 
-router.get('/doctors/:id/slots', isLoggedIn, async (req, res) => {
+router.get('/doctors/:id/slots', requireRole('patient'), async (req, res) => {
   try {
       const doctorId = req.params.id;
       const doctor = await Doctor.findById(doctorId)
@@ -174,67 +213,208 @@ router.get('/doctors/:id/slots', isLoggedIn, async (req, res) => {
 
 
 
-router.post('/book', isLoggedIn, async (req, res) => {
+router.post('/book', requireRole('patient'), async (req, res) => {
   try {
       const { doctorId, date, time, consultationType } = req.body;
       const patientId = req.session.user._id;
+      const startTime = time.split(' - ')[0];
 
       const doctor = await Doctor.findById(doctorId);
       if (!doctor) {
           return res.status(404).send('Doctor not found');
       }
 
-      const slot = doctor.timeSlots.find(slot =>
-          slot && slot.date && slot.date.toISOString() === new Date(date).toISOString() && slot.startTime === time.split(' - ')[0]
-      );
+      await createBooking({ patientId, doctorId, date, startTime, consultationType }, auditContext(req));
 
-      if (!slot) {
-          return res.status(400).send('Time slot not found');
+      res.redirect('/patient/bookings');
+  } catch (error) {
+      if (error instanceof SlotUnavailableError) {
+          return res.status(error.status).send(error.message);
       }
+      console.error(error.message);
+      res.status(500).send('Server Error');
+  }
+});
 
-      const booking = new Booking({
-          patient: patientId,
-          doctor: doctorId,
-          date: new Date(date),
-          time: time,
-          consultationType: consultationType,
-          status: 'waiting',
-          hospital: {
-              name: slot.hospital,
-              location: slot.hospitalLocation
-          }
-      });
 
-      await booking.save();
 
-      slot.status = 'booked';
-      await doctor.save();
+router.get('/bookings', requireRole('patient'), async (req, res) => {
+  try {
+    const bookings = await Booking.find(scopeFor('booking', req.user)).populate('doctor');
+    res.render('patientBookings', {
+      bookings,
+      cutoffHours: CHANGE_CUTOFF_HOURS,
+      canChange: booking => ACTIVE_STATUSES.includes(booking.status) && !isWithinChangeCutoff(booking),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/bookings/:id/cancel', requireRole('patient'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const booking = await findOwned('booking', req.params.id, req.user).populate('doctor');
 
-      res.redirect('/patient/bookings');
+    if (!booking) {
+      return res.status(404).send('Booking not found');
+    }
+
+    await cancelBooking(booking, req.session.user, reason, auditContext(req));
+
+    req.flash('success_msg', 'Your booking has been cancelled.');
+    res.redirect('/patient/bookings');
   } catch (error) {
-      console.error(error.message);
-      res.status(500).send('Server Error');
+    if (error instanceof InvalidTransitionError) {
+      req.flash('error_msg', error.message);
+      return res.redirect('/patient/bookings');
+    }
+    console.error(error.message);
+    res.status(500).send('Server Error');
   }
 });
 
+router.get('/bookings/:id/reschedule', requireRole('patient'), async (req, res) => {
+  try {
+    const booking = await findOwned('booking', req.params.id, req.user).populate('doctor');
 
+    if (!booking) {
+      return res.status(404).send('Booking not found');
+    }
+
+    const today = moment.utc().startOf('day').toDate();
+    const freeSlots = booking.doctor.timeSlots
+      .filter(slot => slot.status === 'free' && slot.date >= today)
+      .sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+
+    res.render('rescheduleBooking', {
+      booking,
+      freeSlots,
+      cutoffHours: CHANGE_CUTOFF_HOURS,
+      error_msg: req.flash('error_msg')
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server Error');
+  }
+});
 
-router.get('/bookings', isLoggedIn, async (req, res) => {
+const RESCHEDULE_FIELDS = ['status', 'date', 'time', 'hospital.name'];
+
+router.post('/bookings/:id/reschedule', requireRole('patient'), async (req, res) => {
   try {
-    const bookings = await Booking.find({ patient: req.session.user._id }).populate('doctor');
-    res.render('patientBookings', { bookings });
+    const { date, time } = req.body;
+
+    // `time` is the "HH:mm - HH:mm" value of the chosen slot; only its start
+    // is used to find the slot.
+    if (typeof date !== 'string' || Number.isNaN(new Date(date).getTime()) ||
+        typeof time !== 'string' || !/^\d{2}:\d{2}( - \d{2}:\d{2})?$/.test(time)) {
+      return res.status(400).send('Please pick one of the free slots');
+    }
+    const startTime = time.split(' - ')[0];
+
+    const booking = await findOwned('booking', req.params.id, req.user).populate('doctor');
+
+    if (!booking) {
+      return res.status(404).send('Booking not found');
+    }
+
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      req.flash('error_msg', `A ${booking.status} booking cannot be rescheduled.`);
+      return res.redirect('/patient/bookings');
+    }
+
+    if (isWithinChangeCutoff(booking)) {
+      req.flash('error_msg', `Bookings can only be rescheduled up to ${CHANGE_CUTOFF_HOURS} hours before the appointment.`);
+      return res.redirect('/patient/bookings');
+    }
+
+    if (isWithinChangeCutoff({ date: new Date(date), time: startTime, doctor: booking.doctor })) {
+      req.flash('error_msg', `Please pick a slot at least ${CHANGE_CUTOFF_HOURS} hours from now.`);
+      return res.redirect(`/patient/bookings/${booking._id}/reschedule`);
+    }
+
+    const slot = await reserveSlot(booking.doctor._id, date, startTime);
+    const slotTime = `${slot.startTime} - ${slot.endTime}`;
+
+    const previousDate = booking.date;
+    const previousTime = booking.time;
+    const before = snapshot(booking, RESCHEDULE_FIELDS);
+
+    booking.rescheduleHistory.push({
+      fromDate: previousDate,
+      fromTime: previousTime,
+      toDate: new Date(date),
+      toTime: slotTime
+    });
+    booking.date = new Date(date);
+    booking.time = slotTime;
+    booking.hospital = {
+      name: slot.hospital,
+      location: slot.hospitalLocation
+    };
+    const reason = `Rescheduled from ${previousDate.toDateString()} at ${previousTime}`;
+    transition(booking, 'waiting', {
+      actor: req.session.user._id,
+      role: 'patient',
+      reason
+    });
+    booking.meetingLink = undefined;
+
+    try {
+      await withTransaction(async (session) => {
+        await booking.save({ session });
+        await recordAudit(auditContext(req), {
+          action: 'booking.reschedule',
+          target: { type: 'Booking', id: booking._id, label: `${booking.date.toDateString()} ${booking.time}` },
+          before,
+          after: snapshot(booking, RESCHEDULE_FIELDS),
+          reason
+        }, session);
+      });
+    } catch (error) {
+      await releaseSlot(booking.doctor._id, date, startTime);
+      throw error;
+    }
+
+    await releaseSlot(booking.doctor._id, previousDate, previousTime.split(' - ')[0]);
+    await cancelReminders(booking._id);
+
+    const patientName = req.session.user.name;
+    const message = `${patientName} moved the appointment from ${previousDate.toDateString()} at ${previousTime} to ${booking.date.toDateString()} at ${booking.time}. Please review the new time.`;
+
+    await Notification.create({
+      userId: booking.doctor._id,
+      message,
+      type: 'appointment',
+      read: false,
+      createdAt: new Date()
+    });
+
+    await postToConversation(booking.doctor._id, booking.patient, booking.patient, message);
+
+    req.flash('success_msg', 'Your booking has been rescheduled and is waiting for the doctor to confirm.');
+    res.redirect('/patient/bookings');
   } catch (error) {
+    if (error instanceof SlotUnavailableError) {
+      req.flash('error_msg', error.message);
+      return res.redirect(`/patient/bookings/${req.params.id}/reschedule`);
+    }
     console.error(error.message);
     res.status(500).send('Server Error');
   }
 });
 
-router.get('/review/:doctorId/:bookingId', isLoggedIn, async (req, res) => {
+router.get('/review/:doctorId/:bookingId', requireRole('patient'), async (req, res) => {
   try {
     const doctor = await Doctor.findById(req.params.doctorId);
-    const booking = await Booking.findById(req.params.bookingId);
+    const booking = await findOwned('booking', req.params.bookingId, req.user);
 
-    if (!doctor || !booking) {
+    // Only a patient's own booking with this doctor can be reviewed.
+    if (!doctor || !booking || !booking.doctor.equals(doctor._id)) {
       return res.status(404).send('Doctor or booking not found');
     }
 
@@ -245,14 +425,15 @@ router.get('/review/:doctorId/:bookingId', isLoggedIn, async (req, res) => {
   }
 });
 
-router.post('/review/:doctorId/:bookingId', isLoggedIn, async (req, res) => {
+router.post('/review/:doctorId/:bookingId', requireRole('patient'), async (req, res) => {
   try {
     const { rating, reviewText } = req.body;
 
     const doctor = await Doctor.findById(req.params.doctorId);
-    const booking = await Booking.findById(req.params.bookingId);
+    const booking = await findOwned('booking', req.params.bookingId, req.user);
 
-    if (!doctor || !booking) {
+    // Only a patient's own booking with this doctor can be reviewed.
+    if (!doctor || !booking || !booking.doctor.equals(doctor._id)) {
       return res.status(404).send('Doctor or booking not found');
     }
 
@@ -271,7 +452,7 @@ router.post('/review/:doctorId/:bookingId', isLoggedIn, async (req, res) => {
   }
 });
 
-router.post('/add-to-favorites', isLoggedIn, async (req, res) => {
+router.post('/add-to-favorites', requireRole('patient'), async (req, res) => {
   try {
     const { doctorId } = req.body;
     const patientId = req.session.user._id;
@@ -302,7 +483,7 @@ router.post('/add-to-favorites', isLoggedIn, async (req, res) => {
 });
 
 
-router.get('/favorites', isLoggedIn, async (req, res) => {
+router.get('/favorites', requireRole('patient'), async (req, res) => {
   try {
     const patientId = req.session.user._id;
     const patient = await Patient.findById(patientId).populate({
@@ -322,7 +503,7 @@ router.get('/favorites', isLoggedIn, async (req, res) => {
 });
 
 
-router.get('/calendar', isLoggedIn, async (req, res) => {
+router.get('/calendar', requireRole('patient'), async (req, res) => {
   try {
       const patientId = req.session.user._id; 
       const patient = await Patient.findById(patientId);
@@ -370,7 +551,7 @@ router.get('/calendar', isLoggedIn, async (req, res) => {
   }
 });
 
-router.get('/blogs/view/:id', isLoggedIn, async (req, res) => {
+router.get('/blogs/view/:id', requireRole('patient'), async (req, res) => {
   try {
       const blogId = req.params.id;
       const blog = await Blog.findById(blogId).lean();
@@ -388,7 +569,7 @@ router.get('/blogs/view/:id', isLoggedIn, async (req, res) => {
 
 
 
-router.post('/blogs/comment/:id', isLoggedIn, async (req, res) => {
+router.post('/blogs/comment/:id', requireRole('patient'), async (req, res) => {
   try {
       const { comment } = req.body;
       const blogId = req.params.id;
@@ -480,7 +661,7 @@ function escapeRegex(text) {
   return text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, "\\$&");
 }
 
-router.get('/dashboard', isLoggedIn, async (req, res) => {
+router.get('/dashboard', requireRole('patient'), async (req, res) => {
   try {
       const patient = await Patient.findOne({ email: req.session.user.email }).lean();
       if (!patient) {
@@ -492,10 +673,9 @@ router.get('/dashboard', isLoggedIn, async (req, res) => {
           .sort({ updatedAt: -1 })
           .lean();
 
+      const unreadCounts = await countUnread(chats.map(chat => chat._id), patient._id);
       chats.forEach(chat => {
-          chat.unreadCount = chat.messages.filter(message => 
-              !message.read && message.senderId.toString() !== patient._id.toString()
-          ).length;
+          chat.unreadCount = unreadCounts[chat._id.toString()] || 0;
       });
 
       res.render('patientDashboard', { patient, chats });
@@ -506,28 +686,22 @@ router.get('/dashboard', isLoggedIn, async (req, res) => {
 });
 
 
-router.get('/chat/:id', isLoggedIn, async (req, res) => {
+router.get('/chat/:id', requireRole('patient'), async (req, res) => {
   try {
     const chatId = req.params.id;
-    const chat = await Chat.findById(chatId).populate('doctorId').lean();
+    const chat = await findOwned('chat', chatId, req.user).populate('doctorId').lean();
 
     if (!chat) {
       return res.status(404).send('Chat not found');
     }
 
-    const updatedChat = await Chat.findById(chatId);
-
-    if (updatedChat) {
-      updatedChat.messages.forEach(message => {
-        if (message.senderId.toString() !== req.user._id.toString() && !message.read) {
-          message.read = true;
-        }
-      });
-
-      await updatedChat.save();
+    if (await markRead(chat._id, req.user._id)) {
+      emitChatRead(req.app.get('io'), chat._id, req.user._id);
     }
 
-    res.render('patientChat', { chat: updatedChat.toObject() });
+    const { messages, nextCursor } = await listMessages(chat, req.user);
+
+    res.render('patientChat', { chat, messages, nextCursor, userId: req.user._id });
 
   } catch (err) {
     console.error(err.message);
@@ -535,9 +709,25 @@ router.get('/chat/:id', isLoggedIn, async (req, res) => {
   }
 });
 
+router.get('/chat/:id/messages', requireRole('patient'), async (req, res) => {
+  try {
+    const chat = await findOwned('chat', req.params.id, req.user).lean();
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE, 100);
+    res.json(await listMessages(chat, req.user, { before: req.query.before, limit }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server Error' });
+  }
+});
 
 
-router.post('/chats/:chatId/send-message', isLoggedIn, async (req, res) => {
+
+router.post('/chats/:chatId/send-message', requireRole('patient'), csrfUpload(uploadAttachment), async (req, res) => {
   try {
     const { message } = req.body;
     const patient = await Patient.findOne({ email: req.session.user.email });
@@ -547,11 +737,27 @@ router.post('/chats/:chatId/send-message', isLoggedIn, async (req, res) => {
       return res.status(404).send('Patient not found');
     }
 
-    let chat = await Chat.findOneAndUpdate(
-      { _id: chatId, patientId: patient._id },
-      { $push: { messages: { senderId: patient._id, text: message, timestamp: new Date(), read: false } } },
-      { upsert: true, new: true }
-    );
+    if (!message && !req.file) {
+      return res.status(400).send('Message is empty');
+    }
+
+    const chat = await findOwned('chat', chatId, req.user);
+
+    if (!chat) {
+      return res.status(404).send('Chat not found');
+    }
+
+    const attachment = req.file ? await createAttachment(chat._id, patient._id, req.file) : null;
+    const sentMessage = (await addMessage(chat._id, {
+      senderId: patient._id,
+      text: message,
+      attachment: attachment ? attachment._id : undefined
+    })).toObject();
+
+    if (attachment) {
+      sentMessage.attachment = { _id: attachment._id, fileName: attachment.fileName, contentType: attachment.contentType };
+    }
+    emitChatMessage(req.app.get('io'), chat._id, sentMessage);
 
     const doctor = await Doctor.findById(chat.doctorId);
 
@@ -573,10 +779,24 @@ router.post('/chats/:chatId/send-message', isLoggedIn, async (req, res) => {
   }
 });
 
-router.get('/prescriptions', isLoggedIn, async (req, res) => {
+router.get('/chats/:chatId/attachments/:attachmentId', requireRole('patient'), async (req, res) => {
   try {
-    const patientId = req.session.user._id;
-    const patientPrescriptions = await Prescription.find({ patientId: patientId })
+    const chat = await findOwned('chat', req.params.chatId, req.user);
+
+    if (!chat) {
+      return res.status(404).send('Chat not found');
+    }
+
+    await sendAttachment(req, res, chat._id);
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.get('/prescriptions', requireRole('patient'), async (req, res) => {
+  try {
+    const patientPrescriptions = await Prescription.find(scopeFor('prescription', req.user))
       .sort({ createdAt: 'desc' });
 
     res.render('patient-prescriptions', { prescriptions: patientPrescriptions });
@@ -587,18 +807,9 @@ router.get('/prescriptions', isLoggedIn, async (req, res) => {
 });
 
 
-const fontPaths = {
-  regular: path.join(__dirname, '../fonts/Matter-Regular.ttf'),
-  bold: path.join(__dirname, '../fonts/Matter-Bold.ttf'),
-  italic: path.join(__dirname, '../fonts/Matter-RegularItalic.ttf'),
-  boldItalic: path.join(__dirname, '../fonts/Matter-BoldItalic.ttf'),
-  semiBold: path.join(__dirname, '../fonts/Matter-SemiBold.ttf'),
-  medium: path.join(__dirname, '../fonts/Matter-Medium.ttf')
-};
-
-router.get('/prescriptions/:id/download', isLoggedIn, async (req, res) => {
+router.get('/prescriptions/:id/download', requireRole('patient'), async (req, res) => {
   try {
-    const prescription = await Prescription.findById(req.params.id)
+    const prescription = await findOwned('prescription', req.params.id, req.user)
       .populate('doctorId', 'name speciality')
       .exec();
 
@@ -606,161 +817,16 @@ router.get('/prescriptions/:id/download', isLoggedIn, async (req, res) => {
       return res.status(404).send('Prescription not found');
     }
 
-    const doctor = prescription.doctorId;
-    const booking = await Booking.findOne({
-      patient: prescription.patientId,
-      doctor: prescription.doctorId
-    });
-
-    if (!booking) {
-      return res.status(404).send('Booking not found');
-    }
-
-    const hospital = booking.hospital;
-    const doc = new PDFDocument({ margin: 40 });
-    const fileName = `prescription-${prescription._id}.pdf`;
-    const prescriptionsDir = path.join(__dirname, '../public/prescriptions');
-
-    if (!fs.existsSync(prescriptionsDir)) {
-      fs.mkdirSync(prescriptionsDir, { recursive: true });
-    }
-
-    const filePath = path.join(prescriptionsDir, fileName);
-
-    doc.registerFont('Matter-Regular', fontPaths.regular);
-    doc.registerFont('Matter-Bold', fontPaths.bold);
-    doc.registerFont('Matter-Italic', fontPaths.italic);
-    doc.registerFont('Matter-BoldItalic', fontPaths.boldItalic);
-    doc.registerFont('Matter-SemiBold', fontPaths.semiBold);
-    doc.registerFont('Matter-Medium', fontPaths.medium);
-
-    doc.info.Title = 'E-Prescription';
-    doc.info.Author = 'MedxBay';
-
-    const backgroundColor = '#F4F7FC';
-    const textColor = '#272848';
-    const lineColor = '#b0baca'; 
-
-    const addHeaderFooter = () => {
-      doc.rect(0, 0, doc.page.width, doc.page.height).fill(backgroundColor);
-
-      const logoX = 40;
-      const titleX = 45;
-      const doctorInfoX = 400;
-      const headerY = 40;
-      const watermarkX = (doc.page.width - 225) / 2;
-      const watermarkY = (doc.page.height - 115) / 2;
-
-      doc.opacity(0.08).image('logo.png', watermarkX, watermarkY, { width: 220 }).opacity(1);
-
-      doc.image('logo.png', logoX, headerY, { width: 115 })
-        .font('Matter-Medium')
-        .fontSize(18)
-        .fillColor(textColor)
-        .text('E-Prescription', titleX, headerY, { align: 'center' })
-        .fontSize(10)
-        .font('Matter-Regular')
-        .text('MedxBay', titleX, headerY + 19, { align: 'center' })
-        .font('Matter-Italic')
-        .fontSize(10)
-        .text('Your Trusted Health Partner', titleX, headerY + 31, { align: 'center' })
-        .moveDown(1.5);
-
-      doc.font('Matter-SemiBold').fontSize(12).fillColor(textColor)
-        .text(` ${doctor.name}`, doctorInfoX, headerY, { align: 'right' })
-        .font('Matter-Regular')
-        .text(`${doctor.speciality.join(', ')}`, doctorInfoX, headerY + 15, { align: 'right' })
-        .font('Matter-Italic')
-        .text(`${prescription.doctorEmail}`, doctorInfoX, headerY + 30, { align: 'right' })
-        .moveDown(2);
-
-        doc.fillColor(lineColor).moveTo(40, headerY + 60).lineTo(570, headerY + 60).stroke(lineColor);
-    };
-
-    addHeaderFooter();
-
-    const patientName = `Patient Name: ${prescription.patientName}`;
-    const patientAge = `Patient Age: ${prescription.patientAge}`;
-    const consultationDate = `Consultation Date: ${prescription.meetingDate.toISOString().split('T')[0]}`;
-    const consultationTime = `Consultation Time: ${prescription.meetingTime}`;
-
-    doc.font('Matter-Regular').fontSize(12).fillColor(textColor)
-      .text(patientName, 40)
-      .moveDown(0.5)
-      .text(patientAge)
-      .moveDown(0.5)
-      .text(consultationDate)
-      .moveDown(0.5)
-      .text(consultationTime)
-      .moveDown(1.5);
-
-    doc.fontSize(14).font('Matter-Medium').fillColor(textColor)
-      .text('Medicines', { underline: true })
-      .moveDown()
-      .font('Matter-Regular').fontSize(12);
-
-    const medicineLineSpacing = 0.5;
-    let medicineCount = 0;
-
-    prescription.medicines.forEach((medicine) => {
-      if (medicineCount >= 4 || (doc.y + 60 > doc.page.height - 100)) {
-        doc.addPage();
-        addHeaderFooter();
-        medicineCount = 0;
-      }
-
-      doc.font('Matter-SemiBold').fillColor(textColor)
-        .text(`• Name: ${medicine.name}`)
-        .moveDown(medicineLineSpacing)
-        .font('Matter-Regular')
-        .text(`  - Dosage: ${medicine.dosage}`)
-        .moveDown(medicineLineSpacing)
-        .text(`  - Before Food: ${medicine.beforeFood ? 'Yes' : 'No'}`)
-        .moveDown(medicineLineSpacing)
-        .text(`  - After Food: ${medicine.afterFood ? 'Yes' : 'No'}`)
-        .moveDown(medicineLineSpacing)
-        .text(`  - Timing: Morning: ${medicine.timing.morning ? 'Yes' : 'No'}, Afternoon: ${medicine.timing.afternoon ? 'Yes' : 'No'}, Night: ${medicine.timing.night ? 'Yes' : 'No'}`)
-        .moveDown(1);
-
-      medicineCount++;
-    });
-
-    doc.moveDown(2).font('Matter-SemiBold').fillColor(textColor)
-      .text('Doctor\'s Signature')  
-      .moveDown(0.4)
-      .font('Matter-Italic')
-      .text(doctor.name, { fontSize: 14 }); 
-
-      const footerY = doc.page.height - 90; 
-
-      doc.moveTo(40, footerY).lineTo(570, footerY).stroke();
-
-    doc.y = footerY + 10;
-    doc.moveDown(0.5).font('Matter-Medium').fontSize(12).fillColor(textColor)
-      .text(hospital.name, { align: 'center' })
-      .moveDown(0.4)
-      .font('Matter-Italic').fontSize(10)
-      .text(
-        `${hospital.location.street}, ${hospital.location.city}, ${hospital.location.state}, ${hospital.location.country} - ${hospital.location.zip}`,
-        { align: 'center' }
-      );
-
-    doc.pipe(fs.createWriteStream(filePath)).on('finish', () => {
-      res.setHeader('Content-disposition', 'attachment; filename=' + fileName);
-      res.setHeader('Content-type', 'application/pdf');
-      fs.createReadStream(filePath).pipe(res);
-    });
-
-    doc.end();
+    await sendPrescriptionPdf(res, prescription);
   } catch (error) {
     console.error(error.message);
     res.status(500).send('Server Error');
   }
 });
 
-router.get('/notifications', isLoggedIn, async (req, res) => {
+router.get('/notifications', requireRole('patient'), async (req, res) => {
   try {
-      const notifications = await Notification.find({ userId: req.user._id }).lean();
+      const notifications = await Notification.find(scopeFor('notification', req.user)).lean();
       res.render('patientNotifications', { notifications });
   } catch (error) {
       console.error(error);
@@ -768,9 +834,16 @@ router.get('/notifications', isLoggedIn, async (req, res) => {
   }
   });
   
-router.post('/notifications/:id/mark-read', isLoggedIn, async (req, res) => {
+router.post('/notifications/:id/mark-read', requireRole('patient'), async (req, res) => {
     try {
-        await Notification.findByIdAndUpdate(req.params.id, { read: true });
+        const notification = await findOwned('notification', req.params.id, req.user);
+
+        if (!notification) {
+            return res.status(404).send('Notification not found');
+        }
+
+        notification.read = true;
+        await notification.save();
         res.redirect('/patient/notifications');
     } catch (error) {
         console.error(error);
@@ -779,9 +852,15 @@ router.post('/notifications/:id/mark-read', isLoggedIn, async (req, res) => {
 });
   
   
-router.post('/notifications/:id/delete', isLoggedIn, async (req, res) => {
+router.post('/notifications/:id/delete', requireRole('patient'), async (req, res) => {
     try {
-        await Notification.findByIdAndDelete(req.params.id);
+        const notification = await findOwned('notification', req.params.id, req.user);
+
+        if (!notification) {
+            return res.status(404).send('Notification not found');
+        }
+
+        await notification.deleteOne();
         res.redirect('/patient/notifications');
     } catch (error) {
         console.error(error);
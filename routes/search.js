@@ -0,0 +1,207 @@
+const express = require('express');
+const Doctor = require('../models/Doctor');
+
+// JSON lookups behind the doctor search on the home page. They are part of
+// the documented API (see utils/openapi.js).
+const router = express.Router();
+
+router.get('/search-doctors', async (req, res) => {
+  const { what, where, country, state, city, speciality, conditions, languages, gender, availability, dateAvailability, consultation } = req.query;
+
+  try {
+    let matchQuery = {
+      role: 'doctor',
+      verified: 'Verified',
+      'timeSlots.status': 'free'
+    };
+
+    let projectFields = {
+      _id: 1,
+      name: 1,
+      speciality: 1,
+      rating: 1,
+      availability: 1,
+      city: '$timeSlots.hospitalLocation.city', 
+      state: '$timeSlots.hospitalLocation.state', 
+      country: '$timeSlots.hospitalLocation.country', 
+      hospitals: '$timeSlots.hospital'
+    };
+
+    if (country) matchQuery['timeSlots.hospitalLocation.country'] = { $regex: new RegExp(country, 'i') };
+    if (state) matchQuery['timeSlots.hospitalLocation.state'] = { $regex: new RegExp(state, 'i') };
+    if (city) matchQuery['timeSlots.hospitalLocation.city'] = { $regex: new RegExp(city, 'i') };
+    if (speciality) matchQuery.speciality = { $in: [new RegExp(speciality, 'i')] };
+    if (languages) matchQuery.languages = { $in: [new RegExp(languages, 'i')] };
+    if (gender) matchQuery.gender = gender;
+    if (availability) matchQuery.availability = availability === 'true';
+    if (consultation) matchQuery.consultation = consultation;
+
+    if (conditions) {
+      const conditionsArray = conditions.split(',').map(cond => new RegExp(cond.trim(), 'i'));
+      matchQuery.conditions = { $in: conditionsArray };
+    }
+
+    if (what) {
+      matchQuery.$or = [
+        { speciality: { $regex: new RegExp(what, 'i') } },
+        { name: { $regex: new RegExp(what, 'i') } },
+        { conditions: { $regex: new RegExp(what, 'i') } }
+      ];
+    }
+
+    if (where) {
+      matchQuery.$or = [
+        { 'timeSlots.hospitalLocation.city': { $regex: new RegExp(where, 'i') } },
+        { 'timeSlots.hospitalLocation.state': { $regex: new RegExp(where, 'i') } },
+        { 'timeSlots.hospitalLocation.country': { $regex: new RegExp(where, 'i') } }
+      ];
+    }
+
+    if (dateAvailability) {
+      const searchDate = new Date(dateAvailability);
+      matchQuery['timeSlots.date'] = searchDate;
+    }
+
+    const pipeline = [
+      { $match: matchQuery },
+      { $project: projectFields }
+    ];
+
+    const doctors = await Doctor.aggregate(pipeline);
+    res.json(doctors);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching doctors', error });
+  }
+});
+
+router.get('/countries', async (req, res) => {
+  try {
+    const countries = await Doctor.aggregate([
+      { $match: { role: 'doctor', verified: 'Verified', 'timeSlots.status': 'free' } },
+      { $group: { _id: '$timeSlots.hospitalLocation.country' } },
+      { $project: { _id: 0, country: '$_id' } }
+    ]);
+    const countryList = countries.map(country => country.country);
+    res.json(countryList);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching countries', error });
+  }
+});
+
+
+router.get('/states', async (req, res) => {
+  try {
+    const states = await Doctor.aggregate([
+      { $match: { role: 'doctor', verified: 'Verified', 'timeSlots.status': 'free' } },
+      { $group: { _id: '$timeSlots.hospitalLocation.state' } },
+      { $project: { _id: 0, state: '$_id' } }
+    ]);
+    const stateList = states.map(state => state.state);
+    res.json(stateList);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching states', error });
+  }
+});
+
+
+router.get('/cities', async (req, res) => {
+  try {
+    const cities = await Doctor.aggregate([
+      { $match: { role: 'doctor', verified: 'Verified', 'timeSlots.status': 'free' } },
+      { $group: { _id: '$timeSlots.hospitalLocation.city' } },
+      { $project: { _id: 0, city: '$_id' } }
+    ]);
+    const cityList = cities.map(city => city.city);
+    res.json(cityList);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching cities', error });
+  }
+});
+
+
+router.get('/hospitals', async (req, res) => {
+  try {
+    const hospitals = await Doctor.aggregate([
+      { $match: { role: 'doctor', verified: 'Verified', 'timeSlots.status': 'free' } },
+      { $unwind: '$timeSlots' },
+      { $group: { _id: '$timeSlots.hospital' } },
+      { $project: { _id: 0, hospital: '$_id' } }
+    ]);
+    const hospitalList = hospitals.map(hospital => hospital.hospital);
+    res.json(hospitalList);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching hospitals', error });
+  }
+});
+
+
+router.get('/languages', async (req, res) => {
+  try {
+    const languages = await Doctor.distinct('languages');
+    res.json(languages);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching languages', error });
+  }
+});
+
+router.get('/specialities', async (req, res) => {
+  try {
+    const specialities = await Doctor.distinct('speciality');
+    res.json(specialities);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching specialities', error });
+  }
+});
+
+router.get('/conditions', async (req, res) => {
+  try {
+      const conditions = await Doctor.distinct('conditions');
+      res.json(conditions);
+  } catch (error) {
+      res.status(500).json({ message: 'Error fetching conditions', error });
+  }
+});
+
+router.get('/what-options', async (req, res) => {
+  try {
+    const specialities = await Doctor.distinct('speciality');
+    const doctors = await Doctor.find({}, 'name').lean();
+    const doctorNames = doctors.map(doctor => doctor.name);
+    const conditions = await Doctor.distinct('conditions');
+
+    res.json({
+      specialities,
+      conditions,
+      doctors: doctorNames
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching what options', error });
+  }
+});
+
+
+router.get('/where-options', async (req, res) => {
+  try {
+    const citiesFromTimeSlots = await Doctor.distinct('timeSlots.hospitalLocation.city');
+    const statesFromTimeSlots = await Doctor.distinct('timeSlots.hospitalLocation.state');
+    const countriesFromTimeSlots = await Doctor.distinct('timeSlots.hospitalLocation.country');
+
+    const citiesFromHospitals = await Doctor.distinct('hospitals.city');
+    const statesFromHospitals = await Doctor.distinct('hospitals.state');
+    const countriesFromHospitals = await Doctor.distinct('hospitals.country');
+
+    const cities = [...new Set([...citiesFromTimeSlots, ...citiesFromHospitals])];
+    const states = [...new Set([...statesFromTimeSlots, ...statesFromHospitals])];
+    const countries = [...new Set([...countriesFromTimeSlots, ...countriesFromHospitals])];
+
+    res.json({
+      cities,
+      states,
+      countries
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching where options', error });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { HOME_PAGES } = require('../utils/login');
+const { requireAccount } = require('../utils/auth');
+const { listSessions, revokeSession, revokeOtherSessions, describeDevice } = require('../utils/sessions');
+
+const router = express.Router();
+
+router.get('/', requireAccount, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.sessionStore, req.session.accountId);
+
+    res.render('sessions', {
+      sessions: sessions.map(session => ({
+        ...session,
+        device: describeDevice(session.userAgent),
+        current: session.sessionId === req.sessionID
+      })),
+      homeUrl: HOME_PAGES[req.session.user.role],
+      error_msg: req.flash('error_msg'),
+      success_msg: req.flash('success_msg')
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/revoke-others', requireAccount, async (req, res) => {
+  try {
+    const count = await revokeOtherSessions(req.sessionStore, req.session.accountId, req.sessionID);
+
+    req.flash('success_msg', `Logged out of ${count} other session${count === 1 ? '' : 's'}.`);
+    res.redirect('/auth/sessions');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/:id/revoke', requireAccount, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) ||
+        !(await revokeSession(req.sessionStore, req.session.accountId, req.params.id))) {
+      return res.status(404).send('Session not found');
+    }
+
+    req.flash('success_msg', 'The session has been logged out.');
+    res.redirect('/auth/sessions');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const Account = require('../models/Account');
+const { findProfile } = require('../utils/accounts');
+const { HOME_PAGES, establishSession, completeLogin } = require('../utils/login');
+const {
+  TWO_FACTOR_ROLES,
+  MAX_CODE_ATTEMPTS,
+  REMEMBER_DEVICE_DAYS,
+  isTwoFactorRequired,
+  generateSecret,
+  qrCodeFor,
+  matchCode,
+  verifyCode,
+  generateRecoveryCodes,
+  useRecoveryCode,
+  rememberDevice,
+  forgetDevices
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+// How long the password step stays valid while the second step is pending.
+const PENDING_LOGIN_MS = 10 * 60 * 1000;
+
+async function loadPendingAccount(req) {
+  const pending = req.session.pendingLogin;
+  if (!pending || Date.now() - pending.startedAt > PENDING_LOGIN_MS) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+  return Account.findById(pending.accountId);
+}
+
+async function loadCurrentAccount(req) {
+  const user = req.session.user;
+  if (!user || !TWO_FACTOR_ROLES.includes(user.role) || !req.session.accountId) {
+    return null;
+  }
+  return Account.findById(req.session.accountId);
+}
+
+// The account being enrolled: either a logged-in doctor/admin opting in, or
+// a login held back because 2FA is required.
+async function loadEnrollingAccount(req) {
+  return (await loadCurrentAccount(req)) || loadPendingAccount(req);
+}
+
+function checkSecondFactor(account, { code, recoveryCode }) {
+  if (recoveryCode) {
+    return useRecoveryCode(account, recoveryCode);
+  }
+  return verifyCode(account, code);
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const account = await loadPendingAccount(req);
+
+    if (!account || !account.twoFactor.enabled) {
+      req.flash('error_msg', 'Please log in again.');
+      return res.redirect('/auth/login');
+    }
+
+    res.render('twoFactorVerify', { error_msg: req.flash('error_msg'), rememberDays: REMEMBER_DEVICE_DAYS });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const account = await loadPendingAccount(req);
+
+    if (!account || !account.twoFactor.enabled) {
+      req.flash('error_msg', 'Please log in again.');
+      return res.redirect('/auth/login');
+    }
+
+    const pending = req.session.pendingLogin;
+    pending.attempts += 1;
+
+    if (!checkSecondFactor(account, req.body)) {
+      if (pending.attempts >= MAX_CODE_ATTEMPTS) {
+        delete req.session.pendingLogin;
+        req.flash('error_msg', 'Too many invalid codes. Please log in again.');
+        return res.redirect('/auth/login');
+      }
+      req.flash('error_msg', 'Invalid authentication code');
+      return res.redirect('/auth/2fa');
+    }
+
+    if (req.body.rememberDevice) {
+      rememberDevice(req, res, account);
+    }
+    if (req.body.recoveryCode) {
+      req.flash('error_msg', `You used a recovery code. ${account.twoFactor.recoveryCodes.length} recovery codes are left.`);
+    }
+
+    const user = await findProfile(account);
+    if (!user) {
+      delete req.session.pendingLogin;
+      req.flash('error_msg', 'Invalid Credentials');
+      return res.redirect('/auth/login');
+    }
+
+    return completeLogin(req, res, account, user, pending.redirectTo);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.get('/setup', async (req, res) => {
+  try {
+    const account = await loadEnrollingAccount(req);
+
+    if (!account) {
+      return res.redirect('/auth/login');
+    }
+    if (account.twoFactor.enabled) {
+      return res.redirect('/auth/2fa/settings');
+    }
+
+    // Keep the same secret across reloads until enrollment is confirmed.
+    if (!account.twoFactor.pendingSecret) {
+      account.twoFactor.pendingSecret = generateSecret();
+      await account.save();
+    }
+
+    res.render('twoFactorSetup', {
+      qrCode: await qrCodeFor(account, account.twoFactor.pendingSecret),
+      secret: account.twoFactor.pendingSecret,
+      required: isTwoFactorRequired(account),
+      error_msg: req.flash('error_msg')
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/setup', async (req, res) => {
+  try {
+    const account = await loadEnrollingAccount(req);
+
+    if (!account) {
+      return res.redirect('/auth/login');
+    }
+    if (account.twoFactor.enabled) {
+      return res.redirect('/auth/2fa/settings');
+    }
+
+    const step = matchCode(account.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      req.flash('error_msg', 'Invalid authentication code. Check your authenticator app and try again.');
+      return res.redirect('/auth/2fa/setup');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    account.twoFactor.secret = account.twoFactor.pendingSecret;
+    account.twoFactor.pendingSecret = undefined;
+    account.twoFactor.enabled = true;
+    account.twoFactor.enabledAt = new Date();
+    account.twoFactor.lastUsedStep = step;
+    account.twoFactor.recoveryCodes = hashes;
+
+    let continueUrl = '/auth/2fa/settings';
+
+    if (!req.session.user) {
+      // Enrollment was the last step of a held-back login.
+      const user = await findProfile(account);
+      if (!user) {
+        await account.save();
+        delete req.session.pendingLogin;
+        return res.redirect('/auth/login');
+      }
+      continueUrl = req.session.pendingLogin.redirectTo || HOME_PAGES[user.role];
+      await establishSession(req, account, user);
+    } else {
+      await account.save();
+    }
+
+    res.render('twoFactorRecoveryCodes', { codes, continueUrl });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.get('/settings', async (req, res) => {
+  try {
+    const account = await loadCurrentAccount(req);
+
+    if (!account) {
+      return res.redirect('/auth/login');
+    }
+
+    res.render('twoFactorSettings', {
+      role: req.session.user.role,
+      enabled: account.twoFactor.enabled,
+      required: isTwoFactorRequired(account),
+      recoveryCodesLeft: account.twoFactor.recoveryCodes.length,
+      trustedDevices: account.trustedDevices.filter(device => device.expiresAt > new Date()),
+      error_msg: req.flash('error_msg'),
+      success_msg: req.flash('success_msg')
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const account = await loadCurrentAccount(req);
+
+    if (!account || !account.twoFactor.enabled) {
+      return res.redirect('/auth/2fa/settings');
+    }
+    if (!verifyCode(account, req.body.code)) {
+      req.flash('error_msg', 'Invalid authentication code');
+      return res.redirect('/auth/2fa/settings');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    account.twoFactor.recoveryCodes = hashes;
+    await account.save();
+
+    res.render('twoFactorRecoveryCodes', { codes, continueUrl: '/auth/2fa/settings' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/forget-devices', async (req, res) => {
+  try {
+    const account = await loadCurrentAccount(req);
+
+    if (!account) {
+      return res.redirect('/auth/login');
+    }
+
+    forgetDevices(res, account);
+    await account.save();
+
+    req.flash('success_msg', 'Remembered devices have been cleared.');
+    res.redirect('/auth/2fa/settings');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+router.post('/disable', async (req, res) => {
+  try {
+    const account = await loadCurrentAccount(req);
+
+    if (!account || !account.twoFactor.enabled) {
+      return res.redirect('/auth/2fa/settings');
+    }
+    if (isTwoFactorRequired(account)) {
+      req.flash('error_msg', 'Two-factor authentication is required for your account.');
+      return res.redirect('/auth/2fa/settings');
+    }
+    if (!verifyCode(account, req.body.code)) {
+      req.flash('error_msg', 'Invalid authentication code');
+      return res.redirect('/auth/2fa/settings');
+    }
+
+    account.twoFactor = { enabled: false, required: account.twoFactor.required, recoveryCodes: [] };
+    forgetDevices(res, account);
+    await account.save();
+
+    req.flash('success_msg', 'Two-factor authentication has been turned off.');
+    res.redirect('/auth/2fa/settings');
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
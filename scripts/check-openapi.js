@@ -0,0 +1,60 @@
+// Compares the routes registered on the JSON routers with the OpenAPI
+// document in utils/openapi.js and fails when they have drifted apart: an
+// undocumented route, a documented route that no longer exists, or a path
+// parameter that is named differently.
+//
+// Usage: npm run check:openapi
+const { buildOpenApiSpec } = require('../utils/openapi');
+
+// Routers whose routes make up the documented API, with their mount paths.
+const ROUTERS = [
+  { mountPath: '/api/v1', router: require('../routes/api') },
+  { mountPath: '/auth', router: require('../routes/search') }
+];
+
+// Served by the API router but not part of the contract itself.
+const IGNORED = ['GET /api/v1/openapi.json', 'GET /api/v1/docs'];
+
+// Express 4 only keeps a sub-router's mount path as a regular expression,
+// e.g. /^\/bookings\/?(?=\/|$)/i.
+function mountPathOf(layer) {
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\\\//g, '/');
+}
+
+function collectRoutes(router, prefix, routes = []) {
+  router.stack.forEach(layer => {
+    if (layer.route) {
+      Object.keys(layer.route.methods).forEach(method => {
+        routes.push(`${method.toUpperCase()} ${prefix}${layer.route.path === '/' ? '' : layer.route.path}`);
+      });
+    } else if (layer.name === 'router') {
+      collectRoutes(layer.handle, prefix + mountPathOf(layer), routes);
+    }
+  });
+  return routes;
+}
+
+function toExpressPath(openApiPath) {
+  return openApiPath.replace(/\{(\w+)\}/g, ':$1');
+}
+
+const spec = buildOpenApiSpec();
+const documented = Object.entries(spec.paths).flatMap(([path, operations]) =>
+  Object.keys(operations).map(method => `${method.toUpperCase()} ${toExpressPath(path)}`));
+const registered = ROUTERS
+  .flatMap(({ mountPath, router }) => collectRoutes(router, mountPath))
+  .filter(route => !IGNORED.includes(route));
+
+const undocumented = registered.filter(route => !documented.includes(route));
+const missing = documented.filter(route => !registered.includes(route));
+
+undocumented.forEach(route => console.error(`Not in the OpenAPI document: ${route}`));
+missing.forEach(route => console.error(`Documented but not registered: ${route}`));
+
+if (undocumented.length > 0 || missing.length > 0) {
+  process.exit(1);
+}
+console.log(`OpenAPI document matches ${registered.length} routes.`);
@@ -0,0 +1,94 @@
+// Bootstraps a super-admin, since admins can only be invited by another
+// super-admin from the Manage Admins page.
+//
+// An existing admin with the email is promoted to super-admin (and
+// reactivated), getting a new admin profile if its own is missing.
+// Otherwise an invited admin is created and the invitation link printed;
+// following it sets the password. No email is sent.
+//
+// Usage: npm run create:super-admin -- --email admin@example.com --name "Jane Doe"
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const Account = require('../models/Account');
+const { EmailInUseError, findAccountByEmail } = require('../utils/accounts');
+const { createInvitedAdmin, issueInvite } = require('../utils/adminInvites');
+const { SYSTEM_CONTEXT, snapshot, recordAudit, saveAudited } = require('../utils/audit');
+
+const AUDIT_FIELDS = ['adminRole', 'status'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function run() {
+  const { email, name } = parseArgs(process.argv.slice(2));
+
+  if (!email) {
+    console.error('Usage: npm run create:super-admin -- --email <email> [--name <name>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Account.init();
+
+  const account = await findAccountByEmail(email);
+
+  if (account) {
+    if (account.role !== 'admin') {
+      throw new EmailInUseError(`${email} belongs to a ${account.role} account`);
+    }
+
+    const existing = await Admin.findOne({ account: account._id });
+    // The profile may have been deleted by hand.
+    const admin = existing || new Admin({ account: account._id, email: account.email, name: name || account.email });
+    const audit = {
+      action: 'admin.change-role',
+      target: { type: 'Admin', id: admin._id, label: admin.email },
+      before: snapshot(existing, AUDIT_FIELDS),
+      reason: existing ? 'Promoted with scripts/create-super-admin.js' : 'Admin profile recreated with scripts/create-super-admin.js'
+    };
+    admin.adminRole = 'super-admin';
+
+    if (account.password) {
+      admin.status = 'active';
+      admin.deactivatedAt = undefined;
+      admin.deactivatedBy = undefined;
+      await saveAudited(SYSTEM_CONTEXT, admin, audit);
+      console.log(`${admin.email} is now an active super-admin`);
+      return;
+    }
+
+    admin.status = 'invited';
+    const inviteUrl = issueInvite(admin, null);
+    await saveAudited(SYSTEM_CONTEXT, admin, audit);
+    console.log(`${admin.email} is a super-admin without a password. Invitation link:\n${inviteUrl}`);
+    return;
+  }
+
+  const admin = await createInvitedAdmin({ email, name: name || email, adminRole: 'super-admin' });
+  const inviteUrl = issueInvite(admin, null);
+  await admin.save();
+  await recordAudit(SYSTEM_CONTEXT, {
+    action: 'admin.invite',
+    target: { type: 'Admin', id: admin._id, label: admin.email },
+    after: snapshot(admin, ['name', 'email', ...AUDIT_FIELDS]),
+    reason: 'Created with scripts/create-super-admin.js'
+  });
+  console.log(`Invited ${admin.email} as super-admin. Invitation link:\n${inviteUrl}`);
+}
+
+run()
+  .catch(err => {
+    console.error('Could not create super-admin:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,87 @@
+// Creates an Account for every existing patient, doctor and admin and moves
+// the credentials (password hash, verification and reset tokens) onto it.
+//
+// Collections are processed in the order login used to search them
+// (patients, doctors, admins), so an email that exists in several collections
+// keeps the account that used to win at login. The other profiles with that
+// email are reported and left unlinked for manual review.
+//
+// Safe to re-run: profiles that already have an account are skipped.
+//
+// Usage: npm run migrate:accounts
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const { PROFILE_MODELS, normalizeEmail } = require('../utils/accounts');
+
+const CREDENTIAL_FIELDS = ['password', 'isVerified', 'verificationToken', 'resetPasswordToken', 'resetPasswordExpires'];
+
+async function migrateProfile(role, Model, profile, conflicts) {
+  const email = normalizeEmail(profile.email);
+  let account = await Account.findOne({ email });
+
+  if (account && account.role !== role) {
+    conflicts.push({ role, id: profile._id, email, existingRole: account.role });
+    return false;
+  }
+
+  if (!account) {
+    account = await Account.create({
+      email,
+      password: profile.password,
+      role,
+      // Admins were created by hand and never went through verification.
+      isVerified: role === 'admin' ? true : !!profile.isVerified,
+      verificationToken: profile.verificationToken,
+      resetPasswordToken: profile.resetPasswordToken,
+      resetPasswordExpires: profile.resetPasswordExpires,
+      createdAt: profile._id.getTimestamp()
+    });
+  } else if (await Model.collection.findOne({ account: account._id })) {
+    // Another profile of the same role already owns this email.
+    conflicts.push({ role, id: profile._id, email, existingRole: account.role });
+    return false;
+  }
+
+  const unset = Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, '']));
+  await Model.collection.updateOne(
+    { _id: profile._id },
+    { $set: { account: account._id }, $unset: unset }
+  );
+  return true;
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Account.init();
+
+  const conflicts = [];
+
+  for (const role of ['patient', 'doctor', 'admin']) {
+    const Model = PROFILE_MODELS[role];
+    const cursor = Model.collection.find({ account: { $exists: false } });
+    let migrated = 0;
+
+    for await (const profile of cursor) {
+      if (await migrateProfile(role, Model, profile, conflicts)) {
+        migrated++;
+      }
+    }
+    console.log(`Linked ${migrated} ${role} profiles to accounts`);
+  }
+
+  if (conflicts.length > 0) {
+    console.warn(`${conflicts.length} profiles share an email with another account and were not linked:`);
+    conflicts.forEach(({ role, id, email, existingRole }) => {
+      console.warn(`  ${role} ${id} <${email}> (account already belongs to a ${existingRole})`);
+    });
+    process.exitCode = 2;
+  }
+}
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,70 @@
+// Moves messages embedded in Chat documents into the Message collection.
+// Safe to re-run: messages keep their original _id, so already copied ones
+// are skipped, and the embedded array is only removed once it is copied.
+//
+// Usage: npm run migrate:chat-messages
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+async function migrateChat(chat) {
+  const messages = chat.messages.map(message => ({
+    _id: message._id,
+    chatId: chat._id,
+    senderId: message.senderId,
+    text: message.text,
+    attachment: message.attachment,
+    timestamp: message.timestamp || chat._id.getTimestamp(),
+    read: !!message.read
+  }));
+
+  try {
+    await Message.collection.insertMany(messages, { ordered: false });
+  } catch (error) {
+    // Duplicate keys are messages copied by an earlier, interrupted run.
+    const failures = error.writeErrors || [];
+    if (error.code !== 11000 && !failures.every(failure => failure.code === 11000)) {
+      throw error;
+    }
+  }
+
+  const last = messages[messages.length - 1];
+  await Chat.collection.updateOne(
+    { _id: chat._id },
+    {
+      $set: {
+        lastMessage: { senderId: last.senderId, text: last.text || 'Attachment', timestamp: last.timestamp },
+        updatedAt: last.timestamp
+      },
+      $unset: { messages: '' }
+    }
+  );
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Message.init();
+
+  const cursor = Chat.collection.find({ 'messages.0': { $exists: true } });
+  let migratedChats = 0;
+  let migratedMessages = 0;
+
+  for await (const chat of cursor) {
+    await migrateChat(chat);
+    migratedChats++;
+    migratedMessages += chat.messages.length;
+  }
+
+  // Chats that never had a message only need the empty array dropped.
+  await Chat.collection.updateMany({ messages: { $size: 0 } }, { $unset: { messages: '' } });
+
+  console.log(`Migrated ${migratedMessages} messages from ${migratedChats} chats`);
+}
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
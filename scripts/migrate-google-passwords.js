@@ -0,0 +1,80 @@
+// Fixes accounts created by the old Google sign-in, which set the password
+// to a bcrypt hash of the user's own email. Anyone knowing the email could
+// log in with it through the password form.
+//
+// The old sign-in hashed the email exactly as Google returned it, which the
+// profile still holds, while account emails are stored lower-cased; both
+// are tried.
+//
+// For each such account the password is removed, the token version is
+// bumped (revoking API tokens), browser sessions are ended, and the account
+// is flagged so that its owner's next Google sign-in links it (see
+// signInWithGoogle in routes/auth.js). Until then patients can still log in
+// with an emailed code; everyone can set a password through "Forgot
+// password".
+//
+// Every password is checked with bcrypt, so this takes a while on large
+// databases. Safe to re-run: flagged accounts are skipped.
+//
+// Usage: npm run migrate:google-passwords
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const MongoStore = require('connect-mongo');
+const Account = require('../models/Account');
+const { findProfile } = require('../utils/accounts');
+const { revokeAllTokens } = require('../utils/apiTokens');
+const { revokeOtherSessions } = require('../utils/sessions');
+const { PROVIDER: GOOGLE } = require('../utils/googleAuth');
+
+// Same store as server.js, so the sessions found here are the live ones.
+const sessionStore = MongoStore.create({
+  mongoUrl: process.env.MONGODB_URI,
+  collectionName: 'sessions'
+});
+
+async function hasEmailPassword(account) {
+  const profile = await findProfile(account);
+  const emails = new Set([account.email, profile && profile.email].filter(Boolean));
+
+  for (const email of emails) {
+    if (await bcrypt.compare(email, account.password)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Account.find({ password: { $exists: true }, pendingOAuthLink: { $exists: false } }).cursor();
+  let checked = 0;
+  let fixed = 0;
+
+  for await (const account of cursor) {
+    checked++;
+
+    if (!(await hasEmailPassword(account))) {
+      continue;
+    }
+
+    account.password = undefined;
+    account.pendingOAuthLink = GOOGLE;
+    await revokeAllTokens(account);
+    await account.save();
+    await revokeOtherSessions(sessionStore, account._id);
+
+    console.log(`  ${account.role} <${account.email}>`);
+    fixed++;
+  }
+
+  console.log(`Checked ${checked} accounts; removed the email-derived password from ${fixed}`);
+}
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => Promise.all([mongoose.disconnect(), sessionStore.close()]));
@@ -0,0 +1,99 @@
+const Notification = require('../models/Notification');
+const { addMessage, markRead } = require('../utils/chatMessages');
+const { findOwned } = require('../utils/policies');
+
+function chatRoom(chatId) {
+  return `chat:${chatId}`;
+}
+
+// Only the chat's own doctor or patient may join its room or post to it.
+function findChatForUser(chatId, user) {
+  return findOwned('chat', chatId, user);
+}
+
+function emitChatMessage(io, chatId, message) {
+  if (io) {
+    io.to(chatRoom(chatId)).emit('chat:message', { chatId: chatId.toString(), message });
+  }
+}
+
+function emitChatRead(io, chatId, readerId) {
+  if (io) {
+    io.to(chatRoom(chatId)).emit('chat:read', { chatId: chatId.toString(), readerId: readerId.toString() });
+  }
+}
+
+function registerChatHandlers(io, socket) {
+  const user = socket.request.session.user;
+
+  socket.on('chat:join', async ({ chatId } = {}, ack = () => {}) => {
+    try {
+      const chat = await findChatForUser(chatId, user);
+      if (!chat) {
+        return ack({ error: 'Chat not found' });
+      }
+
+      socket.join(chatRoom(chatId));
+
+      if (await markRead(chatId, user._id)) {
+        emitChatRead(io, chatId, user._id);
+      }
+      ack({ ok: true });
+    } catch (error) {
+      console.error('Error joining chat:', error.message);
+      ack({ error: 'Server Error' });
+    }
+  });
+
+  socket.on('chat:message', async ({ chatId, text } = {}, ack = () => {}) => {
+    try {
+      if (!text || !text.trim()) {
+        return ack({ error: 'Message is empty' });
+      }
+
+      const chat = await findChatForUser(chatId, user);
+      if (!chat) {
+        return ack({ error: 'Chat not found' });
+      }
+
+      const message = (await addMessage(chat._id, { senderId: user._id, text: text.trim() })).toObject();
+
+      emitChatMessage(io, chat._id, message);
+
+      await Notification.create({
+        userId: user.role === 'doctor' ? chat.patientId : chat.doctorId,
+        message: user.role === 'doctor' ? `New message from Dr. ${user.name}` : `New message from ${user.name}`,
+        type: 'chat',
+        read: false,
+        createdAt: new Date()
+      });
+
+      ack({ ok: true, message });
+    } catch (error) {
+      console.error('Error sending chat message:', error.message);
+      ack({ error: 'Server Error' });
+    }
+  });
+
+  socket.on('chat:typing', ({ chatId, typing } = {}) => {
+    if (socket.rooms.has(chatRoom(chatId))) {
+      socket.to(chatRoom(chatId)).emit('chat:typing', { chatId, userId: user._id, typing: !!typing });
+    }
+  });
+
+  socket.on('chat:read', async ({ chatId } = {}) => {
+    try {
+      if (socket.rooms.has(chatRoom(chatId)) && await markRead(chatId, user._id)) {
+        emitChatRead(io, chatId, user._id);
+      }
+    } catch (error) {
+      console.error('Error marking chat read:', error.message);
+    }
+  });
+}
+
+module.exports = {
+  registerChatHandlers,
+  emitChatMessage,
+  emitChatRead
+};
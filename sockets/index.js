@@ -0,0 +1,27 @@
+const { Server } = require('socket.io');
+const { registerChatHandlers } = require('./chat');
+const { registerVideoRoomHandlers } = require('./videoRoom');
+
+function attachSockets(server, sessionMiddleware) {
+  const io = new Server(server);
+
+  // Reuse the express-session cookie so sockets see the same req.session.user.
+  io.engine.use(sessionMiddleware);
+
+  io.use((socket, next) => {
+    const session = socket.request.session;
+    if (session && session.user && ['doctor', 'patient'].includes(session.user.role)) {
+      return next();
+    }
+    next(new Error('Unauthorized'));
+  });
+
+  io.on('connection', socket => {
+    registerChatHandlers(io, socket);
+    registerVideoRoomHandlers(io, socket);
+  });
+
+  return io;
+}
+
+module.exports = attachSockets;
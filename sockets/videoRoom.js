@@ -0,0 +1,151 @@
+const { getRoomWindow, findRoomBooking } = require('../utils/videoRooms');
+
+// Live room state, keyed by booking id: which socket holds the doctor's and
+// the patient's seat, whether the doctor has admitted the patient yet and
+// when the appointment window closes. Nothing here needs to survive a
+// restart; participants simply rejoin.
+const rooms = new Map();
+
+function getRoom(bookingId) {
+  if (!rooms.has(bookingId)) {
+    rooms.set(bookingId, { doctor: null, patient: null, admitted: false, closesAt: null });
+  }
+  return rooms.get(bookingId);
+}
+
+function peerOf(room, socketId) {
+  if (room.doctor === socketId) {
+    return room.patient;
+  }
+  if (room.patient === socketId) {
+    return room.doctor;
+  }
+  return null;
+}
+
+function leaveRoom(io, socket) {
+  const bookingId = socket.data.roomBookingId;
+  const room = bookingId && rooms.get(bookingId);
+  socket.data.roomBookingId = null;
+
+  if (!room) {
+    return;
+  }
+
+  // A socket that lost its seat to another tab leaves the room as it is.
+  if (room.doctor !== socket.id && room.patient !== socket.id) {
+    return;
+  }
+
+  const peer = peerOf(room, socket.id);
+  if (room.doctor === socket.id) {
+    room.doctor = null;
+  }
+  if (room.patient === socket.id) {
+    room.patient = null;
+  }
+  room.admitted = false;
+
+  if (peer) {
+    io.to(peer).emit('room:peer-left', { bookingId });
+  }
+  if (!room.doctor && !room.patient) {
+    rooms.delete(bookingId);
+  }
+}
+
+function registerVideoRoomHandlers(io, socket) {
+  const user = socket.request.session.user;
+  const seat = user.role === 'doctor' ? 'doctor' : 'patient';
+
+  socket.on('room:join', async ({ bookingId } = {}, ack = () => {}) => {
+    try {
+      const booking = await findRoomBooking(bookingId, user);
+      bookingId = booking._id.toString();
+
+      leaveRoom(io, socket);
+
+      const room = getRoom(bookingId);
+      // A second tab or a reconnect takes over the seat.
+      if (room[seat] && room[seat] !== socket.id) {
+        io.to(room[seat]).emit('room:replaced', { bookingId });
+      }
+      room[seat] = socket.id;
+      room.admitted = false;
+      room.closesAt = getRoomWindow(booking).closesAt.toDate();
+      socket.data.roomBookingId = bookingId;
+
+      if (seat === 'patient') {
+        if (room.doctor) {
+          io.to(room.doctor).emit('room:waiting', { bookingId, patientName: booking.patient.name });
+        }
+        return ack({ ok: true, status: 'waiting', doctorPresent: !!room.doctor });
+      }
+
+      if (room.patient) {
+        socket.emit('room:waiting', { bookingId, patientName: booking.patient.name });
+        io.to(room.patient).emit('room:doctor-joined', { bookingId });
+      }
+      ack({ ok: true, status: 'ready', patientWaiting: !!room.patient });
+    } catch (error) {
+      if (!error.status) {
+        console.error('Error joining consultation room:', error.message);
+      }
+      ack({ error: error.status ? error.message : 'Server Error' });
+    }
+  });
+
+  socket.on('room:admit', async ({ bookingId } = {}, ack = () => {}) => {
+    try {
+      const room = rooms.get(bookingId);
+      if (seat !== 'doctor' || !room || room.doctor !== socket.id) {
+        return ack({ error: 'Only the doctor can admit the patient' });
+      }
+      if (!room.patient) {
+        return ack({ error: 'The patient is not in the waiting room' });
+      }
+
+      await findRoomBooking(bookingId, user);
+
+      room.admitted = true;
+      io.to(room.patient).emit('room:admitted', { bookingId });
+      ack({ ok: true });
+    } catch (error) {
+      if (!error.status) {
+        console.error('Error admitting patient:', error.message);
+      }
+      ack({ error: error.status ? error.message : 'Server Error' });
+    }
+  });
+
+  // WebRTC offer/answer/ICE candidates are only relayed between the two
+  // seated participants, only once the patient has been admitted and only
+  // until the appointment window closes.
+  socket.on('room:signal', ({ bookingId, data } = {}) => {
+    const room = rooms.get(bookingId);
+    if (!room || !room.admitted || socket.data.roomBookingId !== bookingId) {
+      return;
+    }
+
+    if (new Date() > room.closesAt) {
+      return socket.emit('room:closed', { bookingId });
+    }
+
+    const peer = peerOf(room, socket.id);
+    if (peer) {
+      io.to(peer).emit('room:signal', { bookingId, data });
+    }
+  });
+
+  socket.on('room:leave', () => {
+    leaveRoom(io, socket);
+  });
+
+  socket.on('disconnect', () => {
+    leaveRoom(io, socket);
+  });
+}
+
+module.exports = {
+  registerVideoRoomHandlers
+};
@@ -0,0 +1,204 @@
+// Shared setup for the tests in this directory.
+//
+// Tests that need MongoDB connect to MONGODB_TEST_URI when it is set, e.g.
+//
+//   MONGODB_TEST_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test
+//
+// and otherwise to a single-node replica set that mongodb-memory-server
+// starts for the test file (downloading mongod on first use). A test file
+// that can reach neither fails; it is never skipped. Each test file runs in
+// its own process with its own database, dropped before and after the file.
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const path = require('path');
+const express = require('express');
+const session = require('express-session');
+const flash = require('connect-flash');
+const { csrfLocals, verifyCsrf } = require('../utils/csrf');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { createAccountWithProfile } = require('../utils/accounts');
+const { bearerSession } = require('../utils/apiTokens');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// The CSRF token of every session made by createWebApp.
+const CSRF_TOKEN = 'test-csrf-token';
+
+// The password of every account made by createPatient and createDoctor.
+const PASSWORD = 'correct horse battery staple';
+
+const HOSPITAL = {
+  name: 'General Hospital',
+  street: '1 Main Street',
+  city: 'Springfield',
+  state: 'Oregon',
+  country: 'USA',
+  zip: '97477'
+};
+
+let created = 0;
+let replSet = null;
+
+async function connectTestDb() {
+  let uri = process.env.MONGODB_TEST_URI;
+
+  if (!uri) {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    uri = replSet.getUri();
+  }
+
+  await mongoose.connect(uri, { dbName: `gwa-test-${process.pid}` });
+  await mongoose.connection.dropDatabase();
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+}
+
+async function disconnectTestDb() {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+}
+
+// A free half-hour slot at 09:00 (or `startTime`), `daysAhead` days from
+// today, for a doctor's timeSlots.
+function freeSlot(daysAhead = 30, startTime = '09:00') {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() + daysAhead);
+
+  const [hours, minutes] = startTime.split(':').map(Number);
+  const end = hours * 60 + minutes + 30;
+  const { name, ...hospitalLocation } = HOSPITAL;
+
+  return {
+    date,
+    startTime,
+    endTime: `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`,
+    status: 'free',
+    hospital: name,
+    hospitalLocation
+  };
+}
+
+async function createWithAccount(role, profileData) {
+  created++;
+  return createAccountWithProfile({
+    email: `${role}${created}@example.com`,
+    password: await bcrypt.hash(PASSWORD, 4),
+    role,
+    isVerified: true
+  }, { name: `Test ${role} ${created}`, ...profileData });
+}
+
+// A verified patient and its account; resolves to `{ account, profile }`.
+function createPatient(profileData = {}) {
+  return createWithAccount('patient', profileData);
+}
+
+// A verified doctor on a verified subscription with one free slot (see
+// freeSlot) unless `timeSlots` is given; resolves to `{ account, profile }`.
+function createDoctor(profileData = {}) {
+  return createWithAccount('doctor', {
+    speciality: ['Cardiology'],
+    verified: 'Verified',
+    subscriptionType: 'Premium',
+    subscriptionVerification: 'Verified',
+    consultation: 'Both',
+    hospitals: [HOSPITAL],
+    timeSlots: [freeSlot()],
+    ...profileData
+  });
+}
+
+// The web routers mounted as in server.js. Every request's session holds
+// CSRF_TOKEN and `sessionData`, e.g. `{ user }` to be logged in as `user`.
+function createWebApp(sessionData = {}) {
+  const app = express();
+
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '../views'));
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+  app.use(session({ secret: 'test-session-secret', resave: false, saveUninitialized: false }));
+  app.use((req, res, next) => {
+    Object.assign(req.session, { csrfToken: CSRF_TOKEN }, sessionData);
+    next();
+  });
+  app.use(flash());
+  app.use(csrfLocals);
+  app.use(verifyCsrf);
+
+  app.use('/patient', require('../routes/patient'));
+  app.use('/doctor', require('../routes/doctor'));
+  app.use('/admin', require('../routes/admin'));
+  return app;
+}
+
+// The JSON API as mounted in server.js, including the lookups under /auth
+// that it documents.
+function createApiApp() {
+  const app = express();
+
+  app.use(express.json());
+  app.use(bearerSession);
+  app.use('/api/v1', require('../routes/api'));
+  app.use('/auth', require('../routes/search'));
+  return app;
+}
+
+// Starts `app` on a free port. Resolves to its base URL and a close().
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// `profile` as the login routes leave it in the session store, for
+// createWebApp's `{ user }`.
+function sessionUser(profile) {
+  return JSON.parse(JSON.stringify(profile));
+}
+
+// Every route of `router` as `{ method, path, route }`, with the Express
+// path, e.g. `/chat/:id`.
+function routesOf(router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method: method.toUpperCase(),
+      path: layer.route.path,
+      route: layer.route
+    })));
+}
+
+// An Express route path with every parameter filled in, e.g. `/chat/:id`
+// becomes `/chat/<an unused ObjectId>`.
+function concretePath(routePath) {
+  return routePath.replace(/:(\w+)/g, () => new mongoose.Types.ObjectId().toString());
+}
+
+module.exports = {
+  CSRF_TOKEN,
+  PASSWORD,
+  connectTestDb,
+  disconnectTestDb,
+  freeSlot,
+  createPatient,
+  createDoctor,
+  createWebApp,
+  createApiApp,
+  listen,
+  sessionUser,
+  routesOf,
+  concretePath
+};
@@ -0,0 +1,337 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const path = require('node:path');
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Notification = require('../models/Notification');
+const Prescription = require('../models/Prescription');
+const { buildOpenApiSpec } = require('../utils/openapi');
+const { issueTokens } = require('../utils/apiTokens');
+const { addMessage } = require('../utils/chatMessages');
+const {
+  PASSWORD,
+  connectTestDb,
+  disconnectTestDb,
+  freeSlot,
+  createPatient,
+  createDoctor,
+  createApiApp,
+  listen
+} = require('./helpers');
+
+// Calls every operation in the OpenAPI document and checks each answer
+// against it: the status code must be documented for the operation and the
+// body must match the documented schema.
+
+const spec = buildOpenApiSpec();
+
+function resolve(node) {
+  if (!node || !node.$ref) {
+    return node;
+  }
+  return resolve(node.$ref.replace('#/', '').split('/').reduce((obj, key) => obj[key], spec));
+}
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// The ways `value` differs from `schema`, covering the keywords that
+// utils/openapi.js uses. Undocumented properties are allowed.
+function schemaErrors(schema, value, at = 'body') {
+  schema = resolve(schema);
+
+  if (value === null) {
+    return schema.nullable ? [] : [`${at} is null`];
+  }
+  if (schema.type && !typeMatches(schema.type, value)) {
+    return [`${at} is not of type ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} is not one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return [`${at} does not match ${schema.pattern}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${at}[${i}]`)));
+  }
+  if (schema.type === 'object') {
+    (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => errors.push(`${at}.${name} is missing`));
+    Object.entries(schema.properties || {})
+      .filter(([name]) => value[name] !== undefined)
+      .forEach(([name, property]) => errors.push(...schemaErrors(property, value[name], `${at}.${name}`)));
+  }
+  return errors;
+}
+
+describe('the OpenAPI document', () => {
+  // scripts/check-openapi.js exits with 1, listing the differences, when a
+  // registered route is undocumented or a documented one isn't registered.
+  it('documents every registered route and nothing else', () => {
+    const output = execFileSync(process.execPath, [path.join(__dirname, '../scripts/check-openapi.js')], { encoding: 'utf8' });
+
+    assert.match(output, /OpenAPI document matches \d+ routes/);
+  });
+});
+
+describe('API responses match the OpenAPI document', () => {
+  const called = new Set();
+  let server;
+  let patient;
+  let otherPatient;
+  let doctor;
+  let chat;
+  let prescription;
+  let notification;
+  let bookingId;
+
+  // Requests `specPath` (a path of the document, e.g.
+  // /api/v1/bookings/{id}) with `params` filled in, checks the answer
+  // against the document and resolves to `{ status, body }`.
+  async function call(method, specPath, { params = {}, query, token, body } = {}) {
+    const operation = spec.paths[specPath] && spec.paths[specPath][method.toLowerCase()];
+    assert.ok(operation, `${method} ${specPath} is not documented`);
+
+    let url = server.url + specPath.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+    if (query) {
+      url += `?${new URLSearchParams(query)}`;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token.accessToken}`;
+    }
+
+    const res = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const text = await res.text();
+    const response = resolve(operation.responses[res.status]);
+
+    assert.ok(response, `${method} ${specPath} answered ${res.status}, which is not documented: ${text}`);
+
+    const content = response.content && response.content['application/json'];
+    if (content) {
+      assert.deepEqual(schemaErrors(content.schema, JSON.parse(text)), [], `${method} ${specPath} (${res.status})`);
+    } else {
+      assert.equal(text, '', `${method} ${specPath} (${res.status}) should have no body`);
+    }
+
+    called.add(`${method} ${specPath}`);
+    return { status: res.status, body: text ? JSON.parse(text) : undefined };
+  }
+
+  before(async () => {
+    await connectTestDb();
+    server = await listen(createApiApp());
+
+    patient = await createPatient();
+    otherPatient = await createPatient();
+    doctor = await createDoctor({ timeSlots: [freeSlot(30, '09:00'), freeSlot(30, '10:00')] });
+
+    [patient, otherPatient, doctor] = await Promise.all([patient, otherPatient, doctor].map(async user => ({
+      ...user,
+      token: await issueTokens(user.account)
+    })));
+
+    chat = await Chat.create({ doctorId: doctor.profile._id, patientId: patient.profile._id });
+    await addMessage(chat._id, { senderId: doctor.profile._id, text: 'How are you feeling?' });
+
+    prescription = await Prescription.create({
+      patientId: patient.profile._id,
+      doctorId: doctor.profile._id,
+      patientName: patient.profile.name,
+      doctorName: doctor.profile.name,
+      doctorSpeciality: doctor.profile.speciality[0],
+      doctorEmail: doctor.profile.email,
+      patientAge: 40,
+      medicines: [{ name: 'Ibuprofen', dosage: '200 mg', afterFood: true, timing: { morning: true } }]
+    });
+
+    notification = await Notification.create({
+      userId: patient.profile._id,
+      message: 'Your appointment is tomorrow',
+      type: 'reminder'
+    });
+  });
+
+  after(async () => {
+    if (server) {
+      await server.close();
+    }
+    await disconnectTestDb();
+  });
+
+  it('issues, refreshes and revokes tokens', async () => {
+    const login = await call('POST', '/api/v1/auth/token', {
+      body: { grantType: 'password', email: patient.account.email, password: PASSWORD }
+    });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.role, 'patient');
+
+    const refreshed = await call('POST', '/api/v1/auth/token', {
+      body: { grantType: 'refresh_token', refreshToken: login.body.refreshToken }
+    });
+    assert.equal(refreshed.status, 200);
+
+    const wrongPassword = await call('POST', '/api/v1/auth/token', {
+      body: { grantType: 'password', email: patient.account.email, password: 'wrong password' }
+    });
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(wrongPassword.body.error.code, 'invalid_credentials');
+
+    // Not verified, so that it stays out of the doctor search below.
+    const { account: unenrolled } = await createDoctor({ verified: 'Not Verified' });
+    unenrolled.twoFactor.required = true;
+    await unenrolled.save();
+    const enrollmentRequired = await call('POST', '/api/v1/auth/token', {
+      body: { grantType: 'password', email: unenrolled.email, password: PASSWORD }
+    });
+    assert.equal(enrollmentRequired.status, 403);
+    assert.equal(enrollmentRequired.body.error.code, 'two_factor_enrollment_required');
+
+    assert.equal((await call('POST', '/api/v1/auth/token', { body: { grantType: 'magic' } })).status, 422);
+
+    assert.equal((await call('POST', '/api/v1/auth/logout', { body: { refreshToken: refreshed.body.refreshToken } })).status, 204);
+    assert.equal((await call('POST', '/api/v1/auth/logout', { body: {} })).status, 422);
+  });
+
+  it('finds verified doctors and their free slots', async () => {
+    const id = doctor.profile._id.toString();
+    const unknownId = new mongoose.Types.ObjectId().toString();
+
+    const list = await call('GET', '/api/v1/doctors');
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.data.map(found => found._id), [id]);
+    assert.equal((await call('GET', '/api/v1/doctors', { query: { limit: 0 } })).status, 422);
+
+    assert.equal((await call('GET', '/api/v1/doctors/{id}', { params: { id } })).body.data.name, doctor.profile.name);
+    assert.equal((await call('GET', '/api/v1/doctors/{id}', { params: { id: unknownId } })).status, 404);
+    assert.equal((await call('GET', '/api/v1/doctors/{id}', { params: { id: 'not-an-id' } })).status, 422);
+
+    const slots = await call('GET', '/api/v1/doctors/{id}/slots', { params: { id } });
+    assert.equal(slots.status, 200);
+    assert.deepEqual(slots.body.data.map(slot => slot.startTime), ['09:00', '10:00']);
+    assert.equal((await call('GET', '/api/v1/doctors/{id}/slots', { params: { id: unknownId } })).status, 404);
+  });
+
+  it('books, accepts and cancels a slot', async () => {
+    const [slot] = doctor.profile.timeSlots;
+    const booking = {
+      doctorId: doctor.profile._id.toString(),
+      date: slot.date.toISOString().slice(0, 10),
+      startTime: slot.startTime,
+      consultationType: 'In-person'
+    };
+
+    assert.equal((await call('POST', '/api/v1/bookings', { body: booking })).status, 401);
+    assert.equal((await call('POST', '/api/v1/bookings', { token: doctor.token, body: booking })).status, 403);
+    assert.equal((await call('POST', '/api/v1/bookings', { token: patient.token, body: { ...booking, startTime: '9am' } })).status, 422);
+    assert.equal((await call('POST', '/api/v1/bookings', {
+      token: patient.token,
+      body: { ...booking, doctorId: new mongoose.Types.ObjectId().toString() }
+    })).status, 404);
+
+    const created = await call('POST', '/api/v1/bookings', { token: patient.token, body: booking });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.status, 'waiting');
+    bookingId = created.body.data.id;
+
+    assert.equal((await call('POST', '/api/v1/bookings', { token: otherPatient.token, body: booking })).status, 409);
+
+    const list = await call('GET', '/api/v1/bookings', { token: patient.token });
+    assert.deepEqual(list.body.data.map(found => found.id), [bookingId]);
+    assert.equal((await call('GET', '/api/v1/bookings', { token: patient.token, query: { status: 'lost' } })).status, 422);
+
+    const params = { id: bookingId };
+    assert.equal((await call('GET', '/api/v1/bookings/{id}', { token: patient.token, params })).status, 200);
+    assert.equal((await call('GET', '/api/v1/bookings/{id}', { token: otherPatient.token, params })).status, 404);
+    assert.equal((await call('GET', '/api/v1/bookings/{id}', { token: patient.token, params: { id: 'not-an-id' } })).status, 422);
+
+    assert.equal((await call('PATCH', '/api/v1/bookings/{id}/status', { token: patient.token, params, body: { status: 'accepted' } })).status, 403);
+    const accepted = await call('PATCH', '/api/v1/bookings/{id}/status', { token: doctor.token, params, body: { status: 'accepted' } });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.data.status, 'accepted');
+
+    const cancelled = await call('POST', '/api/v1/bookings/{id}/cancel', { token: patient.token, params, body: { reason: 'Feeling better' } });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.data.status, 'cancelled');
+    assert.equal((await call('POST', '/api/v1/bookings/{id}/cancel', { token: patient.token, params, body: {} })).status, 409);
+  });
+
+  it('lists, sends and reads chat messages', async () => {
+    const params = { id: chat._id.toString() };
+
+    // The booking updates above were posted to the same chat.
+    const chats = await call('GET', '/api/v1/chats', { token: patient.token });
+    assert.deepEqual(chats.body.data.map(found => found.id), [params.id]);
+    assert.ok(chats.body.data[0].unreadCount > 0);
+
+    const messages = await call('GET', '/api/v1/chats/{id}/messages', { token: patient.token, params });
+    assert.equal(messages.body.data[0].text, 'How are you feeling?');
+    assert.equal((await call('GET', '/api/v1/chats/{id}/messages', { token: otherPatient.token, params })).status, 404);
+
+    assert.equal((await call('POST', '/api/v1/chats/{id}/messages', { token: patient.token, params, body: { text: 'Much better' } })).status, 201);
+    assert.equal((await call('POST', '/api/v1/chats/{id}/messages', { token: patient.token, params, body: { text: '' } })).status, 422);
+
+    assert.equal((await call('POST', '/api/v1/chats/{id}/read', { token: patient.token, params })).status, 204);
+    assert.equal((await call('POST', '/api/v1/chats/{id}/read', { token: otherPatient.token, params })).status, 404);
+  });
+
+  it('lists and reads prescriptions', async () => {
+    const params = { id: prescription._id.toString() };
+
+    const list = await call('GET', '/api/v1/prescriptions', { token: patient.token });
+    assert.deepEqual(list.body.data.map(found => found._id), [params.id]);
+
+    const found = await call('GET', '/api/v1/prescriptions/{id}', { token: doctor.token, params });
+    assert.match(found.body.data.downloadUrl, new RegExp(`/doctor/prescriptions/${params.id}/download$`));
+    const own = await call('GET', '/api/v1/prescriptions/{id}', { token: patient.token, params });
+    assert.match(own.body.data.downloadUrl, new RegExp(`/patient/prescriptions/${params.id}/download$`));
+    assert.equal((await call('GET', '/api/v1/prescriptions/{id}', { token: otherPatient.token, params })).status, 404);
+  });
+
+  it('lists, reads and deletes notifications', async () => {
+    const params = { id: notification._id.toString() };
+
+    const unread = await call('GET', '/api/v1/notifications', { token: patient.token, query: { unread: true } });
+    assert.ok(unread.body.data.some(found => found._id === params.id));
+    assert.equal((await call('GET', '/api/v1/notifications', { token: patient.token, query: { unread: 'maybe' } })).status, 422);
+
+    assert.equal((await call('POST', '/api/v1/notifications/{id}/read', { token: otherPatient.token, params })).status, 404);
+    assert.equal((await call('POST', '/api/v1/notifications/{id}/read', { token: patient.token, params })).body.data.read, true);
+
+    assert.equal((await call('DELETE', '/api/v1/notifications/{id}', { token: patient.token, params })).status, 204);
+    assert.equal((await call('DELETE', '/api/v1/notifications/{id}', { token: patient.token, params })).status, 404);
+  });
+
+  it('answers the doctor search lookups', async () => {
+    const lookups = Object.keys(spec.paths).filter(path => path.startsWith('/auth/'));
+
+    for (const path of lookups) {
+      assert.equal((await call('GET', path)).status, 200);
+    }
+    assert.equal((await call('GET', '/auth/search-doctors', { query: { what: 'cardio' } })).body.length, 1);
+  });
+
+  it('has called every documented operation', () => {
+    const documented = Object.entries(spec.paths)
+      .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`));
+
+    assert.deepEqual(documented.filter(operation => !called.has(operation)), []);
+  });
+});
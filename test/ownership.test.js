@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Chat = require('../models/Chat');
+const Doctor = require('../models/Doctor');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Prescription = require('../models/Prescription');
+const { issueTokens } = require('../utils/apiTokens');
+const { addMessage } = require('../utils/chatMessages');
+const {
+  CSRF_TOKEN,
+  connectTestDb,
+  disconnectTestDb,
+  createPatient,
+  createDoctor,
+  createWebApp,
+  createApiApp,
+  listen,
+  sessionUser
+} = require('./helpers');
+
+// Another patient or doctor asking for a booking, chat, message,
+// prescription or notification by id must get the same 404 as for a record
+// that doesn't exist (see utils/policies.js), and change nothing.
+
+describe('records of other users', () => {
+  const servers = {};
+  const tokens = {};
+  let ids;
+  let patientName;
+
+  before(async () => {
+    await connectTestDb();
+
+    const [patient, otherPatient, doctor, otherDoctor] = await Promise.all([
+      createPatient(),
+      createPatient(),
+      createDoctor(),
+      createDoctor()
+    ]);
+    patientName = patient.profile.name;
+
+    const [slot] = doctor.profile.timeSlots;
+    const booking = await Booking.create({
+      patient: patient.profile._id,
+      doctor: doctor.profile._id,
+      date: slot.date,
+      time: `${slot.startTime} - ${slot.endTime}`,
+      consultationType: 'In-person',
+      hospital: { name: slot.hospital, location: slot.hospitalLocation }
+    });
+    const chat = await Chat.create({ doctorId: doctor.profile._id, patientId: patient.profile._id });
+    await addMessage(chat._id, { senderId: doctor.profile._id, text: 'Please bring your test results.' });
+    const prescription = await Prescription.create({
+      patientId: patient.profile._id,
+      doctorId: doctor.profile._id,
+      patientName: patient.profile.name,
+      doctorName: doctor.profile.name,
+      doctorSpeciality: doctor.profile.speciality[0],
+      doctorEmail: doctor.profile.email,
+      patientAge: 45,
+      medicines: [{ name: 'Amoxicillin', dosage: '500 mg' }]
+    });
+    const [patientNotification, doctorNotification] = await Notification.create([
+      { userId: patient.profile._id, message: 'Your booking was received', type: 'appointment' },
+      { userId: doctor.profile._id, message: 'You have a new booking', type: 'appointment' }
+    ]);
+
+    ids = {
+      booking: booking._id.toString(),
+      chat: chat._id.toString(),
+      attachment: new mongoose.Types.ObjectId().toString(),
+      prescription: prescription._id.toString(),
+      patient: patient.profile._id.toString(),
+      doctor: doctor.profile._id.toString(),
+      patientNotification: patientNotification._id.toString(),
+      doctorNotification: doctorNotification._id.toString()
+    };
+
+    servers.patient = await listen(createWebApp({ user: sessionUser(otherPatient.profile) }));
+    servers.doctor = await listen(createWebApp({ user: sessionUser(otherDoctor.profile) }));
+    servers.api = await listen(createApiApp());
+    tokens.patient = (await issueTokens(otherPatient.account)).accessToken;
+    tokens.doctor = (await issueTokens(otherDoctor.account)).accessToken;
+  });
+
+  after(async () => {
+    await Promise.all(Object.values(servers).map(server => server.close()));
+    await disconnectTestDb();
+  });
+
+  function webRequest(as, method, path, form = {}) {
+    return fetch(servers[as].url + path, {
+      method,
+      body: method === 'GET' ? undefined : new URLSearchParams({ _csrf: CSRF_TOKEN, ...form }),
+      redirect: 'manual'
+    });
+  }
+
+  function apiRequest(as, method, path, body) {
+    return fetch(servers.api.url + path, {
+      method,
+      headers: { Authorization: `Bearer ${tokens[as]}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  it('hides them from another patient on the web', async () => {
+    const requests = [
+      ['POST', `/patient/bookings/${ids.booking}/cancel`, { reason: 'Not mine' }],
+      ['GET', `/patient/bookings/${ids.booking}/reschedule`],
+      ['POST', `/patient/bookings/${ids.booking}/reschedule`, { date: '2099-01-01', time: '09:00 - 09:30' }],
+      ['GET', `/patient/review/${ids.doctor}/${ids.booking}`],
+      ['POST', `/patient/review/${ids.doctor}/${ids.booking}`, { rating: '1', reviewText: 'Never met them' }],
+      ['GET', `/patient/chat/${ids.chat}`],
+      ['GET', `/patient/chat/${ids.chat}/messages`],
+      ['POST', `/patient/chats/${ids.chat}/send-message`, { message: 'Hello' }],
+      ['GET', `/patient/chats/${ids.chat}/attachments/${ids.attachment}`],
+      ['GET', `/patient/prescriptions/${ids.prescription}/download`],
+      ['POST', `/patient/notifications/${ids.patientNotification}/mark-read`],
+      ['POST', `/patient/notifications/${ids.patientNotification}/delete`]
+    ];
+
+    for (const [method, path, form] of requests) {
+      assert.equal((await webRequest('patient', method, path, form)).status, 404, `${method} ${path}`);
+    }
+  });
+
+  it('hides them from another doctor on the web', async () => {
+    const requests = [
+      ['POST', `/doctor/bookings/${ids.booking}`, { status: 'accepted' }],
+      ['GET', `/doctor/bookings/${ids.booking}/prescription`],
+      ['GET', `/doctor/doctor-view/${ids.patient}/prescriptions`],
+      ['POST', '/doctor/prescriptions/upload', {
+        patientId: ids.patient,
+        patientName,
+        doctorName: 'Someone else',
+        doctorSpeciality: 'Cardiology',
+        doctorEmail: 'someone@example.com',
+        patientAge: '45'
+      }],
+      ['GET', `/doctor/chat/${ids.chat}`],
+      ['GET', `/doctor/chat/${ids.chat}/messages`],
+      ['POST', `/doctor/chats/${ids.chat}/send-message`, { message: 'Hello' }],
+      ['GET', `/doctor/chats/${ids.chat}/attachments/${ids.attachment}`],
+      ['GET', `/doctor/prescriptions/${ids.prescription}/download`],
+      ['POST', `/doctor/notifications/${ids.doctorNotification}/mark-read`],
+      ['POST', `/doctor/notifications/${ids.doctorNotification}/delete`]
+    ];
+
+    for (const [method, path, form] of requests) {
+      assert.equal((await webRequest('doctor', method, path, form)).status, 404, `${method} ${path}`);
+    }
+  });
+
+  it('hides them from another patient or doctor in the API', async () => {
+    const requests = [
+      ['GET', `/api/v1/bookings/${ids.booking}`],
+      ['POST', `/api/v1/bookings/${ids.booking}/cancel`, {}],
+      ['GET', `/api/v1/chats/${ids.chat}/messages`],
+      ['POST', `/api/v1/chats/${ids.chat}/messages`, { text: 'Hello' }],
+      ['POST', `/api/v1/chats/${ids.chat}/read`],
+      ['GET', `/api/v1/prescriptions/${ids.prescription}`]
+    ];
+
+    for (const as of ['patient', 'doctor']) {
+      for (const [method, path, body] of requests) {
+        assert.equal((await apiRequest(as, method, path, body)).status, 404, `${method} ${path} as ${as}`);
+      }
+    }
+
+    assert.equal((await apiRequest('doctor', 'PATCH', `/api/v1/bookings/${ids.booking}/status`, { status: 'accepted' })).status, 404);
+    assert.equal((await apiRequest('patient', 'POST', `/api/v1/notifications/${ids.patientNotification}/read`)).status, 404);
+    assert.equal((await apiRequest('patient', 'DELETE', `/api/v1/notifications/${ids.patientNotification}`)).status, 404);
+    assert.equal((await apiRequest('doctor', 'POST', `/api/v1/notifications/${ids.doctorNotification}/read`)).status, 404);
+    assert.equal((await apiRequest('doctor', 'DELETE', `/api/v1/notifications/${ids.doctorNotification}`)).status, 404);
+  });
+
+  it('leaves them unchanged', async () => {
+    const booking = await Booking.findById(ids.booking);
+    assert.equal(booking.status, 'waiting');
+
+    assert.equal(await Message.countDocuments({ chatId: ids.chat }), 1);
+    assert.equal(await Prescription.countDocuments({ patientId: ids.patient }), 1);
+    assert.equal(await Notification.countDocuments({ _id: { $in: [ids.patientNotification, ids.doctorNotification] }, read: false }), 2);
+
+    const doctor = await Doctor.findById(ids.doctor);
+    assert.equal(doctor.reviews.length, 0);
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { CSRF_TOKEN, createWebApp, listen, routesOf, concretePath } = require('./helpers');
+
+// Every page of the patient, doctor and admin routers is checked without a
+// database: the role guards answer before any query is made.
+
+const ROUTERS = [
+  { mountPath: '/patient', role: 'patient', router: require('../routes/patient') },
+  { mountPath: '/doctor', role: 'doctor', router: require('../routes/doctor') },
+  { mountPath: '/admin', role: 'admin', router: require('../routes/admin') }
+];
+
+// Blog pages and the doctor directory, which visitors may read.
+const PUBLIC = [
+  'GET /patient/doctors',
+  'GET /patient/author/:id',
+  'GET /patient/priority-blogs',
+  'GET /patient/blogs',
+  'GET /doctor/author/:id',
+  'GET /doctor/priority-blogs',
+  'GET /doctor/blogs'
+];
+
+// Upload middlewares, which must be followed by the CSRF check (see
+// csrfUpload in utils/csrf.js).
+const UPLOAD_MIDDLEWARES = ['multerMiddleware', 'uploadAttachment'];
+
+function sessionUserFor(role) {
+  return {
+    _id: new mongoose.Types.ObjectId().toString(),
+    role,
+    name: `Test ${role}`,
+    email: `${role}@example.com`,
+    // Lets doctors past checkSubscription.
+    subscriptionType: 'Premium',
+    subscriptionVerification: 'Verified'
+  };
+}
+
+const routes = ROUTERS.flatMap(({ mountPath, role, router }) => routesOf(router).map(route => ({
+  ...route,
+  role,
+  name: `${route.method} ${mountPath}${route.path}`,
+  url: mountPath + concretePath(route.path)
+})));
+
+const guarded = routes.filter(route => !PUBLIC.includes(route.name));
+const uploads = routes.filter(({ route }) => route.stack.some(layer => UPLOAD_MIDDLEWARES.includes(layer.name)));
+
+// The guards log every refusal; keep the test output readable.
+before(() => mock.method(console, 'warn', () => {}));
+after(() => mock.restoreAll());
+
+describe('role guards', () => {
+  const servers = {};
+
+  // The token is sent with every request so that the CSRF check passes and
+  // the role guard is what answers.
+  function request(as, route) {
+    return fetch(servers[as].url + route.url, {
+      method: route.method,
+      headers: { 'X-CSRF-Token': CSRF_TOKEN },
+      redirect: 'manual'
+    });
+  }
+
+  before(async () => {
+    servers.anonymous = await listen(createWebApp());
+    for (const { role } of ROUTERS) {
+      servers[role] = await listen(createWebApp({ user: sessionUserFor(role) }));
+    }
+  });
+
+  after(async () => {
+    await Promise.all(Object.values(servers).map(server => server.close()));
+  });
+
+  it('knows every public route', () => {
+    const names = routes.map(route => route.name);
+    assert.deepEqual(PUBLIC.filter(name => !names.includes(name)), []);
+  });
+
+  it('sends visitors who are not logged in to the login page', async () => {
+    for (const route of guarded) {
+      const res = await request('anonymous', route);
+
+      assert.equal(res.status, 302, route.name);
+      assert.equal(res.headers.get('location'), '/auth/login', route.name);
+    }
+  });
+
+  it('refuses users with another role', async () => {
+    for (const route of guarded) {
+      for (const { role } of ROUTERS.filter(({ role }) => role !== route.role)) {
+        const res = await request(role, route);
+
+        assert.equal(res.status, 403, `${route.name} as ${role}`);
+      }
+    }
+  });
+});
+
+describe('CSRF on multipart forms', () => {
+  const servers = {};
+
+  before(async () => {
+    for (const { role } of ROUTERS) {
+      servers[role] = await listen(createWebApp({ user: sessionUserFor(role) }));
+    }
+  });
+
+  after(async () => {
+    await Promise.all(Object.values(servers).map(server => server.close()));
+  });
+
+  it('checks the token after every upload middleware', () => {
+    assert.ok(uploads.length > 0);
+
+    uploads.forEach(({ name, route }) => {
+      const names = route.stack.map(layer => layer.name);
+      const upload = names.findIndex(layerName => UPLOAD_MIDDLEWARES.includes(layerName));
+
+      assert.equal(names[upload + 1], 'checkToken', name);
+    });
+  });
+
+  // Admin pages load the admin from the database before the upload, so
+  // only the layer order above is checked for them.
+  it('rejects multipart forms without the token', async () => {
+    for (const route of uploads.filter(({ role }) => role !== 'admin')) {
+      const form = new FormData();
+      form.append('name', 'Changed');
+
+      const res = await fetch(servers[route.role].url + route.url, { method: route.method, body: form, redirect: 'manual' });
+
+      assert.equal(res.status, 403, route.name);
+      assert.match(await res.text(), /form token/, route.name);
+    }
+  });
+
+  it('rejects a token in the query string', async () => {
+    const route = uploads.find(({ role }) => role === 'patient');
+    const form = new FormData();
+    form.append('name', 'Changed');
+
+    const res = await fetch(`${servers.patient.url}${route.url}?_csrf=${CSRF_TOKEN}`, { method: route.method, body: form, redirect: 'manual' });
+
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const Doctor = require('../models/Doctor');
+const { SlotUnavailableError, reserveSlot } = require('../utils/slotReservation');
+const {
+  CSRF_TOKEN,
+  connectTestDb,
+  disconnectTestDb,
+  createPatient,
+  createDoctor,
+  createWebApp,
+  listen,
+  sessionUser
+} = require('./helpers');
+
+const PARALLEL_REQUESTS = 10;
+
+describe('slot reservation', () => {
+  before(connectTestDb);
+  after(disconnectTestDb);
+
+  it('lets exactly one of several parallel reserveSlot calls have the slot', async () => {
+    const { profile: doctor } = await createDoctor();
+    const [slot] = doctor.timeSlots;
+
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL_REQUESTS }, () => reserveSlot(doctor._id, slot.date, slot.startTime))
+    );
+    const rejected = results.filter(result => result.status === 'rejected');
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    rejected.forEach(result => assert.ok(result.reason instanceof SlotUnavailableError));
+
+    const saved = await Doctor.findById(doctor._id);
+    assert.equal(saved.timeSlots[0].status, 'booked');
+  });
+
+  it('creates a single booking when the booking form is posted in parallel', async () => {
+    const { profile: doctor } = await createDoctor();
+    const [slot] = doctor.timeSlots;
+    const { profile: patient } = await createPatient();
+    const server = await listen(createWebApp({ user: sessionUser(patient) }));
+
+    try {
+      const form = {
+        _csrf: CSRF_TOKEN,
+        doctorId: doctor._id.toString(),
+        date: slot.date.toISOString(),
+        time: `${slot.startTime} - ${slot.endTime}`,
+        consultationType: 'In-person'
+      };
+      const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () =>
+        fetch(`${server.url}/patient/book`, { method: 'POST', body: new URLSearchParams(form), redirect: 'manual' })));
+      const statuses = responses.map(res => res.status);
+
+      assert.equal(statuses.filter(status => status === 302).length, 1);
+      assert.equal(statuses.filter(status => status === 409).length, PARALLEL_REQUESTS - 1);
+      assert.equal(await Booking.countDocuments({ doctor: doctor._id }), 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('refuses a slot that is already booked', async () => {
+    const { profile: doctor } = await createDoctor();
+    const [slot] = doctor.timeSlots;
+
+    await reserveSlot(doctor._id, slot.date, slot.startTime);
+
+    await assert.rejects(reserveSlot(doctor._id, slot.date, slot.startTime), SlotUnavailableError);
+  });
+});
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const Account = require('../models/Account');
+const { findProfile } = require('./accounts');
+const { enqueueEmail } = require('./emailOutbox');
+
+const LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD) || 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function isLocked(account, now = new Date()) {
+  return !!(account.lockout && account.lockout.lockedUntil && account.lockout.lockedUntil > now);
+}
+
+function lockMinutes(lockCount) {
+  return Math.min(BASE_LOCK_MINUTES * 2 ** (lockCount - 1), MAX_LOCK_MINUTES);
+}
+
+// Records a wrong password. Every LOCK_THRESHOLD failures lock the account,
+// for longer each time, and email the owner an unlock link. The counter is
+// updated atomically so parallel attempts can't slip past the threshold.
+async function recordFailedLogin(account, now = new Date()) {
+  const updated = await Account.findOneAndUpdate(
+    { _id: account._id },
+    { $inc: { 'lockout.failedAttempts': 1 }, $set: { 'lockout.lastFailedAt': now } },
+    { new: true }
+  );
+
+  if (!updated || updated.lockout.failedAttempts < LOCK_THRESHOLD) {
+    return false;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const lockCount = (updated.lockout.lockCount || 0) + 1;
+  const minutes = lockMinutes(lockCount);
+
+  const locked = await Account.findOneAndUpdate(
+    { _id: account._id, 'lockout.failedAttempts': { $gte: LOCK_THRESHOLD } },
+    {
+      $set: {
+        'lockout.failedAttempts': 0,
+        'lockout.lockCount': lockCount,
+        'lockout.lockedUntil': new Date(now.getTime() + minutes * 60 * 1000),
+        'lockout.unlockTokenHash': hash(token)
+      }
+    },
+    { new: true }
+  );
+  if (!locked) {
+    return false;
+  }
+
+  const profile = await findProfile(locked);
+  const unlockUrl = `${process.env.APP_URL || 'http://localhost:3000'}/auth/unlock?token=${token}`;
+  await enqueueEmail('account-locked', {
+    to: locked.email,
+    locale: profile && profile.locale,
+    data: { name: profile ? profile.name : locked.email, minutes, unlockUrl }
+  });
+
+  return true;
+}
+
+// Called on a successful login. The caller saves the account.
+function clearFailedLogins(account) {
+  account.lockout = { failedAttempts: 0, lockCount: 0 };
+}
+
+// Lifts a lock early, from the emailed link or by an admin. The lock count
+// is kept so repeated attacks still escalate. The caller saves the account.
+function unlockAccount(account) {
+  account.lockout.failedAttempts = 0;
+  account.lockout.lockedUntil = undefined;
+  account.lockout.unlockTokenHash = undefined;
+}
+
+async function findAccountByUnlockToken(token) {
+  return token ? Account.findOne({ 'lockout.unlockTokenHash': hash(token) }) : null;
+}
+
+module.exports = {
+  isLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  findAccountByUnlockToken
+};
@@ -0,0 +1,99 @@
+const Account = require('../models/Account');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Admin = require('../models/Admin');
+
+class EmailInUseError extends Error {
+  constructor(message = 'Email is already in use') {
+    super(message);
+    this.name = 'EmailInUseError';
+    this.status = 409;
+  }
+}
+
+const PROFILE_MODELS = {
+  patient: Patient,
+  doctor: Doctor,
+  admin: Admin
+};
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+async function findAccountByEmail(email) {
+  return Account.findOne({ email: normalizeEmail(email) });
+}
+
+async function findProfile(account) {
+  const Model = PROFILE_MODELS[account.role];
+  return Model ? Model.findOne({ account: account._id }) : null;
+}
+
+// Creates the account and its role profile together. Pass a transaction
+// session so that neither exists without the other.
+async function createAccountWithProfile({ email, password, role, isVerified = false, verificationToken, oauthProviders }, profileData, session = null) {
+  const Model = PROFILE_MODELS[role];
+  if (!Model) {
+    throw new Error(`Unknown role "${role}"`);
+  }
+
+  const [account] = await Account.create([{
+    email: normalizeEmail(email),
+    password,
+    role,
+    isVerified,
+    verificationToken,
+    oauthProviders
+  }], { session });
+
+  const [profile] = await Model.create([{
+    ...profileData,
+    email: account.email,
+    role,
+    account: account._id
+  }], { session });
+
+  return { account, profile };
+}
+
+// Copies only `fields` from a submitted profile form, so that an edit can't
+// set anything else, such as the profile's account, role or verification.
+function pickProfileFields(body, fields) {
+  return Object.fromEntries(
+    fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+}
+
+// Moves the profile's account to a new email address, keeping emails unique
+// across all roles. Returns the normalized address for the profile.
+async function changeAccountEmail(profile, email, session = null) {
+  const normalized = normalizeEmail(email);
+
+  if (!normalized || normalized === normalizeEmail(profile.email)) {
+    return profile.email;
+  }
+
+  const existing = await Account.findOne({ email: normalized }).session(session);
+  if (existing && !existing._id.equals(profile.account)) {
+    throw new EmailInUseError();
+  }
+
+  try {
+    await Account.updateOne({ _id: profile.account }, { $set: { email: normalized } }, { session });
+  } catch (error) {
+    throw error.code === 11000 ? new EmailInUseError() : error;
+  }
+  return normalized;
+}
+
+module.exports = {
+  EmailInUseError,
+  PROFILE_MODELS,
+  normalizeEmail,
+  findAccountByEmail,
+  findProfile,
+  createAccountWithProfile,
+  pickProfileFields,
+  changeAccountEmail
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+const { EmailInUseError, findAccountByEmail, createAccountWithProfile } = require('./accounts');
+const { enqueueEmail } = require('./emailOutbox');
+const { ROLE_LABELS } = require('./adminRoles');
+
+const INVITE_TTL_DAYS = 7;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Gives the admin a fresh invitation token (replacing any earlier one) and
+// returns the link that accepts it. The caller saves the admin.
+function issueInvite(admin, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  admin.invite = {
+    tokenHash: hash(token),
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    invitedBy: invitedBy ? invitedBy._id : undefined
+  };
+  return `${process.env.APP_URL || 'http://localhost:3000'}/auth/admin-invite?token=${token}`;
+}
+
+async function sendInvite(admin, invitedBy, session = null) {
+  const inviteUrl = issueInvite(admin, invitedBy);
+
+  await admin.save({ session });
+  await enqueueEmail('admin-invite', {
+    to: admin.email,
+    locale: admin.locale,
+    data: {
+      name: admin.name,
+      inviterName: invitedBy ? invitedBy.name : '',
+      roleLabel: ROLE_LABELS[admin.adminRole],
+      inviteUrl,
+      days: INVITE_TTL_DAYS
+    }
+  }, { session });
+}
+
+// Creates the admin's account without a password; it can't be used until
+// the invitation is accepted and a password chosen.
+async function createInvitedAdmin({ email, name, adminRole }, session = null) {
+  if (await findAccountByEmail(email)) {
+    throw new EmailInUseError();
+  }
+
+  const { profile } = await createAccountWithProfile(
+    { email, role: 'admin' },
+    { name, adminRole, status: 'invited' },
+    session
+  );
+  return profile;
+}
+
+async function findAdminByInviteToken(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  return Admin.findOne({
+    status: 'invited',
+    'invite.tokenHash': hash(token),
+    'invite.expiresAt': { $gt: new Date() }
+  });
+}
+
+module.exports = {
+  INVITE_TTL_DAYS,
+  issueInvite,
+  sendInvite,
+  createInvitedAdmin,
+  findAdminByInviteToken
+};
@@ -0,0 +1,42 @@
+// Admin roles and what each may do. Permissions are checked per route with
+// requirePermission in utils/auth.js; pages any active admin may use (the
+// admin home, reading blogs) need none.
+const PERMISSIONS = [
+  'doctors.view',
+  'doctors.verify',
+  'subscriptions.verify',
+  'accounts.security',
+  'blogs.moderate',
+  'blogs.write',
+  'emails.preview',
+  'admins.manage',
+  'audit.view'
+];
+
+const ROLE_PERMISSIONS = {
+  'super-admin': PERMISSIONS,
+  verifier: ['doctors.view', 'doctors.verify', 'subscriptions.verify'],
+  'content-moderator': ['blogs.moderate', 'blogs.write'],
+  support: ['doctors.view', 'accounts.security', 'emails.preview']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const ROLE_LABELS = {
+  'super-admin': 'Super admin',
+  verifier: 'Verifier',
+  'content-moderator': 'Content moderator',
+  support: 'Support'
+};
+
+function hasPermission(admin, permission) {
+  return !!admin && admin.status === 'active' &&
+    (ROLE_PERMISSIONS[admin.adminRole] || []).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ROLE_LABELS,
+  hasPermission
+};
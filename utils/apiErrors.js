@@ -0,0 +1,25 @@
+// Errors raised by the JSON API. The API router turns them into
+// `{ error: { code, message } }` responses with the matching status.
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function sendApiError(res, err) {
+  // Domain errors such as SlotUnavailableError carry their own status and
+  // code and are reported the same way.
+  if (err instanceof ApiError || (err.status < 500 && typeof err.code === 'string')) {
+    return res.status(err.status).json({ error: { code: err.code, message: err.message } });
+  }
+  console.error(err.message);
+  return res.status(500).json({ error: { code: 'server_error', message: 'Server Error' } });
+}
+
+module.exports = {
+  ApiError,
+  sendApiError
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Account = require('../models/Account');
+const RefreshToken = require('../models/RefreshToken');
+const { ApiError, sendApiError } = require('./apiErrors');
+const { findProfile } = require('./accounts');
+
+const API_ROLES = ['patient', 'doctor'];
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.JWT_REFRESH_TOKEN_DAYS) || 30;
+const ISSUER = 'gwa';
+
+function jwtSecret() {
+  const secret = process.env.JWT_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  return secret;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function signAccessToken(account) {
+  return jwt.sign(
+    { role: account.role, ver: account.tokenVersion },
+    jwtSecret(),
+    { subject: account._id.toString(), expiresIn: ACCESS_TOKEN_TTL, issuer: ISSUER }
+  );
+}
+
+async function createRefreshToken(account, family, userAgent) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create({
+    account: account._id,
+    tokenHash: hash(token),
+    family,
+    userAgent,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { token, record };
+}
+
+function tokenResponse(accessToken, refreshToken) {
+  const { exp, iat } = jwt.decode(accessToken);
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn: exp - iat,
+    refreshToken
+  };
+}
+
+// Starts a new refresh token family, e.g. after a password login.
+async function issueTokens(account, { userAgent } = {}) {
+  const { token } = await createRefreshToken(account, crypto.randomUUID(), userAgent);
+  return tokenResponse(signAccessToken(account), token);
+}
+
+async function revokeFamily(family) {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+// Exchanges a refresh token for a new access token and a new refresh token.
+// The old refresh token stops working.
+async function rotateRefreshToken(token, { userAgent } = {}) {
+  const record = token ? await RefreshToken.findOne({ tokenHash: hash(token) }) : null;
+
+  if (!record || record.expiresAt <= new Date()) {
+    throw new ApiError(401, 'invalid_grant', 'Invalid or expired refresh token');
+  }
+
+  // Claim the token atomically so two concurrent refreshes can't both win.
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    await revokeFamily(record.family);
+    throw new ApiError(401, 'invalid_grant', 'Invalid or expired refresh token');
+  }
+
+  const account = await Account.findById(record.account);
+  if (!account || !API_ROLES.includes(account.role)) {
+    throw new ApiError(401, 'invalid_grant', 'Invalid or expired refresh token');
+  }
+
+  const { token: nextToken, record: next } = await createRefreshToken(account, record.family, userAgent);
+  await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedBy: next._id } });
+
+  return tokenResponse(signAccessToken(account), nextToken);
+}
+
+async function revokeRefreshToken(token) {
+  const record = token ? await RefreshToken.findOne({ tokenHash: hash(token) }) : null;
+  if (record) {
+    await revokeFamily(record.family);
+  }
+  return !!record;
+}
+
+// Used on password reset: every refresh token is revoked and every access
+// token already handed out stops being accepted once the caller saves the
+// account.
+async function revokeAllTokens(account, { session } = {}) {
+  account.tokenVersion = (account.tokenVersion || 0) + 1;
+  await RefreshToken.updateMany(
+    { account: account._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { session }
+  );
+}
+
+async function authenticateAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret(), { issuer: ISSUER });
+  } catch (err) {
+    throw new ApiError(401, 'invalid_token', 'Invalid or expired access token');
+  }
+
+  const account = await Account.findById(payload.sub);
+  if (!account || !API_ROLES.includes(account.role) || account.tokenVersion !== payload.ver) {
+    throw new ApiError(401, 'invalid_token', 'Invalid or expired access token');
+  }
+
+  const user = await findProfile(account);
+  if (!user) {
+    throw new ApiError(401, 'invalid_token', 'Invalid or expired access token');
+  }
+
+  return { account, user };
+}
+
+function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Mounted before the session middleware. A request carrying a bearer token
+// gets a request-scoped session holding the token's user, so the routers'
+// existing `isLoggedIn` checks and `req.session.user` lookups work unchanged.
+// express-session leaves an existing req.session alone, so nothing is stored
+// and no cookie is set.
+async function bearerSession(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { account, user } = await authenticateAccessToken(token);
+    req.session = {
+      user,
+      accountId: account._id,
+      viaToken: true,
+      save: callback => callback && callback(),
+      destroy: callback => callback && callback(),
+      regenerate: callback => callback && callback(),
+      touch: () => {}
+    };
+    next();
+  } catch (err) {
+    sendApiError(res, err);
+  }
+}
+
+module.exports = {
+  API_ROLES,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+  authenticateAccessToken,
+  bearerSession
+};
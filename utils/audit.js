@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { withTransaction } = require('./transactions');
+
+const CSV_COLUMNS = ['createdAt', 'actorRole', 'actorEmail', 'actor', 'action', 'targetType', 'targetId', 'targetLabel', 'before', 'after', 'reason', 'ip', 'via'];
+
+// The actor of a request, for recordAudit. Helpers shared by the web pages
+// and the API take this rather than the request itself.
+function auditContext(req) {
+  const user = req.session && req.session.user;
+
+  return {
+    actor: user ? user._id : undefined,
+    actorRole: user ? user.role : 'system',
+    actorEmail: user ? user.email : undefined,
+    ip: req.ip,
+    via: req.session && req.session.viaToken ? 'api' : 'web'
+  };
+}
+
+// For changes made outside a request, such as by scripts/.
+const SYSTEM_CONTEXT = { actorRole: 'system', via: 'system' };
+
+// A plain copy of `fields` (dotted paths allowed) of a document or object,
+// taken before a change to diff against afterwards.
+function snapshot(doc, fields) {
+  const values = {};
+  fields.forEach(field => {
+    const value = doc && typeof doc.get === 'function' ? doc.get(field) : field.split('.').reduce((obj, key) => obj && obj[key], doc);
+    values[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+  });
+  return values;
+}
+
+// The fields a profile edit form sets, to snapshot around the edit. The
+// picture is binary and left out; the email may be changed separately.
+function profileEditFields(updateData) {
+  return [...new Set([...Object.keys(updateData), 'email'])]
+    .filter(field => !['_csrf', 'profilePicture'].includes(field));
+}
+
+// The fields whose value differs between two snapshots.
+function diff(before = {}, after = {}) {
+  const changes = { before: {}, after: {} };
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.before[field] = from;
+      changes.after[field] = to;
+    }
+  });
+  return changes;
+}
+
+// Appends an entry to the audit log. `target` is `{ type, id, label }`;
+// `before` and `after` are snapshots, of which only the changed fields are
+// kept. Pass the transaction session of the change being recorded, so the
+// change and its entry are saved together or not at all.
+async function recordAudit(context, { action, target, before, after, reason }, session = null) {
+  const [entry] = await AuditLog.create([{
+    ...context,
+    action,
+    target,
+    changes: diff(before, after),
+    reason
+  }], { session });
+  return entry;
+}
+
+// Saves `doc` and records the change of the fields snapshotted in `before`
+// in one transaction.
+async function saveAudited(context, doc, { action, target, before, reason }) {
+  await withTransaction(async (session) => {
+    await doc.save({ session });
+    await recordAudit(context, { action, target, before, after: snapshot(doc, Object.keys(before)), reason }, session);
+  });
+  return doc;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+}
+
+// The AuditLog filter for the search form on the admin audit page, which
+// the CSV export shares. Unknown or malformed values are ignored.
+function auditFilter(query) {
+  const filter = {};
+
+  if (query.actorEmail) {
+    filter.actorEmail = { $regex: escapeRegex(String(query.actorEmail).trim()), $options: 'i' };
+  }
+  if (typeof query.actorRole === 'string' && AuditLog.schema.path('actorRole').enumValues.includes(query.actorRole)) {
+    filter.actorRole = query.actorRole;
+  }
+  if (typeof query.action === 'string' && query.action) {
+    filter.action = query.action;
+  }
+  if (typeof query.targetType === 'string' && query.targetType) {
+    filter['target.type'] = query.targetType;
+  }
+  if (query.targetId && mongoose.isValidObjectId(query.targetId)) {
+    filter['target.id'] = query.targetId;
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+
+  if (from && !isNaN(from)) {
+    filter.createdAt = { $gte: from };
+  }
+  if (to && !isNaN(to)) {
+    // `to` is a day from the form; include all of it.
+    to.setUTCDate(to.getUTCDate() + 1);
+    filter.createdAt = { ...filter.createdAt, $lt: to };
+  }
+  return filter;
+}
+
+// Quotes a CSV field. Values starting with a formula character are
+// prefixed with a quote so spreadsheets show them as text.
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvHeader() {
+  return CSV_COLUMNS.join(',') + '\r\n';
+}
+
+function csvRow(entry) {
+  const changes = entry.changes || {};
+  const target = entry.target || {};
+
+  return [
+    entry.createdAt.toISOString(),
+    entry.actorRole,
+    entry.actorEmail,
+    entry.actor,
+    entry.action,
+    target.type,
+    target.id,
+    target.label,
+    changes.before ? JSON.stringify(changes.before) : '',
+    changes.after ? JSON.stringify(changes.after) : '',
+    entry.reason,
+    entry.ip,
+    entry.via
+  ].map(csvField).join(',') + '\r\n';
+}
+
+module.exports = {
+  SYSTEM_CONTEXT,
+  auditContext,
+  snapshot,
+  profileEditFields,
+  diff,
+  recordAudit,
+  saveAudited,
+  auditFilter,
+  csvHeader,
+  csvRow
+};
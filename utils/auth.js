@@ -0,0 +1,94 @@
+// Route guards shared by the web routers. API routes use requireToken in
+// routes/api/middleware.js instead.
+const Admin = require('../models/Admin');
+const { hasPermission } = require('./adminRoles');
+
+// Lets the request through when the session belongs to one of `roles` (any
+// logged-in user when none are given) and exposes that user as req.user.
+// Visitors who aren't logged in are sent to the login page; users with
+// another role get a 403.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const user = req.session && req.session.user;
+
+    if (!user) {
+      req.flash('error_msg', 'Please log in to view this resource');
+      return res.redirect('/auth/login');
+    }
+
+    if (roles.length > 0 && !roles.includes(user.role)) {
+      console.warn('Unauthorized access attempt:', {
+        ip: req.ip,
+        originalUrl: req.originalUrl,
+        user: user.email
+      });
+      return res.status(403).send('Access denied.');
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+// For account settings (sessions, password, linked accounts, 2FA) which
+// need the Account behind a browser session, never an API token.
+function requireAccount(req, res, next) {
+  if (req.session.user && req.session.accountId && !req.session.viaToken) {
+    req.user = req.session.user;
+    return next();
+  }
+  res.redirect('/auth/login');
+}
+
+// Loads the logged-in admin's profile on every request, so a role change or
+// a deactivation applies at once rather than at the next login. Use after
+// requireRole('admin').
+async function loadAdmin(req, res, next) {
+  try {
+    const admin = await Admin.findById(req.session.user._id);
+
+    if (!admin || admin.status !== 'active') {
+      return req.session.destroy(() => res.redirect('/auth/login'));
+    }
+
+    req.admin = admin;
+    res.locals.can = permission => hasPermission(admin, permission);
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+}
+
+// Lets the request through when the role of the admin loaded by loadAdmin
+// grants `permission` (see utils/adminRoles.js).
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (hasPermission(req.admin, permission)) {
+      return next();
+    }
+    console.warn('Admin permission denied:', {
+      ip: req.ip,
+      originalUrl: req.originalUrl,
+      user: req.admin && req.admin.email,
+      permission
+    });
+    res.status(403).send('Access denied.');
+  };
+}
+
+// True when `ownerId` (an id or a populated document) is the given user.
+function isOwner(user, ownerId) {
+  if (!user || !ownerId) {
+    return false;
+  }
+  return String(ownerId._id || ownerId) === String(user._id);
+}
+
+module.exports = {
+  requireRole,
+  requireAccount,
+  loadAdmin,
+  requirePermission,
+  isOwner
+};
@@ -0,0 +1,124 @@
+const moment = require('moment');
+const Doctor = require('../models/Doctor');
+
+// Slot dates are stored as UTC midnight, matching what `new Date('YYYY-MM-DD')`
+// produces for slots added by hand, so bookings keep matching on date.
+function startOfUtcDay(date) {
+  return moment.utc(date).startOf('day');
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTimeString(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+function slotKey(date, startTime, hospital) {
+  return `${moment.utc(date).format('YYYY-MM-DD')}|${startTime}|${hospital}`;
+}
+
+function expandTemplate(template, from, days) {
+  const exceptionDays = new Set(
+    template.exceptions.map(exception => moment.utc(exception.date).format('YYYY-MM-DD'))
+  );
+  const slots = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const day = startOfUtcDay(from).add(offset, 'days');
+
+    if (exceptionDays.has(day.format('YYYY-MM-DD'))) {
+      continue;
+    }
+
+    template.weeklyRules
+      .filter(rule => rule.dayOfWeek === day.day())
+      .forEach(rule => {
+        const end = toMinutes(rule.endTime);
+        for (let start = toMinutes(rule.startTime); start + template.slotDuration <= end; start += template.slotDuration) {
+          slots.push({
+            date: day.toDate(),
+            startTime: toTimeString(start),
+            endTime: toTimeString(start + template.slotDuration)
+          });
+        }
+      });
+  }
+
+  return slots;
+}
+
+function removeTemplateSlots(doctor, templateId, now = new Date()) {
+  const today = startOfUtcDay(now);
+
+  doctor.timeSlots = doctor.timeSlots.filter(slot =>
+    !(slot.template && slot.template.equals(templateId) &&
+      slot.status === 'free' &&
+      !moment.utc(slot.date).isBefore(today))
+  );
+}
+
+function regenerateTemplateSlots(doctor, template, now = new Date()) {
+  removeTemplateSlots(doctor, template._id, now);
+
+  if (!template.active) {
+    return;
+  }
+
+  const hospital = doctor.hospitals.find(h => h.name === template.hospital);
+  if (!hospital) {
+    throw new Error(`Hospital "${template.hospital}" is not on the doctor's profile`);
+  }
+
+  const existing = new Set(doctor.timeSlots.map(slot => slotKey(slot.date, slot.startTime, slot.hospital)));
+
+  expandTemplate(template, now, template.horizonDays).forEach(slot => {
+    if (existing.has(slotKey(slot.date, slot.startTime, hospital.name))) {
+      return;
+    }
+
+    doctor.timeSlots.push({
+      ...slot,
+      status: 'free',
+      template: template._id,
+      hospital: hospital.name,
+      hospitalLocation: {
+        street: hospital.street,
+        city: hospital.city,
+        state: hospital.state,
+        country: hospital.country,
+        zip: hospital.zip
+      }
+    });
+  });
+}
+
+function regenerateAvailability(doctor, now = new Date()) {
+  doctor.availabilityTemplates.forEach(template => regenerateTemplateSlots(doctor, template, now));
+}
+
+async function refreshAllAvailability() {
+  const doctors = await Doctor.find({ 'availabilityTemplates.active': true });
+
+  for (const doctor of doctors) {
+    try {
+      regenerateAvailability(doctor);
+      await doctor.save();
+    } catch (error) {
+      console.error(`Error refreshing availability for doctor ${doctor._id}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  toMinutes,
+  expandTemplate,
+  removeTemplateSlots,
+  regenerateTemplateSlots,
+  regenerateAvailability,
+  refreshAllAvailability
+};
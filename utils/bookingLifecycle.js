@@ -0,0 +1,76 @@
+const moment = require('moment');
+const { getBookingStart } = require('./bookingTime');
+
+// Allowed status changes and who may make them. A transition from a status
+// to itself is only used to record a reschedule of a waiting booking.
+const TRANSITIONS = {
+  waiting: {
+    waiting: ['patient'],
+    accepted: ['doctor'],
+    rejected: ['doctor'],
+    cancelled: ['patient', 'doctor', 'admin']
+  },
+  accepted: {
+    waiting: ['patient'],
+    completed: ['doctor', 'system'],
+    'no-show': ['doctor', 'system'],
+    cancelled: ['patient', 'doctor', 'admin']
+  },
+  rejected: {},
+  completed: {},
+  cancelled: {},
+  'no-show': {}
+};
+
+// These can only happen once the appointment has started.
+const AFTER_START = ['completed', 'no-show'];
+
+const ACTIVE_STATUSES = ['waiting', 'accepted'];
+
+class InvalidTransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.status = 409;
+    this.code = 'invalid_transition';
+  }
+}
+
+function allowedTransitions(status, role) {
+  return Object.keys(TRANSITIONS[status] || {})
+    .filter(next => next !== status && TRANSITIONS[status][next].includes(role));
+}
+
+function transition(booking, to, { actor, role, reason } = {}, now = moment()) {
+  const from = booking.status;
+  const roles = (TRANSITIONS[from] || {})[to];
+
+  if (!roles) {
+    throw new InvalidTransitionError(`Cannot change a ${from} booking to ${to}`);
+  }
+  if (!roles.includes(role)) {
+    throw new InvalidTransitionError(`A ${role} cannot change a ${from} booking to ${to}`);
+  }
+  if (AFTER_START.includes(to) && now.isBefore(getBookingStart(booking))) {
+    throw new InvalidTransitionError(`A booking cannot be marked ${to} before the appointment starts`);
+  }
+
+  booking.status = to;
+  booking.statusHistory.push({
+    from,
+    to,
+    actor,
+    actorRole: role,
+    reason,
+    at: now.toDate()
+  });
+
+  return booking;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  InvalidTransitionError,
+  allowedTransitions,
+  transition
+};
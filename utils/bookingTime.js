@@ -0,0 +1,41 @@
+const moment = require('moment-timezone');
+
+// How close to the appointment a patient may still cancel or reschedule.
+const CHANGE_CUTOFF_HOURS = parseInt(process.env.BOOKING_CHANGE_CUTOFF_HOURS, 10) || 24;
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Slot times are wall-clock times in the doctor's time zone, else
+// CLINIC_TIME_ZONE.
+function timeZoneFor(doctor) {
+  const zone = (doctor && doctor.timeZone) || process.env.CLINIC_TIME_ZONE;
+  return zone && moment.tz.zone(zone) ? zone : DEFAULT_TIME_ZONE;
+}
+
+// Slot dates are stored as UTC midnight of the day (see availability.js).
+function atTime(date, time, zone) {
+  const day = moment.utc(date).format('YYYY-MM-DD');
+  return moment.tz(`${day} ${time.trim()}`, 'YYYY-MM-DD HH:mm', zone);
+}
+
+// The booking's start and end as moments in the doctor's time zone;
+// `booking.doctor` must be populated for its timeZone to be used.
+function getBookingStart(booking) {
+  return atTime(booking.date, booking.time.split(' - ')[0], timeZoneFor(booking.doctor));
+}
+
+function getBookingEnd(booking) {
+  return atTime(booking.date, booking.time.split(' - ')[1], timeZoneFor(booking.doctor));
+}
+
+function isWithinChangeCutoff(booking, now = moment()) {
+  return getBookingStart(booking).diff(now, 'hours', true) < CHANGE_CUTOFF_HOURS;
+}
+
+module.exports = {
+  CHANGE_CUTOFF_HOURS,
+  timeZoneFor,
+  getBookingStart,
+  getBookingEnd,
+  isWithinChangeCutoff
+};
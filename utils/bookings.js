@@ -0,0 +1,176 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const { reserveSlot, releaseSlot } = require('./slotReservation');
+const { CHANGE_CUTOFF_HOURS, isWithinChangeCutoff } = require('./bookingTime');
+const { ACTIVE_STATUSES, InvalidTransitionError, transition } = require('./bookingLifecycle');
+const { scheduleReminders, cancelReminders } = require('./reminderScheduler');
+const { postToConversation } = require('./chatMessages');
+const { formatAddress } = require('./email');
+const { enqueueEmail } = require('./emailOutbox');
+const { withTransaction } = require('./transactions');
+const { createMeetingLink } = require('./meetingLinks');
+const { snapshot, recordAudit } = require('./audit');
+
+// Booking changes shared by the web pages and the JSON API, so both apply
+// the same rules and send the same notifications. Each takes the audit
+// context of the request (see utils/audit.js) and logs the change.
+
+const STATUS_FIELDS = ['status'];
+
+function auditTarget(booking) {
+  return { type: 'Booking', id: booking._id, label: `${booking.date.toDateString()} ${booking.time}` };
+}
+
+async function createBooking({ patientId, doctorId, date, startTime, consultationType }, audit) {
+  const slot = await reserveSlot(doctorId, date, startTime);
+
+  try {
+    return await withTransaction(async (session) => {
+      const [booking] = await Booking.create([{
+        patient: patientId,
+        doctor: doctorId,
+        date: new Date(date),
+        time: `${slot.startTime} - ${slot.endTime}`,
+        consultationType,
+        status: 'waiting',
+        hospital: {
+          name: slot.hospital,
+          location: slot.hospitalLocation
+        }
+      }], { session });
+
+      await recordAudit(audit, {
+        action: 'booking.create',
+        target: auditTarget(booking),
+        after: snapshot(booking, ['patient', 'doctor', 'date', 'time', 'consultationType', 'status'])
+      }, session);
+      return booking;
+    });
+  } catch (error) {
+    await releaseSlot(doctorId, date, startTime);
+    throw error;
+  }
+}
+
+// Patient cancellation; `booking.doctor` must be populated.
+async function cancelBooking(booking, patient, reason, audit) {
+  if (!ACTIVE_STATUSES.includes(booking.status)) {
+    throw new InvalidTransitionError(`A ${booking.status} booking cannot be cancelled.`);
+  }
+
+  if (isWithinChangeCutoff(booking)) {
+    throw new InvalidTransitionError(`Bookings can only be cancelled up to ${CHANGE_CUTOFF_HOURS} hours before the appointment.`);
+  }
+
+  const before = snapshot(booking, STATUS_FIELDS);
+
+  transition(booking, 'cancelled', { actor: patient._id, role: 'patient', reason });
+  booking.cancelledAt = new Date();
+  booking.cancellationReason = reason;
+
+  await withTransaction(async (session) => {
+    await booking.save({ session });
+    await recordAudit(audit, {
+      action: 'booking.cancel',
+      target: auditTarget(booking),
+      before,
+      after: snapshot(booking, STATUS_FIELDS),
+      reason
+    }, session);
+  });
+
+  await releaseSlot(booking.doctor._id, booking.date, booking.time.split(' - ')[0]);
+  await cancelReminders(booking._id);
+
+  const message = `${patient.name} cancelled the appointment on ${booking.date.toDateString()} at ${booking.time}.${reason ? ` Reason: ${reason}` : ''}`;
+
+  await Notification.create({
+    userId: booking.doctor._id,
+    message,
+    type: 'appointment',
+    read: false,
+    createdAt: new Date()
+  });
+
+  await postToConversation(booking.doctor._id, booking.patient, booking.patient, message);
+
+  return booking;
+}
+
+// Doctor decision on a booking; `booking.doctor` and `booking.patient` must
+// be populated. `baseUrl` is used for self-hosted meeting links.
+async function updateBookingStatus(booking, status, { actor, reason, baseUrl, audit }) {
+  const doctor = booking.doctor;
+  const before = snapshot(booking, STATUS_FIELDS);
+
+  transition(booking, status, { actor, role: 'doctor', reason });
+
+  if (status === 'accepted' && !booking.meetingLink && booking.consultationType === 'Video call') {
+    booking.meetingLink = await createMeetingLink(booking, { baseUrl });
+  }
+
+  const emailData = {
+    patientName: booking.patient.name,
+    doctorName: doctor.name,
+    date: booking.date,
+    time: booking.time,
+    consultationType: booking.consultationType,
+    meetingLink: booking.meetingLink,
+    address: formatAddress(booking.hospital)
+  };
+
+  await withTransaction(async (session) => {
+    await booking.save({ session });
+    await recordAudit(audit, {
+      action: `booking.${status === 'cancelled' ? 'cancel' : 'change-status'}`,
+      target: auditTarget(booking),
+      before,
+      after: snapshot(booking, STATUS_FIELDS),
+      reason
+    }, session);
+
+    if (status === 'accepted') {
+      await enqueueEmail('booking-accepted', { to: booking.patient.email, locale: booking.patient.locale, data: emailData }, { session });
+
+      if (booking.consultationType === 'Video call') {
+        await enqueueEmail('booking-accepted-doctor', { to: doctor.email, locale: doctor.locale, data: emailData }, { session });
+      }
+    } else if (status === 'rejected') {
+      await enqueueEmail('booking-rejected', { to: booking.patient.email, locale: booking.patient.locale, data: emailData }, { session });
+    }
+  });
+
+  if (status === 'rejected' || status === 'cancelled') {
+    await releaseSlot(doctor._id, booking.date, booking.time.split(' - ')[0]);
+  }
+
+  if (status === 'accepted') {
+    await scheduleReminders(booking);
+  } else {
+    await cancelReminders(booking._id);
+  }
+
+  let chatMessage;
+
+  if (status === 'accepted' && booking.consultationType === 'Video call') {
+    // Link creation may have failed with every provider; the
+    // booking is still confirmed and the link sent separately.
+    chatMessage = `Your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been confirmed. ${booking.meetingLink ? `Join the meeting using the following link: ${booking.meetingLink}` : 'The meeting link will be shared before the appointment.'}`;
+  } else if (status === 'accepted') {
+    chatMessage = `Your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been confirmed. Please visit the hospital at ${emailData.address}`;
+  } else if (status === 'rejected') {
+    chatMessage = `We regret to inform you that your appointment with Dr. ${doctor.name} on ${booking.date.toDateString()} at ${booking.time} has been rejected.`;
+  }
+
+  if (chatMessage) {
+    await postToConversation(doctor._id, booking.patient._id, doctor._id, chatMessage);
+  }
+
+  return booking;
+}
+
+module.exports = {
+  createBooking,
+  cancelBooking,
+  updateBookingStatus
+};
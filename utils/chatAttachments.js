@@ -0,0 +1,86 @@
+const multer = require('multer');
+const Jimp = require('jimp');
+const ChatAttachment = require('../models/ChatAttachment');
+
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+const THUMBNAIL_SIZE = 200;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'attachment'));
+    }
+    cb(null, true);
+  }
+});
+
+// Wraps multer so a rejected file comes back as a 400 instead of reaching
+// the app-wide error handler.
+function uploadAttachment(req, res, next) {
+  upload.single('attachment')(req, res, err => {
+    if (!err) {
+      return next();
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).send(`Attachments must be smaller than ${MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`);
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).send('Only images (JPEG, PNG, GIF, WebP) and PDF files can be attached');
+    }
+    next(err);
+  });
+}
+
+async function createThumbnail(file) {
+  if (!THUMBNAIL_TYPES.includes(file.mimetype)) {
+    return undefined;
+  }
+
+  try {
+    const image = await Jimp.read(file.buffer);
+    image.scaleToFit(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    return { data: await image.getBufferAsync(Jimp.MIME_JPEG), contentType: Jimp.MIME_JPEG };
+  } catch (error) {
+    console.error('Error creating thumbnail:', error.message);
+    return undefined;
+  }
+}
+
+async function createAttachment(chatId, uploaderId, file) {
+  return ChatAttachment.create({
+    chatId,
+    uploaderId,
+    fileName: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+    data: file.buffer,
+    thumbnail: await createThumbnail(file)
+  });
+}
+
+// Callers must already have checked that the current user is part of chatId.
+async function sendAttachment(req, res, chatId) {
+  const attachment = await ChatAttachment.findOne({ _id: req.params.attachmentId, chatId });
+
+  if (!attachment) {
+    return res.status(404).send('Attachment not found');
+  }
+
+  const useThumbnail = req.query.thumbnail && attachment.thumbnail && attachment.thumbnail.data;
+  const disposition = attachment.contentType === 'application/pdf' && !useThumbnail ? 'attachment' : 'inline';
+
+  res.setHeader('Content-Type', useThumbnail ? attachment.thumbnail.contentType : attachment.contentType);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${encodeURIComponent(attachment.fileName)}"`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.send(useThumbnail ? attachment.thumbnail.data : attachment.data);
+}
+
+module.exports = {
+  uploadAttachment,
+  createAttachment,
+  sendAttachment
+};
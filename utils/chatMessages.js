@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+const PAGE_SIZE = 30;
+
+function summarize(message) {
+  return {
+    senderId: message.senderId,
+    text: message.text || 'Attachment',
+    timestamp: message.timestamp
+  };
+}
+
+async function findOrCreateChat(doctorId, patientId) {
+  return Chat.findOneAndUpdate(
+    { doctorId, patientId },
+    { $setOnInsert: { doctorId, patientId } },
+    { upsert: true, new: true }
+  );
+}
+
+async function addMessage(chatId, { senderId, text, attachment }) {
+  const message = await Message.create({
+    chatId,
+    senderId,
+    text,
+    attachment,
+    timestamp: new Date(),
+    read: false
+  });
+
+  await Chat.updateOne(
+    { _id: chatId },
+    { $set: { lastMessage: summarize(message), updatedAt: message.timestamp } }
+  );
+
+  return message;
+}
+
+// Used for system messages (booking updates, reminders, prescriptions) where
+// the chat may not exist yet.
+async function postToConversation(doctorId, patientId, senderId, text) {
+  const chat = await findOrCreateChat(doctorId, patientId);
+  return addMessage(chat._id, { senderId, text });
+}
+
+function isParticipant(chat, user) {
+  return [chat.doctorId, chat.patientId]
+    .some(id => id && String(id._id || id) === String(user._id));
+}
+
+// Returns up to `limit` messages of `chat` older than the `before` message
+// id, oldest first, plus the cursor for the next "load older" request.
+// `reader` must be the chat's doctor or patient; callers look the chat up
+// scoped to the reader, and this refuses to page through anyone else's.
+async function listMessages(chat, reader, { before, limit = PAGE_SIZE } = {}) {
+  if (!isParticipant(chat, reader)) {
+    throw new Error('Messages can only be listed for a participant of the chat');
+  }
+
+  const query = { chatId: chat._id };
+  if (before && mongoose.isValidObjectId(before)) {
+    query._id = { $lt: before };
+  }
+
+  const page = await Message.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate('attachment', 'fileName contentType size')
+    .lean();
+
+  const hasMore = page.length > limit;
+  const messages = page.slice(0, limit).reverse();
+
+  return {
+    messages,
+    nextCursor: hasMore ? messages[0]._id : null
+  };
+}
+
+async function markRead(chatId, readerId) {
+  const result = await Message.updateMany(
+    { chatId, senderId: { $ne: readerId }, read: false },
+    { $set: { read: true } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function countUnread(chatIds, readerId) {
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        chatId: { $in: chatIds.map(id => new mongoose.Types.ObjectId(id)) },
+        read: false,
+        senderId: { $ne: new mongoose.Types.ObjectId(readerId) }
+      }
+    },
+    { $group: { _id: '$chatId', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((byChat, { _id, count }) => {
+    byChat[_id.toString()] = count;
+    return byChat;
+  }, {});
+}
+
+module.exports = {
+  PAGE_SIZE,
+  findOrCreateChat,
+  addMessage,
+  postToConversation,
+  listMessages,
+  markRead,
+  countUnread
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The session's CSRF token, created the first time a page needs one so
+// visitors who never see a form don't get a session.
+function csrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+function tokenMatches(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string' || expected.length !== actual.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+// Makes `csrfToken()` available to every view; forms post it back as _csrf.
+function csrfLocals(req, res, next) {
+  res.locals.csrfToken = () => csrfToken(req);
+  next();
+}
+
+function checkToken(req, res, next) {
+  const token = (req.body && req.body._csrf) || req.get('X-CSRF-Token');
+
+  if (!req.session || !tokenMatches(req.session.csrfToken, token)) {
+    console.warn('Rejected request with an invalid CSRF token:', { ip: req.ip, originalUrl: req.originalUrl });
+    return res.status(403).send('Invalid or missing form token. Please go back, reload the page and try again.');
+  }
+  next();
+}
+
+// Rejects state-changing requests that don't carry the session's token in
+// the form body (or the X-CSRF-Token header). Requests authenticated with an
+// API token carry no cookie and are not exposed.
+//
+// Multipart forms are only parsed by multer inside their route, so their
+// token is checked there: wrap every upload middleware in csrfUpload().
+function verifyCsrf(req, res, next) {
+  if (SAFE_METHODS.includes(req.method) || (req.session && req.session.viaToken) || req.is('multipart/form-data')) {
+    return next();
+  }
+  checkToken(req, res, next);
+}
+
+// Runs an upload (multer) middleware, then checks the token posted with the
+// rest of the multipart form.
+function csrfUpload(upload) {
+  return [upload, checkToken];
+}
+
+module.exports = {
+  csrfToken,
+  csrfLocals,
+  verifyCsrf,
+  csrfUpload
+};
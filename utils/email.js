@@ -0,0 +1,166 @@
+const path = require('path');
+const ejs = require('ejs');
+const moment = require('moment');
+require('moment/locale/es');
+const { getTransport } = require('./mailTransports');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+const APP_NAME = 'Global Wellness Alliance';
+
+const DEFAULT_LOCALE = 'en';
+const catalogs = {
+  en: require('../locales/en.json'),
+  es: require('../locales/es.json')
+};
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Sample data for each template, used by the admin preview page.
+const TEMPLATES = {
+  'verify-email': {
+    name: 'Jane Doe',
+    verificationLink: 'http://localhost:3000/auth/verify-email?token=preview&role=patient'
+  },
+  'password-reset': {
+    name: 'Jane Doe',
+    resetUrl: 'http://localhost:3000/auth/reset-password?token=preview'
+  },
+  'login-code': {
+    name: 'Jane Doe',
+    code: '482913',
+    minutes: 10
+  },
+  'account-locked': {
+    name: 'Jane Doe',
+    minutes: 15,
+    unlockUrl: 'http://localhost:3000/auth/unlock?token=preview'
+  },
+  'admin-invite': {
+    name: 'Jane Doe',
+    inviterName: 'John Smith',
+    roleLabel: 'Verifier',
+    inviteUrl: 'http://localhost:3000/auth/admin-invite?token=preview',
+    days: 7
+  },
+  'signup-existing': {
+    name: 'Jane Doe',
+    loginUrl: 'http://localhost:3000/auth/login',
+    resetUrl: 'http://localhost:3000/auth/forgot-password'
+  },
+  'booking-accepted': {
+    patientName: 'Jane Doe',
+    doctorName: 'John Smith',
+    date: new Date('2025-01-15T00:00:00Z'),
+    time: '10:00 - 10:30',
+    consultationType: 'Video call',
+    meetingLink: 'http://localhost:3000/consultation/preview',
+    address: ''
+  },
+  'booking-accepted-doctor': {
+    patientName: 'Jane Doe',
+    doctorName: 'John Smith',
+    date: new Date('2025-01-15T00:00:00Z'),
+    time: '10:00 - 10:30',
+    consultationType: 'In-person',
+    meetingLink: null,
+    address: 'City Hospital, 1 Main Street, Springfield'
+  },
+  'booking-rejected': {
+    patientName: 'Jane Doe',
+    doctorName: 'John Smith',
+    date: new Date('2025-01-15T00:00:00Z'),
+    time: '10:00 - 10:30'
+  },
+  'appointment-reminder': {
+    audience: 'patient',
+    kind: '24h',
+    name: 'Jane Doe',
+    withName: 'Dr. John Smith',
+    date: new Date('2025-01-15T00:00:00Z'),
+    time: '10:00 - 10:30',
+    consultationType: 'Video call',
+    meetingLink: 'http://localhost:3000/consultation/preview',
+    address: ''
+  }
+};
+
+function resolveLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+}
+
+// Looks a key up in the locale's catalog, falling back to English, and fills
+// in {{placeholders}} from params.
+function translator(locale) {
+  return (key, params = {}) => {
+    const message = lookup(catalogs[locale], key) || lookup(catalogs[DEFAULT_LOCALE], key) || key;
+    return message.replace(/\{\{(\w+)\}\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+  };
+}
+
+function formatAddress(hospital) {
+  if (!hospital || !hospital.name) {
+    return '';
+  }
+  const location = hospital.location || {};
+  return [hospital.name, location.street, location.city, location.state, location.country, location.zip]
+    .filter(Boolean)
+    .join(', ');
+}
+
+async function renderEmail(template, locale, data) {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  locale = resolveLocale(locale);
+  const t = translator(locale);
+  const locals = {
+    // Every variable a template uses must exist, even when a queued message
+    // lost its undefined fields on the way through the database.
+    ...Object.fromEntries(Object.keys(TEMPLATES[template]).map(key => [key, null])),
+    ...data,
+    t,
+    locale,
+    appName: APP_NAME,
+    appUrl: process.env.APP_URL || 'http://localhost:3000',
+    footerAddress: process.env.MAIL_FOOTER_ADDRESS || '',
+    // Booking dates are stored as UTC midnight, so format them in UTC.
+    formatDate: date => moment.utc(date).locale(locale).format('LL')
+  };
+  const subject = t(`${template}.subject`, data);
+
+  const htmlBody = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.html.ejs`), locals);
+  const textBody = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.text.ejs`), locals);
+
+  return {
+    subject,
+    html: await ejs.renderFile(path.join(TEMPLATE_DIR, 'layout.html.ejs'), { ...locals, subject, body: htmlBody }),
+    text: await ejs.renderFile(path.join(TEMPLATE_DIR, 'layout.text.ejs'), { ...locals, subject, body: textBody })
+  };
+}
+
+// Renders a named template in the recipient's locale and sends it with both
+// HTML and plain-text parts. Callers should normally go through the outbox
+// (utils/emailOutbox.js) instead of sending directly.
+async function deliverEmail(template, { to, locale, data = {} }) {
+  const { subject, html, text } = await renderEmail(template, locale, data);
+
+  await getTransport().sendMail({
+    from: process.env.EMAIL_USER,
+    to,
+    subject,
+    html,
+    text
+  });
+}
+
+module.exports = {
+  TEMPLATES,
+  SUPPORTED_LOCALES,
+  formatAddress,
+  renderEmail,
+  deliverEmail
+};
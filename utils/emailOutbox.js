@@ -0,0 +1,92 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const { TEMPLATES, deliverEmail } = require('./email');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+// A message locked for longer than this is assumed to belong to a crashed worker.
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Templates whose data holds a secret (a login code or a link carrying a
+// token) that must not outlive delivery, or the last attempt at it.
+const SECRET_TEMPLATES = ['login-code', 'verify-email', 'password-reset', 'account-locked', 'admin-invite'];
+
+function clearSecretData(message) {
+  return SECRET_TEMPLATES.includes(message.template) ? { $unset: { data: '' } } : {};
+}
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Queues an email for the worker. Pass the session of the transaction that
+// makes the related change so the email is only sent if that change commits.
+async function enqueueEmail(template, { to, locale, data = {} }, { session } = {}) {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  const [message] = await EmailOutbox.create([{ template, to, locale, data }], { session });
+  return message;
+}
+
+async function claimNextEmail(now) {
+  return EmailOutbox.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [
+        { lockedAt: null },
+        { lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+async function processOutbox(now = new Date()) {
+  let message;
+
+  while ((message = await claimNextEmail(now))) {
+    try {
+      await deliverEmail(message.template, { to: message.to, locale: message.locale, data: message.data });
+      await EmailOutbox.updateOne(
+        { _id: message._id },
+        {
+          $set: { status: 'sent', sentAt: new Date(), lockedAt: null },
+          ...clearSecretData(message)
+        }
+      );
+    } catch (error) {
+      const dead = message.attempts >= MAX_ATTEMPTS;
+      console.error(`Error sending email ${message._id}${dead ? ' (giving up)' : ''}:`, error.message);
+      await EmailOutbox.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: dead ? 'dead' : 'pending',
+            nextAttemptAt: new Date(now.getTime() + retryDelay(message.attempts)),
+            lastError: error.message,
+            lockedAt: null
+          },
+          ...(dead ? clearSecretData(message) : {})
+        }
+      );
+    }
+  }
+}
+
+function startEmailWorker() {
+  processOutbox().catch(err => console.error('Error processing email outbox:', err));
+
+  return setInterval(() => {
+    processOutbox().catch(err => console.error('Error processing email outbox:', err));
+  }, POLL_INTERVAL_MS);
+}
+
+module.exports = {
+  enqueueEmail,
+  processOutbox,
+  startEmailWorker
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+
+const PROVIDER = 'google';
+const SCOPES = [
+  'https://www.googleapis.com/auth/userinfo.profile',
+  'https://www.googleapis.com/auth/userinfo.email'
+];
+const SIGNUP_ROLES = ['patient', 'doctor'];
+// How long the user has to finish the round trip through Google.
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const stateSecret = () => process.env.OAUTH_STATE_SECRET || process.env.SESSION_SECRET;
+
+// A client per request: credentials set on a shared one would leak between
+// concurrent sign-ins.
+function createClient() {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', stateSecret()).update(payload).digest('base64url');
+}
+
+// The state sent to Google is an HMAC-signed payload holding what the user
+// asked for (sign in, sign up as a role, or link to their account) plus a
+// nonce that is also kept in the session. The callback only trusts a state
+// that is correctly signed, recent, and matches this browser's nonce.
+function createState(req, { intent, role, accountId }) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const payload = Buffer.from(JSON.stringify({
+    intent,
+    role,
+    accountId: accountId && accountId.toString(),
+    nonce,
+    issuedAt: Date.now()
+  })).toString('base64url');
+
+  req.session.oauthNonce = nonce;
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the state's payload, or null if it can't be trusted. The session
+// nonce is consumed either way, so a state can only be used once.
+function verifyState(req, state) {
+  const nonce = req.session.oauthNonce;
+  delete req.session.oauthNonce;
+
+  if (typeof state !== 'string' || !nonce) {
+    return null;
+  }
+
+  const [payload, signature] = state.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (data.nonce !== nonce || !(Date.now() - data.issuedAt < STATE_TTL_MS)) {
+    return null;
+  }
+  if (data.role && !SIGNUP_ROLES.includes(data.role)) {
+    return null;
+  }
+  return data;
+}
+
+function getAuthUrl(state) {
+  return createClient().generateAuthUrl({
+    scope: SCOPES,
+    state,
+    prompt: 'select_account'
+  });
+}
+
+// Exchanges the callback's code and returns who the user is at Google.
+async function fetchGoogleIdentity(code) {
+  const client = createClient();
+  const { tokens } = await client.getToken(code);
+  client.setCredentials(tokens);
+
+  const { data } = await google.oauth2({ auth: client, version: 'v2' }).userinfo.get();
+
+  return {
+    subject: data.id,
+    email: data.email,
+    emailVerified: !!data.verified_email,
+    name: data.name
+  };
+}
+
+function findLink(account) {
+  return account.oauthProviders.find(link => link.provider === PROVIDER);
+}
+
+module.exports = {
+  PROVIDER,
+  SIGNUP_ROLES,
+  createState,
+  verifyState,
+  getAuthUrl,
+  fetchGoogleIdentity,
+  findLink
+};
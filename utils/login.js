@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { isTwoFactorRequired, isTrustedDevice } = require('./twoFactor');
+const { clearFailedLogins } = require('./accountLockout');
+const { regenerateSession, trackSession } = require('./sessions');
+
+const HOME_PAGES = {
+  patient: '/patient/patient-index',
+  doctor: '/doctor/doctor-index',
+  admin: '/admin/admin-home'
+};
+
+// Compared against when an email has no password, so a login for an unknown
+// email takes as long as one with a wrong password.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Checks a login password. Always runs bcrypt, even without an account, so
+// the response time doesn't reveal whether the email is registered. Used by
+// the web login and the API's password grant.
+const checkPassword = (account, password) =>
+  bcrypt.compare(String(password || ''), (account && account.password) || DUMMY_PASSWORD_HASH);
+
+const establishSession = async (req, account, user) => {
+  account.lastLoginAt = new Date();
+  clearFailedLogins(account);
+  await account.save();
+
+  await regenerateSession(req);
+  req.session.user = user;
+  req.session.accountId = account._id;
+  await trackSession(req, account);
+};
+
+const completeLogin = async (req, res, account, user, redirectTo) => {
+  await establishSession(req, account, user);
+  req.flash('success_msg', 'Logged in successfully');
+  return res.redirect(redirectTo || HOME_PAGES[user.role]);
+};
+
+// Called once the first factor (password or Google) has succeeded. Doctors
+// and admins with 2FA go through /auth/2fa first; those required to use it
+// but not yet enrolled are sent to enrollment. Until then only
+// req.session.pendingLogin is set, never req.session.user.
+const beginLogin = async (req, res, account, user, redirectTo) => {
+  if (!HOME_PAGES[user.role]) {
+    req.flash('error_msg', 'Invalid role');
+    return res.redirect('/auth/login');
+  }
+
+  // Admins who were deactivated, or haven't accepted their invitation yet.
+  if (user.role === 'admin' && user.status !== 'active') {
+    req.flash('error_msg', 'This admin account is not active.');
+    return res.redirect('/auth/login');
+  }
+
+  const needsCode = account.twoFactor.enabled && !isTrustedDevice(req, account);
+  const needsEnrollment = !account.twoFactor.enabled && isTwoFactorRequired(account);
+
+  if (!needsCode && !needsEnrollment) {
+    return completeLogin(req, res, account, user, redirectTo);
+  }
+
+  await account.save();
+  req.session.pendingLogin = {
+    accountId: account._id,
+    redirectTo,
+    attempts: 0,
+    startedAt: Date.now()
+  };
+  return res.redirect(needsCode ? '/auth/2fa' : '/auth/2fa/setup');
+};
+
+module.exports = {
+  HOME_PAGES,
+  checkPassword,
+  establishSession,
+  completeLogin,
+  beginLogin
+};
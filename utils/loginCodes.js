@@ -0,0 +1,98 @@
+const bcrypt = require('bcryptjs');
+const otpGenerator = require('otp-generator');
+const Account = require('../models/Account');
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MINUTES = Number(process.env.LOGIN_CODE_TTL_MINUTES) || 10;
+const MAX_ATTEMPTS = 5;
+// Minimum wait before another code is emailed to the same account.
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+// Email codes are offered to patients only; doctors and admins keep their
+// password (and second factor).
+const LOGIN_CODE_ROLES = ['patient'];
+
+function canUseLoginCode(account) {
+  return !!account && LOGIN_CODE_ROLES.includes(account.role);
+}
+
+function canResend(account, now = new Date()) {
+  const sentAt = account.loginCode && account.loginCode.sentAt;
+  return !sentAt || now - sentAt >= RESEND_INTERVAL_MS;
+}
+
+// Replaces any earlier code and returns the new one in clear text so it can
+// be emailed. The caller saves the account.
+async function issueLoginCode(account, now = new Date()) {
+  const code = otpGenerator.generate(CODE_LENGTH, {
+    upperCaseAlphabets: false,
+    lowerCaseAlphabets: false,
+    specialChars: false
+  });
+
+  account.loginCode = {
+    hash: await bcrypt.hash(code, 10),
+    expiresAt: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000),
+    attempts: 0,
+    sentAt: now
+  };
+
+  return code;
+}
+
+// Clears the code, unless a new one has been issued meanwhile. Done in the
+// database only, so saving the loaded account can't undo it.
+async function clearLoginCode(account, hash) {
+  return Account.findOneAndUpdate(
+    { _id: account._id, 'loginCode.hash': hash },
+    { $unset: { loginCode: 1 } }
+  );
+}
+
+// Returns 'ok', 'invalid', 'expired' or 'locked'. A used, expired or locked
+// code is cleared so it can't be tried again. Attempts are counted in the
+// database before the code is compared, so guesses sent in parallel each
+// use one up. The caller saves any other changes to the account.
+async function checkLoginCode(account, code, now = new Date()) {
+  const loginCode = account.loginCode;
+
+  if (!loginCode || !loginCode.hash) {
+    return 'expired';
+  }
+  if (loginCode.expiresAt < now) {
+    await clearLoginCode(account, loginCode.hash);
+    return 'expired';
+  }
+
+  const claimed = await Account.findOneAndUpdate(
+    { _id: account._id, 'loginCode.hash': loginCode.hash, 'loginCode.attempts': { $lt: MAX_ATTEMPTS } },
+    { $inc: { 'loginCode.attempts': 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Attempts used up, or the code was cleared by a parallel request.
+    await clearLoginCode(account, loginCode.hash);
+    return 'locked';
+  }
+
+  const token = String(code || '').replace(/\s/g, '');
+
+  if (token.length === CODE_LENGTH && await bcrypt.compare(token, loginCode.hash)) {
+    // Only one request may use the code.
+    return await clearLoginCode(account, loginCode.hash) ? 'ok' : 'expired';
+  }
+  if (claimed.loginCode.attempts >= MAX_ATTEMPTS) {
+    await clearLoginCode(account, loginCode.hash);
+    return 'locked';
+  }
+  return 'invalid';
+}
+
+module.exports = {
+  CODE_TTL_MINUTES,
+  canUseLoginCode,
+  canResend,
+  issueLoginCode,
+  checkLoginCode
+};
@@ -0,0 +1,66 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_TRANSPORT = 'smtp';
+const MAIL_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+// Every transport exposes nodemailer's `sendMail(message)`.
+const transports = {
+  // SMTP_HOST selects a generic server; without it Gmail is used, as before.
+  smtp: () => nodemailer.createTransport(process.env.SMTP_HOST
+    ? {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD } : undefined
+    }
+    : {
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD,
+      },
+    }),
+
+  // Writes each message as a JSON file, for development and tests.
+  file: () => ({
+    sendMail: async message => {
+      await fs.mkdir(MAIL_DIR, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.writeFile(path.join(MAIL_DIR, fileName), JSON.stringify(message, null, 2));
+      return { messageId: fileName };
+    }
+  }),
+
+  // Prints each message to the console as JSON.
+  json: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      sendMail: async message => {
+        const info = await transporter.sendMail(message);
+        console.log('Email:', info.message);
+        return info;
+      }
+    };
+  }
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+module.exports = {
+  MAIL_DIR,
+  getTransport
+};
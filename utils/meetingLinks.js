@@ -0,0 +1,141 @@
+const { google } = require('googleapis');
+const { timeZoneFor, getBookingStart, getBookingEnd } = require('./bookingTime');
+const { roomUrl } = require('./videoRooms');
+
+// How many links the `fake` provider remembers.
+const FAKE_LINKS_KEPT = 100;
+
+const DEFAULT_PROVIDER = 'google';
+const DEFAULT_FALLBACK_PROVIDER = 'video-room';
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+async function createGoogleMeetLink(booking) {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+
+  oauth2Client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+
+  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  const start = getBookingStart(booking);
+  const timeZone = timeZoneFor(booking.doctor);
+
+  const event = {
+    summary: `Appointment with Dr. ${booking.doctor.name}`,
+    description: `Appointment with Dr. ${booking.doctor.name} and patient ${booking.patient.name}`,
+    start: {
+      dateTime: start.format('YYYY-MM-DDTHH:mm:ss'),
+      timeZone
+    },
+    end: {
+      dateTime: getBookingEnd(booking).format('YYYY-MM-DDTHH:mm:ss'),
+      timeZone
+    },
+    attendees: [
+      { email: booking.doctor.email },
+      { email: booking.patient.email }
+    ],
+    conferenceData: {
+      createRequest: {
+        // Unique per booking and appointment time, so a retried request
+        // reuses the conference instead of creating a second one.
+        requestId: `${booking._id}-${start.valueOf()}`,
+        conferenceSolutionKey: {
+          type: 'hangoutsMeet'
+        }
+      }
+    }
+  };
+
+  const response = await calendar.events.insert({
+    calendarId: 'primary',
+    resource: event,
+    conferenceDataVersion: 1
+  });
+
+  if (!response.data.hangoutLink) {
+    throw new Error('Google Calendar did not return a Meet link');
+  }
+  return response.data.hangoutLink;
+}
+
+// The latest links handed out by the `fake` provider, for inspection in
+// local runs.
+const fakeLinks = [];
+
+const providers = {
+  google: booking => createGoogleMeetLink(booking),
+
+  'video-room': (booking, { baseUrl }) => roomUrl(baseUrl, booking._id),
+
+  static: booking => {
+    if (!booking.doctor.meetingLink) {
+      throw new Error(`Dr. ${booking.doctor.name} has no personal meeting link`);
+    }
+    // The link is entered by the doctor and sent to the patient as is.
+    if (!isHttpUrl(booking.doctor.meetingLink)) {
+      throw new Error(`Dr. ${booking.doctor.name}'s personal meeting link is not an http(s) URL`);
+    }
+    return booking.doctor.meetingLink;
+  },
+
+  // Never contacts anything; `.invalid` links can't resolve by design.
+  fake: booking => {
+    const link = `https://meeting.invalid/${booking._id}`;
+    fakeLinks.push({ bookingId: booking._id.toString(), link, start: getBookingStart(booking).toDate() });
+    if (fakeLinks.length > FAKE_LINKS_KEPT) {
+      fakeLinks.shift();
+    }
+    return link;
+  }
+};
+
+async function createWith(name, booking, options) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown meeting provider "${name}"`);
+  }
+  return provider(booking, options);
+}
+
+// Creates a meeting link for a video booking with the provider chosen by
+// MEETING_PROVIDER. If it fails (e.g. Google is down) the link comes from
+// MEETING_FALLBACK_PROVIDER instead; if that fails too, null is returned so
+// the booking can still be accepted. `booking.doctor` and `booking.patient`
+// must be populated.
+async function createMeetingLink(booking, { baseUrl }) {
+  const primary = process.env.MEETING_PROVIDER || DEFAULT_PROVIDER;
+  const fallback = process.env.MEETING_FALLBACK_PROVIDER || DEFAULT_FALLBACK_PROVIDER;
+
+  try {
+    return await createWith(primary, booking, { baseUrl });
+  } catch (error) {
+    console.error(`Error creating ${primary} meeting link for booking ${booking._id}:`, error.message);
+  }
+
+  if (fallback && fallback !== 'none' && fallback !== primary) {
+    try {
+      return await createWith(fallback, booking, { baseUrl });
+    } catch (error) {
+      console.error(`Error creating ${fallback} meeting link for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  providers,
+  fakeLinks,
+  isHttpUrl,
+  createMeetingLink
+};
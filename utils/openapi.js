@@ -0,0 +1,560 @@
+const Booking = require('../models/Booking');
+const Chat = require('../models/Chat');
+const Doctor = require('../models/Doctor');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Prescription = require('../models/Prescription');
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+// Maps one Mongoose schema type to an OpenAPI schema.
+function fromSchemaType(type) {
+  if (type.$isMongooseDocumentArray) {
+    return { type: 'array', items: fromMongooseSchema(type.schema) };
+  }
+  if (type.$isSingleNested) {
+    return fromMongooseSchema(type.schema);
+  }
+
+  switch (type.instance) {
+    case 'String':
+      return type.enumValues && type.enumValues.length > 0
+        ? { type: 'string', enum: type.enumValues }
+        : { type: 'string' };
+    case 'Number':
+      return { type: 'number' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'ObjectId':
+      return OBJECT_ID;
+    case 'Buffer':
+      return { type: 'string', format: 'byte' };
+    case 'Array':
+      return { type: 'array', items: type.caster ? fromSchemaType(type.caster) : {} };
+    default:
+      return {};
+  }
+}
+
+// Builds an object schema from a Mongoose schema. Dotted paths such as
+// `hospital.location.city` become nested objects. `fields` limits the
+// result to the listed top-level fields.
+function fromMongooseSchema(schema, { fields } = {}) {
+  const result = { type: 'object', properties: {}, required: [] };
+
+  schema.eachPath((path, type) => {
+    const parts = path.split('.');
+    if (path === '__v' || (fields && !fields.includes(parts[0]))) {
+      return;
+    }
+
+    let node = result;
+    parts.slice(0, -1).forEach(part => {
+      node.properties[part] = node.properties[part] || { type: 'object', properties: {} };
+      node = node.properties[part];
+    });
+    node.properties[parts[parts.length - 1]] = fromSchemaType(type);
+
+    if (type.isRequired && parts.length === 1) {
+      result.required.push(path);
+    }
+  });
+
+  if (result.required.length === 0) {
+    delete result.required;
+  }
+  return result;
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function json(schema, description = 'OK') {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+function dataOf(schema) {
+  return { type: 'object', properties: { data: schema } };
+}
+
+function pageOf(schema) {
+  return {
+    type: 'object',
+    properties: { data: { type: 'array', items: schema }, pagination: ref('Pagination') }
+  };
+}
+
+function body(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+function param(name, schema = OBJECT_ID, description) {
+  return { name, in: 'path', required: true, schema, description };
+}
+
+function queryParam(name, schema = { type: 'string' }, description) {
+  return { name, in: 'query', required: false, schema, description };
+}
+
+const error = description => ({ $ref: `#/components/responses/${description}` });
+
+const pageParams = [
+  queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 })
+];
+
+const idParam = param('id');
+const secured = [{ bearerAuth: [] }];
+
+const DOCTOR_PUBLIC_FIELDS = ['_id', 'name', 'title', 'aboutMe', 'speciality', 'country', 'state', 'city', 'gender',
+  'languages', 'hospitals', 'insurances', 'consultation', 'rating', 'consultationsCompleted', 'profileViews', 'conditions'];
+
+function components() {
+  const booking = fromMongooseSchema(Booking.schema, {
+    fields: ['date', 'time', 'consultationType', 'status', 'meetingLink', 'hospital', 'cancellationReason', 'statusHistory']
+  });
+  booking.properties = {
+    id: OBJECT_ID,
+    doctor: {
+      type: 'object',
+      properties: { id: OBJECT_ID, name: { type: 'string' }, speciality: { type: 'array', items: { type: 'string' } } }
+    },
+    patient: { type: 'object', properties: { id: OBJECT_ID, name: { type: 'string' } } },
+    ...booking.properties,
+    allowedStatuses: { type: 'array', items: booking.properties.status }
+  };
+
+  const chat = fromMongooseSchema(Chat.schema);
+  chat.properties = {
+    id: OBJECT_ID,
+    doctor: { type: 'object', properties: { _id: OBJECT_ID, name: { type: 'string' } } },
+    patient: { type: 'object', properties: { _id: OBJECT_ID, name: { type: 'string' } } },
+    lastMessage: chat.properties.lastMessage,
+    updatedAt: chat.properties.updatedAt,
+    unreadCount: { type: 'integer' }
+  };
+  delete chat.required;
+
+  const prescription = fromMongooseSchema(Prescription.schema);
+  prescription.properties.downloadUrl = { type: 'string', format: 'uri' };
+
+  return {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: { code: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          total: { type: 'integer' },
+          totalPages: { type: 'integer' }
+        }
+      },
+      TokenResponse: {
+        type: 'object',
+        required: ['tokenType', 'accessToken', 'expiresIn', 'refreshToken'],
+        properties: {
+          tokenType: { type: 'string', enum: ['Bearer'] },
+          accessToken: { type: 'string' },
+          expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' },
+          refreshToken: { type: 'string' },
+          user: {
+            type: 'object',
+            properties: {
+              id: OBJECT_ID,
+              role: { type: 'string', enum: ['patient', 'doctor'] },
+              name: { type: 'string' },
+              email: { type: 'string', format: 'email' }
+            }
+          }
+        }
+      },
+      Doctor: fromMongooseSchema(Doctor.schema, { fields: DOCTOR_PUBLIC_FIELDS }),
+      Slot: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', format: 'date' },
+          startTime: { type: 'string', example: '09:30' },
+          endTime: { type: 'string', example: '10:00' },
+          hospital: { type: 'string' },
+          hospitalLocation: fromMongooseSchema(Doctor.schema.path('timeSlots').schema, { fields: ['hospitalLocation'] })
+            .properties.hospitalLocation
+        }
+      },
+      Booking: booking,
+      Chat: chat,
+      Message: fromMongooseSchema(Message.schema),
+      Prescription: prescription,
+      Notification: fromMongooseSchema(Notification.schema),
+      DoctorSearchResult: {
+        type: 'object',
+        properties: {
+          _id: OBJECT_ID,
+          name: { type: 'string' },
+          speciality: { type: 'array', items: { type: 'string' } },
+          rating: { type: 'number' },
+          availability: { type: 'string' },
+          city: { type: 'array', items: { type: 'string' } },
+          state: { type: 'array', items: { type: 'string' } },
+          country: { type: 'array', items: { type: 'string' } },
+          hospitals: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    responses: {
+      ValidationFailed: json(ref('Error'), 'The request failed validation'),
+      Unauthorized: json(ref('Error'), 'Missing, invalid or expired access token'),
+      Forbidden: json(ref('Error'), 'Not available for the caller\'s role'),
+      NotFound: json(ref('Error'), 'Not found, or not owned by the caller'),
+      Conflict: json(ref('Error'), 'The change conflicts with the current state'),
+      RateLimited: json(ref('Error'), 'Too many attempts; see the Retry-After header')
+    }
+  };
+}
+
+const stringList = json({ type: 'array', items: { type: 'string' } });
+
+// Doctor lookups that predate /api/v1 and answer without authentication.
+const lookupPaths = {
+  '/auth/search-doctors': {
+    get: {
+      tags: ['Search'],
+      summary: 'Search verified doctors with free slots',
+      parameters: ['what', 'where', 'country', 'state', 'city', 'speciality', 'conditions', 'languages', 'gender',
+        'availability', 'dateAvailability', 'consultation'].map(name => queryParam(name)),
+      responses: { 200: json({ type: 'array', items: ref('DoctorSearchResult') }) }
+    }
+  },
+  '/auth/countries': { get: { tags: ['Search'], summary: 'Countries with free slots', responses: { 200: stringList } } },
+  '/auth/states': { get: { tags: ['Search'], summary: 'States with free slots', responses: { 200: stringList } } },
+  '/auth/cities': { get: { tags: ['Search'], summary: 'Cities with free slots', responses: { 200: stringList } } },
+  '/auth/hospitals': { get: { tags: ['Search'], summary: 'Hospitals with free slots', responses: { 200: stringList } } },
+  '/auth/languages': { get: { tags: ['Search'], summary: 'Languages spoken by doctors', responses: { 200: stringList } } },
+  '/auth/specialities': { get: { tags: ['Search'], summary: 'Doctor specialities', responses: { 200: stringList } } },
+  '/auth/conditions': { get: { tags: ['Search'], summary: 'Conditions doctors treat', responses: { 200: stringList } } },
+  '/auth/what-options': {
+    get: {
+      tags: ['Search'],
+      summary: 'Suggestions for the "what" search box',
+      responses: {
+        200: json({
+          type: 'object',
+          properties: {
+            specialities: { type: 'array', items: { type: 'string' } },
+            conditions: { type: 'array', items: { type: 'string' } },
+            doctors: { type: 'array', items: { type: 'string' } }
+          }
+        })
+      }
+    }
+  },
+  '/auth/where-options': {
+    get: {
+      tags: ['Search'],
+      summary: 'Suggestions for the "where" search box',
+      responses: {
+        200: json({
+          type: 'object',
+          properties: {
+            cities: { type: 'array', items: { type: 'string' } },
+            states: { type: 'array', items: { type: 'string' } },
+            countries: { type: 'array', items: { type: 'string' } }
+          }
+        })
+      }
+    }
+  }
+};
+
+const apiPaths = {
+  '/api/v1/auth/token': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Log in or refresh tokens',
+      description: 'grantType "password" needs email and password (and code when two-factor authentication is on). ' +
+        'Accounts that must use two-factor authentication get a 403 until they have set it up on the website. ' +
+        'grantType "refresh_token" exchanges a refresh token for new tokens; the old refresh token stops working.',
+      requestBody: body({
+        type: 'object',
+        required: ['grantType'],
+        properties: {
+          grantType: { type: 'string', enum: ['password', 'refresh_token'] },
+          email: { type: 'string', format: 'email' },
+          password: { type: 'string' },
+          code: { type: 'string', description: 'Authenticator app code' },
+          refreshToken: { type: 'string' }
+        }
+      }),
+      responses: {
+        200: json(ref('TokenResponse')),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        422: error('ValidationFailed'),
+        429: error('RateLimited')
+      }
+    }
+  },
+  '/api/v1/auth/logout': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Revoke a refresh token and every token rotated from the same login',
+      requestBody: body({ type: 'object', required: ['refreshToken'], properties: { refreshToken: { type: 'string' } } }),
+      responses: { 204: { description: 'Revoked' }, 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/doctors': {
+    get: {
+      tags: ['Doctors'],
+      summary: 'Search verified doctors',
+      parameters: [
+        ...pageParams,
+        queryParam('q', { type: 'string' }, 'Part of the doctor\'s name'),
+        queryParam('speciality'),
+        queryParam('country'),
+        queryParam('state'),
+        queryParam('city'),
+        queryParam('language'),
+        queryParam('gender'),
+        queryParam('consultation', { type: 'string', enum: ['In-person', 'Video call'] }),
+        queryParam('sort', { type: 'string', enum: ['mostReviewed', 'highestRated', 'mostViewed'] })
+      ],
+      responses: { 200: json(pageOf(ref('Doctor'))), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/doctors/{id}': {
+    get: {
+      tags: ['Doctors'],
+      summary: 'Get a verified doctor',
+      parameters: [idParam],
+      responses: { 200: json(dataOf(ref('Doctor'))), 404: error('NotFound'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/doctors/{id}/slots': {
+    get: {
+      tags: ['Doctors'],
+      summary: 'List a doctor\'s free slots',
+      parameters: [
+        idParam,
+        queryParam('from', { type: 'string', format: 'date' }),
+        queryParam('to', { type: 'string', format: 'date' })
+      ],
+      responses: { 200: json(dataOf({ type: 'array', items: ref('Slot') })), 404: error('NotFound'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/bookings': {
+    get: {
+      tags: ['Bookings'],
+      summary: 'List the caller\'s bookings',
+      security: secured,
+      parameters: [...pageParams, queryParam('status', fromSchemaType(Booking.schema.path('status')))],
+      responses: { 200: json(pageOf(ref('Booking'))), 401: error('Unauthorized'), 422: error('ValidationFailed') }
+    },
+    post: {
+      tags: ['Bookings'],
+      summary: 'Book a free slot (patients)',
+      security: secured,
+      requestBody: body({
+        type: 'object',
+        required: ['doctorId', 'date', 'startTime', 'consultationType'],
+        properties: {
+          doctorId: OBJECT_ID,
+          date: { type: 'string', format: 'date' },
+          startTime: { type: 'string', example: '09:30' },
+          consultationType: fromSchemaType(Booking.schema.path('consultationType'))
+        }
+      }),
+      responses: {
+        201: json(dataOf(ref('Booking')), 'Created'),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        404: error('NotFound'),
+        409: error('Conflict'),
+        422: error('ValidationFailed')
+      }
+    }
+  },
+  '/api/v1/bookings/{id}': {
+    get: {
+      tags: ['Bookings'],
+      summary: 'Get one of the caller\'s bookings',
+      security: secured,
+      parameters: [idParam],
+      responses: { 200: json(dataOf(ref('Booking'))), 401: error('Unauthorized'), 404: error('NotFound'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/bookings/{id}/cancel': {
+    post: {
+      tags: ['Bookings'],
+      summary: 'Cancel a booking',
+      security: secured,
+      parameters: [idParam],
+      requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } } },
+      responses: {
+        200: json(dataOf(ref('Booking'))),
+        401: error('Unauthorized'),
+        404: error('NotFound'),
+        409: error('Conflict'),
+        422: error('ValidationFailed')
+      }
+    }
+  },
+  '/api/v1/bookings/{id}/status': {
+    patch: {
+      tags: ['Bookings'],
+      summary: 'Accept, reject or complete a booking (doctors)',
+      security: secured,
+      parameters: [idParam],
+      requestBody: body({
+        type: 'object',
+        required: ['status'],
+        properties: { status: fromSchemaType(Booking.schema.path('status')), reason: { type: 'string' } }
+      }),
+      responses: {
+        200: json(dataOf(ref('Booking'))),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        404: error('NotFound'),
+        409: error('Conflict'),
+        422: error('ValidationFailed')
+      }
+    }
+  },
+  '/api/v1/chats': {
+    get: {
+      tags: ['Chats'],
+      summary: 'List the caller\'s chat threads, most recent first',
+      security: secured,
+      parameters: pageParams,
+      responses: { 200: json(pageOf(ref('Chat'))), 401: error('Unauthorized'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/chats/{id}/messages': {
+    get: {
+      tags: ['Chats'],
+      summary: 'List messages, oldest first',
+      description: 'Pass the returned nextCursor as `before` to load older messages.',
+      security: secured,
+      parameters: [
+        idParam,
+        queryParam('before', OBJECT_ID),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 30 })
+      ],
+      responses: {
+        200: json({
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: ref('Message') },
+            pagination: { type: 'object', properties: { nextCursor: { ...OBJECT_ID, nullable: true } } }
+          }
+        }),
+        401: error('Unauthorized'),
+        404: error('NotFound'),
+        422: error('ValidationFailed')
+      }
+    },
+    post: {
+      tags: ['Chats'],
+      summary: 'Send a message',
+      security: secured,
+      parameters: [idParam],
+      requestBody: body({ type: 'object', required: ['text'], properties: { text: { type: 'string', maxLength: 5000 } } }),
+      responses: { 201: json(dataOf(ref('Message')), 'Created'), 401: error('Unauthorized'), 404: error('NotFound'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/chats/{id}/read': {
+    post: {
+      tags: ['Chats'],
+      summary: 'Mark the other participant\'s messages as read',
+      security: secured,
+      parameters: [idParam],
+      responses: { 204: { description: 'Marked read' }, 401: error('Unauthorized'), 404: error('NotFound'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/prescriptions': {
+    get: {
+      tags: ['Prescriptions'],
+      summary: 'List prescriptions written for (patients) or by (doctors) the caller',
+      security: secured,
+      parameters: pageParams,
+      responses: { 200: json(pageOf(ref('Prescription'))), 401: error('Unauthorized'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/prescriptions/{id}': {
+    get: {
+      tags: ['Prescriptions'],
+      summary: 'Get a prescription',
+      security: secured,
+      parameters: [idParam],
+      responses: { 200: json(dataOf(ref('Prescription'))), 401: error('Unauthorized'), 404: error('NotFound'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/notifications': {
+    get: {
+      tags: ['Notifications'],
+      summary: 'List the caller\'s notifications, newest first',
+      security: secured,
+      parameters: [...pageParams, queryParam('unread', { type: 'boolean' })],
+      responses: { 200: json(pageOf(ref('Notification'))), 401: error('Unauthorized'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/notifications/{id}': {
+    delete: {
+      tags: ['Notifications'],
+      summary: 'Delete a notification',
+      security: secured,
+      parameters: [idParam],
+      responses: { 204: { description: 'Deleted' }, 401: error('Unauthorized'), 404: error('NotFound'), 422: error('ValidationFailed') }
+    }
+  },
+  '/api/v1/notifications/{id}/read': {
+    post: {
+      tags: ['Notifications'],
+      summary: 'Mark a notification read',
+      security: secured,
+      parameters: [idParam],
+      responses: { 200: json(dataOf(ref('Notification'))), 401: error('Unauthorized'), 404: error('NotFound'), 422: error('ValidationFailed') }
+    }
+  }
+};
+
+let cached;
+
+function buildOpenApiSpec() {
+  if (!cached) {
+    cached = {
+      openapi: '3.0.3',
+      info: {
+        title: 'Global Wellness Alliance API',
+        version: '1.0.0',
+        description: 'JSON API for the mobile app and partners. Errors always have the shape ' +
+          '`{ "error": { "code", "message" } }`.'
+      },
+      servers: [{ url: process.env.APP_URL || 'http://localhost:3000' }],
+      tags: ['Auth', 'Doctors', 'Bookings', 'Chats', 'Prescriptions', 'Notifications', 'Search'].map(name => ({ name })),
+      paths: { ...apiPaths, ...lookupPaths },
+      components: components()
+    };
+  }
+  return cached;
+}
+
+module.exports = {
+  fromMongooseSchema,
+  buildOpenApiSpec
+};
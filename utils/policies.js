@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Chat = require('../models/Chat');
+const Prescription = require('../models/Prescription');
+const Notification = require('../models/Notification');
+
+// For each resource, the field that names the user a record belongs to,
+// by role. A role that isn't listed can't see any record of that resource.
+const POLICIES = {
+  booking: { model: Booking, owners: { doctor: 'doctor', patient: 'patient' } },
+  chat: { model: Chat, owners: { doctor: 'doctorId', patient: 'patientId' } },
+  prescription: { model: Prescription, owners: { doctor: 'doctorId', patient: 'patientId' } },
+  notification: { model: Notification, owners: { doctor: 'userId', patient: 'userId', admin: 'userId' } }
+};
+
+// The filter limiting a resource to the records `user` may access. Every
+// lookup of these resources, single or list, should include it, so someone
+// else's record looks exactly like one that doesn't exist.
+function scopeFor(resource, user) {
+  const field = user && POLICIES[resource].owners[user.role];
+  return field ? { [field]: user._id } : { _id: { $in: [] } };
+}
+
+// Finds a record by id within the user's scope. Returns a query, so callers
+// can populate or lean it; it resolves to null for malformed ids and for
+// records belonging to someone else.
+function findOwned(resource, id, user) {
+  const { model } = POLICIES[resource];
+  return model.findOne({ _id: mongoose.isValidObjectId(id) ? id : null, ...scopeFor(resource, user) });
+}
+
+// Doctors may see and write prescriptions only for patients who have
+// booked with them.
+async function isDoctorsPatient(doctor, patientId) {
+  if (!mongoose.isValidObjectId(patientId)) {
+    return false;
+  }
+  return !!(await Booking.exists({ ...scopeFor('booking', doctor), patient: patientId }));
+}
+
+module.exports = {
+  scopeFor,
+  findOwned,
+  isDoctorsPatient
+};
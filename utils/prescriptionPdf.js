@@ -0,0 +1,159 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const Booking = require('../models/Booking');
+
+const fontPaths = {
+  regular: path.join(__dirname, '../fonts/Matter-Regular.ttf'),
+  bold: path.join(__dirname, '../fonts/Matter-Bold.ttf'),
+  italic: path.join(__dirname, '../fonts/Matter-RegularItalic.ttf'),
+  boldItalic: path.join(__dirname, '../fonts/Matter-BoldItalic.ttf'),
+  semiBold: path.join(__dirname, '../fonts/Matter-SemiBold.ttf'),
+  medium: path.join(__dirname, '../fonts/Matter-Medium.ttf')
+};
+
+// Streams `prescription` (with doctorId populated) as a PDF download. Callers
+// must already have checked that the current user may see it.
+async function sendPrescriptionPdf(res, prescription) {
+  const doctor = prescription.doctorId;
+  const booking = await Booking.findOne({
+    patient: prescription.patientId,
+    doctor: prescription.doctorId
+  });
+
+  if (!booking) {
+    return res.status(404).send('Booking not found');
+  }
+
+  const hospital = booking.hospital;
+  const doc = new PDFDocument({ margin: 40 });
+  const fileName = `prescription-${prescription._id}.pdf`;
+
+  doc.registerFont('Matter-Regular', fontPaths.regular);
+  doc.registerFont('Matter-Bold', fontPaths.bold);
+  doc.registerFont('Matter-Italic', fontPaths.italic);
+  doc.registerFont('Matter-BoldItalic', fontPaths.boldItalic);
+  doc.registerFont('Matter-SemiBold', fontPaths.semiBold);
+  doc.registerFont('Matter-Medium', fontPaths.medium);
+
+  doc.info.Title = 'E-Prescription';
+  doc.info.Author = 'MedxBay';
+
+  const backgroundColor = '#F4F7FC';
+  const textColor = '#272848';
+  const lineColor = '#b0baca'; 
+
+  const addHeaderFooter = () => {
+    doc.rect(0, 0, doc.page.width, doc.page.height).fill(backgroundColor);
+
+    const logoX = 40;
+    const titleX = 45;
+    const doctorInfoX = 400;
+    const headerY = 40;
+    const watermarkX = (doc.page.width - 225) / 2;
+    const watermarkY = (doc.page.height - 115) / 2;
+
+    doc.opacity(0.08).image('logo.png', watermarkX, watermarkY, { width: 220 }).opacity(1);
+
+    doc.image('logo.png', logoX, headerY, { width: 115 })
+      .font('Matter-Medium')
+      .fontSize(18)
+      .fillColor(textColor)
+      .text('E-Prescription', titleX, headerY, { align: 'center' })
+      .fontSize(10)
+      .font('Matter-Regular')
+      .text('MedxBay', titleX, headerY + 19, { align: 'center' })
+      .font('Matter-Italic')
+      .fontSize(10)
+      .text('Your Trusted Health Partner', titleX, headerY + 31, { align: 'center' })
+      .moveDown(1.5);
+
+    doc.font('Matter-SemiBold').fontSize(12).fillColor(textColor)
+      .text(` ${doctor.name}`, doctorInfoX, headerY, { align: 'right' })
+      .font('Matter-Regular')
+      .text(`${doctor.speciality.join(', ')}`, doctorInfoX, headerY + 15, { align: 'right' })
+      .font('Matter-Italic')
+      .text(`${prescription.doctorEmail}`, doctorInfoX, headerY + 30, { align: 'right' })
+      .moveDown(2);
+
+      doc.fillColor(lineColor).moveTo(40, headerY + 60).lineTo(570, headerY + 60).stroke(lineColor);
+  };
+
+  addHeaderFooter();
+
+  const patientName = `Patient Name: ${prescription.patientName}`;
+  const patientAge = `Patient Age: ${prescription.patientAge}`;
+  const consultationDate = `Consultation Date: ${prescription.meetingDate.toISOString().split('T')[0]}`;
+  const consultationTime = `Consultation Time: ${prescription.meetingTime}`;
+
+  doc.font('Matter-Regular').fontSize(12).fillColor(textColor)
+    .text(patientName, 40)
+    .moveDown(0.5)
+    .text(patientAge)
+    .moveDown(0.5)
+    .text(consultationDate)
+    .moveDown(0.5)
+    .text(consultationTime)
+    .moveDown(1.5);
+
+  doc.fontSize(14).font('Matter-Medium').fillColor(textColor)
+    .text('Medicines', { underline: true })
+    .moveDown()
+    .font('Matter-Regular').fontSize(12);
+
+  const medicineLineSpacing = 0.5;
+  let medicineCount = 0;
+
+  prescription.medicines.forEach((medicine) => {
+    if (medicineCount >= 4 || (doc.y + 60 > doc.page.height - 100)) {
+      doc.addPage();
+      addHeaderFooter();
+      medicineCount = 0;
+    }
+
+    doc.font('Matter-SemiBold').fillColor(textColor)
+      .text(`• Name: ${medicine.name}`)
+      .moveDown(medicineLineSpacing)
+      .font('Matter-Regular')
+      .text(`  - Dosage: ${medicine.dosage}`)
+      .moveDown(medicineLineSpacing)
+      .text(`  - Before Food: ${medicine.beforeFood ? 'Yes' : 'No'}`)
+      .moveDown(medicineLineSpacing)
+      .text(`  - After Food: ${medicine.afterFood ? 'Yes' : 'No'}`)
+      .moveDown(medicineLineSpacing)
+      .text(`  - Timing: Morning: ${medicine.timing.morning ? 'Yes' : 'No'}, Afternoon: ${medicine.timing.afternoon ? 'Yes' : 'No'}, Night: ${medicine.timing.night ? 'Yes' : 'No'}`)
+      .moveDown(1);
+
+    medicineCount++;
+  });
+
+  doc.moveDown(2).font('Matter-SemiBold').fillColor(textColor)
+    .text('Doctor\'s Signature')  
+    .moveDown(0.4)
+    .font('Matter-Italic')
+    .text(doctor.name, { fontSize: 14 }); 
+
+    const footerY = doc.page.height - 90; 
+
+    doc.moveTo(40, footerY).lineTo(570, footerY).stroke();
+
+  doc.y = footerY + 10;
+  doc.moveDown(0.5).font('Matter-Medium').fontSize(12).fillColor(textColor)
+    .text(hospital.name, { align: 'center' })
+    .moveDown(0.4)
+    .font('Matter-Italic').fontSize(10)
+    .text(
+      `${hospital.location.street}, ${hospital.location.city}, ${hospital.location.state}, ${hospital.location.country} - ${hospital.location.zip}`,
+      { align: 'center' }
+    );
+
+  // Streamed straight to the response; never written under public/, which
+  // is served to anyone.
+  res.setHeader('Content-disposition', 'attachment; filename=' + fileName);
+  res.setHeader('Content-type', 'application/pdf');
+  doc.pipe(res);
+  doc.end();
+}
+
+module.exports = {
+  sendPrescriptionPdf
+};
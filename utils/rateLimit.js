@@ -0,0 +1,80 @@
+const RateLimit = require('../models/RateLimit');
+const { ApiError, sendApiError } = require('./apiErrors');
+const { normalizeEmail } = require('./accounts');
+
+// Counts one hit against `key` and reports whether it is still within
+// `limit` hits per `windowMs`. The counter lives in MongoDB so limits hold
+// across restarts and across several app servers.
+async function consume(key, { limit, windowMs }, now = new Date()) {
+  const update = [{
+    $set: {
+      count: { $cond: [{ $gt: ['$expiresAt', now] }, { $add: ['$count', 1] }, 1] },
+      expiresAt: { $cond: [{ $gt: ['$expiresAt', now] }, '$expiresAt', new Date(now.getTime() + windowMs)] }
+    }
+  }];
+
+  let counter;
+  try {
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two first hits raced to insert the counter; the second one retries.
+    if (error.code !== 11000) {
+      throw error;
+    }
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  return {
+    allowed: counter.count <= limit,
+    retryAfterMs: Math.max(counter.expiresAt - now, 0)
+  };
+}
+
+function retryMessage(retryAfterMs) {
+  const minutes = Math.max(Math.ceil(retryAfterMs / 60000), 1);
+  return `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+}
+
+// Express middleware. `key(req)` picks what is counted (the client IP by
+// default); requests it returns nothing for are not counted. Web routes
+// pass `redirectTo` to get a flash message, the JSON API gets a 429.
+function rateLimit({ name, limit, windowMs, key = req => req.ip, redirectTo }) {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await consume(`${name}:${value}`, { limit, windowMs });
+    } catch (error) {
+      // Don't lock everyone out when the counter can't be read.
+      console.error(`Rate limit ${name} failed:`, error.message);
+      return next();
+    }
+
+    if (result.allowed) {
+      return next();
+    }
+
+    res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    if (redirectTo) {
+      req.flash('error_msg', retryMessage(result.retryAfterMs));
+      return res.redirect(redirectTo);
+    }
+    return sendApiError(res, new ApiError(429, 'rate_limited', retryMessage(result.retryAfterMs)));
+  };
+}
+
+// Counts per submitted email address as well as per IP, so one account
+// can't be hammered from many addresses.
+function byEmail(req) {
+  return req.body && req.body.email ? normalizeEmail(req.body.email) : null;
+}
+
+module.exports = {
+  consume,
+  rateLimit,
+  byEmail
+};
@@ -0,0 +1,205 @@
+const moment = require('moment');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const ReminderJob = require('../models/ReminderJob');
+const { getBookingStart } = require('./bookingTime');
+const { formatAddress } = require('./email');
+const { enqueueEmail } = require('./emailOutbox');
+const { postToConversation } = require('./chatMessages');
+
+const REMINDERS = [
+  { kind: '24h', hoursBefore: 24, label: 'tomorrow' },
+  { kind: '1h', hoursBefore: 1, label: 'in one hour' }
+];
+
+const POLL_INTERVAL_MS = 60 * 1000;
+// A job locked for longer than this is assumed to belong to a crashed worker.
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// `booking.doctor` must be populated so that its time zone is used.
+async function scheduleReminders(booking, now = new Date()) {
+  const appointmentAt = getBookingStart(booking);
+
+  for (const reminder of REMINDERS) {
+    const runAt = appointmentAt.clone().subtract(reminder.hoursBefore, 'hours').toDate();
+
+    if (runAt <= now) {
+      continue;
+    }
+
+    try {
+      await ReminderJob.updateOne(
+        {
+          booking: booking._id,
+          kind: reminder.kind,
+          appointmentAt: appointmentAt.toDate(),
+          status: { $in: ['pending', 'skipped'] }
+        },
+        {
+          $set: { runAt, status: 'pending', lockedAt: null },
+          $setOnInsert: { channelsDone: [], attempts: 0 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Duplicate key: this reminder was already sent or failed for good.
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+}
+
+async function cancelReminders(bookingId) {
+  await ReminderJob.updateMany(
+    { booking: bookingId, status: 'pending' },
+    { $set: { status: 'skipped', lockedAt: null } }
+  );
+}
+
+async function claimNextJob(now) {
+  return ReminderJob.findOneAndUpdate(
+    {
+      status: 'pending',
+      runAt: { $lte: now },
+      $or: [
+        { lockedAt: null },
+        { lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+}
+
+// Each channel is recorded as soon as it succeeds, so a retry after a crash
+// or a failure only sends what is still missing.
+async function runChannel(job, channel, send) {
+  if (job.channelsDone.includes(channel)) {
+    return;
+  }
+  await send();
+  await ReminderJob.updateOne({ _id: job._id }, { $addToSet: { channelsDone: channel } });
+  job.channelsDone.push(channel);
+}
+
+async function deliverReminder(job) {
+  const booking = await Booking.findById(job.booking).populate('doctor').populate('patient');
+
+  if (!booking || !booking.doctor || !booking.patient || booking.status !== 'accepted' ||
+      !getBookingStart(booking).isSame(job.appointmentAt) || getBookingStart(booking).isBefore(moment())) {
+    return 'skipped';
+  }
+
+  const { doctor, patient } = booking;
+  const reminder = REMINDERS.find(r => r.kind === job.kind);
+  const when = `${booking.date.toDateString()} at ${booking.time}`;
+  const where = booking.consultationType === 'Video call'
+    ? (booking.meetingLink
+      ? `Join the meeting using the following link: ${booking.meetingLink}`
+      : 'Your doctor will share the meeting link before the appointment.')
+    : `Please visit the hospital at ${booking.hospital.name}, ${booking.hospital.location.city}`;
+  const emailData = {
+    kind: job.kind,
+    date: booking.date,
+    time: booking.time,
+    consultationType: booking.consultationType,
+    meetingLink: booking.meetingLink,
+    address: formatAddress(booking.hospital)
+  };
+
+  if (!patient.reminderOptOut) {
+    const message = `Reminder: your appointment with Dr. ${doctor.name} is ${reminder.label} (${when}). ${where}`;
+
+    await runChannel(job, 'patient-email', () => enqueueEmail('appointment-reminder', {
+      to: patient.email,
+      locale: patient.locale,
+      data: { ...emailData, audience: 'patient', name: patient.name, withName: `Dr. ${doctor.name}` }
+    }));
+    await runChannel(job, 'patient-notification', () => Notification.create({
+      userId: patient._id,
+      message,
+      type: 'reminder',
+      read: false,
+      createdAt: new Date()
+    }));
+    await runChannel(job, 'chat', () => postToConversation(doctor._id, patient._id, doctor._id, message));
+  }
+
+  if (!doctor.reminderOptOut) {
+    const message = `Reminder: your appointment with ${patient.name} is ${reminder.label} (${when}).`;
+
+    await runChannel(job, 'doctor-email', () => enqueueEmail('appointment-reminder', {
+      to: doctor.email,
+      locale: doctor.locale,
+      data: { ...emailData, audience: 'doctor', name: doctor.name, withName: patient.name }
+    }));
+    await runChannel(job, 'doctor-notification', () => Notification.create({
+      userId: doctor._id,
+      message,
+      type: 'reminder',
+      read: false,
+      createdAt: new Date()
+    }));
+  }
+
+  return 'sent';
+}
+
+async function processDueReminders(now = new Date()) {
+  let job;
+
+  while ((job = await claimNextJob(now))) {
+    try {
+      const status = await deliverReminder(job);
+      const update = { status, lockedAt: null };
+      if (status === 'sent') {
+        update.sentAt = new Date();
+      }
+      await ReminderJob.updateOne({ _id: job._id }, { $set: update });
+    } catch (error) {
+      console.error(`Error sending reminder ${job._id}:`, error.message);
+      await ReminderJob.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: job.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+            runAt: moment(now).add(job.attempts * 5, 'minutes').toDate(),
+            lastError: error.message,
+            lockedAt: null
+          }
+        }
+      );
+    }
+  }
+}
+
+// Catches up on accepted bookings that have no reminder jobs yet, e.g. ones
+// accepted before the scheduler existed.
+async function backfillReminders(now = new Date()) {
+  const bookings = await Booking.find({
+    status: 'accepted',
+    date: { $gte: moment.utc(now).startOf('day').toDate() }
+  }).populate('doctor', 'timeZone');
+
+  for (const booking of bookings) {
+    await scheduleReminders(booking, now);
+  }
+}
+
+function startReminderScheduler() {
+  backfillReminders().catch(err => console.error('Error backfilling reminders:', err));
+
+  return setInterval(() => {
+    processDueReminders().catch(err => console.error('Error processing reminders:', err));
+  }, POLL_INTERVAL_MS);
+}
+
+module.exports = {
+  scheduleReminders,
+  cancelReminders,
+  processDueReminders,
+  backfillReminders,
+  startReminderScheduler
+};
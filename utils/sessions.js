@@ -0,0 +1,136 @@
+const LoginSession = require('../models/LoginSession');
+
+// lastSeenAt is written at most this often per session.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function sessionExpiry(req) {
+  return req.session.cookie && req.session.cookie.expires
+    ? req.session.cookie.expires
+    : new Date(Date.now() + 24 * 60 * 60 * 1000);
+}
+
+function destroyStored(store, sessionId) {
+  return new Promise((resolve, reject) => {
+    store.destroy(sessionId, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function storedSessionExists(store, sessionId) {
+  return new Promise((resolve, reject) => {
+    store.get(sessionId, (err, session) => (err ? reject(err) : resolve(!!session)));
+  });
+}
+
+// Gives the browser a fresh session id at login, so an id planted before
+// login can't be used afterwards. Flash messages carry over.
+function regenerateSession(req) {
+  const flash = req.session.flash;
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(err => {
+      if (err) {
+        return reject(err);
+      }
+      req.session.flash = flash;
+      resolve();
+    });
+  });
+}
+
+async function trackSession(req, account) {
+  const now = new Date();
+  req.session.lastSeenAt = now.getTime();
+
+  await LoginSession.create({
+    sessionId: req.sessionID,
+    account: account._id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: sessionExpiry(req)
+  });
+}
+
+// Middleware: keeps lastSeenAt (and the expiry, which rolls with activity)
+// up to date for logged-in browser sessions.
+function touchSession(req, res, next) {
+  const session = req.session;
+  if (!session || session.viaToken || !session.accountId ||
+      Date.now() - (session.lastSeenAt || 0) < TOUCH_INTERVAL_MS) {
+    return next();
+  }
+
+  session.lastSeenAt = Date.now();
+  LoginSession.updateOne(
+    { sessionId: req.sessionID },
+    { $set: { lastSeenAt: new Date(), ip: req.ip, expiresAt: sessionExpiry(req) } }
+  ).catch(err => console.error('Error updating session activity:', err.message));
+  next();
+}
+
+async function forgetSession(sessionId) {
+  await LoginSession.deleteOne({ sessionId });
+}
+
+// Active sessions for an account, most recent first. Index entries whose
+// session has already gone from the store are cleaned up on the way.
+async function listSessions(store, accountId) {
+  const sessions = await LoginSession.find({ account: accountId }).sort({ lastSeenAt: -1 }).lean();
+  const active = [];
+
+  for (const session of sessions) {
+    if (await storedSessionExists(store, session.sessionId)) {
+      active.push(session);
+    } else {
+      await forgetSession(session.sessionId);
+    }
+  }
+  return active;
+}
+
+async function revokeSession(store, accountId, id) {
+  const session = await LoginSession.findOne({ _id: id, account: accountId });
+  if (!session) {
+    return false;
+  }
+
+  await destroyStored(store, session.sessionId);
+  await forgetSession(session.sessionId);
+  return true;
+}
+
+// Ends every session of the account except `exceptSessionId`, e.g. after a
+// password change (keeping the current one) or reset (keeping none).
+async function revokeOtherSessions(store, accountId, exceptSessionId = null) {
+  const sessions = await LoginSession.find({ account: accountId, sessionId: { $ne: exceptSessionId } });
+
+  for (const session of sessions) {
+    await destroyStored(store, session.sessionId);
+    await forgetSession(session.sessionId);
+  }
+  return sessions.length;
+}
+
+// A short "Chrome on Windows" style label for the sessions page.
+function describeDevice(userAgent = '') {
+  const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+  const systems = [['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+  return [browser ? browser[0] : 'Browser', system ? `on ${system[0]}` : ''].join(' ').trim();
+}
+
+module.exports = {
+  regenerateSession,
+  trackSession,
+  touchSession,
+  forgetSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  describeDevice
+};
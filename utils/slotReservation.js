@@ -0,0 +1,53 @@
+const Doctor = require('../models/Doctor');
+
+class SlotUnavailableError extends Error {
+  constructor(message = 'This time slot is no longer available') {
+    super(message);
+    this.name = 'SlotUnavailableError';
+    this.status = 409;
+    this.code = 'slot_unavailable';
+  }
+}
+
+// Flips a free slot to booked in a single conditional update, so only one of
+// several concurrent requests for the same slot can win. `__v` is bumped so
+// that a whole-document `doctor.save()` holding a stale copy of `timeSlots`
+// fails with a VersionError instead of silently freeing the slot again.
+async function reserveSlot(doctorId, date, startTime) {
+  const doctor = await Doctor.findOneAndUpdate(
+    {
+      _id: doctorId,
+      timeSlots: { $elemMatch: { date: new Date(date), startTime, status: 'free' } }
+    },
+    {
+      $set: { 'timeSlots.$.status': 'booked' },
+      $inc: { __v: 1 }
+    },
+    { new: true, projection: { 'timeSlots.$': 1 } }
+  );
+
+  if (!doctor || doctor.timeSlots.length === 0) {
+    throw new SlotUnavailableError();
+  }
+
+  return doctor.timeSlots[0];
+}
+
+async function releaseSlot(doctorId, date, startTime) {
+  await Doctor.updateOne(
+    {
+      _id: doctorId,
+      timeSlots: { $elemMatch: { date: new Date(date), startTime, status: 'booked' } }
+    },
+    {
+      $set: { 'timeSlots.$.status': 'free' },
+      $inc: { __v: 1 }
+    }
+  );
+}
+
+module.exports = {
+  SlotUnavailableError,
+  reserveSlot,
+  releaseSlot
+};
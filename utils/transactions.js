@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Transactions need a replica set; a standalone server (typical for local
+// development) rejects them with IllegalOperation.
+function isUnsupported(error) {
+  return error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+}
+
+let supported = true;
+
+// Runs `fn(session)` inside a transaction so that every write passed the
+// session commits or rolls back together. Where transactions are not
+// available `fn` runs with a null session instead.
+async function withTransaction(fn) {
+  if (!supported) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isUnsupported(error)) {
+      throw error;
+    }
+    console.warn('MongoDB transactions are not supported by this server; writing without them.');
+    supported = false;
+    return fn(null);
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  withTransaction
+};
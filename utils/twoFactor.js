@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+
+const ISSUER = 'Global Wellness Alliance';
+const TWO_FACTOR_ROLES = ['doctor', 'admin'];
+// Roles that must use 2FA whether or not an admin flagged the account.
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(role => TWO_FACTOR_ROLES.includes(role));
+
+const RECOVERY_CODE_COUNT = 10;
+const REMEMBER_DEVICE_DAYS = 30;
+const DEVICE_COOKIE = 'gwa_trusted_device';
+const MAX_CODE_ATTEMPTS = 5;
+
+// Accept the previous and next 30-second step to allow for clock drift.
+authenticator.options = { window: 1 };
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function isTwoFactorRequired(account) {
+  return TWO_FACTOR_ROLES.includes(account.role) &&
+    (account.twoFactor.required || REQUIRED_ROLES.includes(account.role));
+}
+
+function generateSecret() {
+  return authenticator.generateSecret();
+}
+
+async function qrCodeFor(account, secret) {
+  return QRCode.toDataURL(authenticator.keyuri(account.email, ISSUER, secret));
+}
+
+// Returns the time step of a valid code, or null. Codes from a step at or
+// before the last accepted one are rejected.
+function matchCode(secret, code, lastUsedStep) {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) {
+    return null;
+  }
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) {
+    return null;
+  }
+
+  const step = Math.floor(Date.now() / 30000) + delta;
+  return lastUsedStep && step <= lastUsedStep ? null : step;
+}
+
+// Checks a code against the enabled secret and records its step.
+function verifyCode(account, code) {
+  const step = matchCode(account.twoFactor.secret, code, account.twoFactor.lastUsedStep);
+  if (step === null) {
+    return false;
+  }
+  account.twoFactor.lastUsedStep = step;
+  return true;
+}
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hash(code)) };
+}
+
+// Consumes a recovery code; each one works once.
+function useRecoveryCode(account, code) {
+  const codeHash = hash(String(code || '').trim().toLowerCase());
+  const index = account.twoFactor.recoveryCodes.indexOf(codeHash);
+  if (index === -1) {
+    return false;
+  }
+  account.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const pair = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function isTrustedDevice(req, account) {
+  const token = readCookie(req, DEVICE_COOKIE);
+  if (!token) {
+    return false;
+  }
+  const tokenHash = hash(token);
+  return account.trustedDevices.some(device => device.tokenHash === tokenHash && device.expiresAt > new Date());
+}
+
+// Lets this browser skip the second step for REMEMBER_DEVICE_DAYS. Only a
+// hash of the cookie value is stored.
+function rememberDevice(req, res, account) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const maxAge = REMEMBER_DEVICE_DAYS * 24 * 60 * 60 * 1000;
+
+  account.trustedDevices = account.trustedDevices.filter(device => device.expiresAt > new Date());
+  account.trustedDevices.push({
+    tokenHash: hash(token),
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + maxAge)
+  });
+
+  res.cookie(DEVICE_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge
+  });
+}
+
+function forgetDevices(res, account) {
+  account.trustedDevices = [];
+  res.clearCookie(DEVICE_COOKIE);
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  MAX_CODE_ATTEMPTS,
+  REMEMBER_DEVICE_DAYS,
+  isTwoFactorRequired,
+  generateSecret,
+  qrCodeFor,
+  matchCode,
+  verifyCode,
+  generateRecoveryCodes,
+  useRecoveryCode,
+  isTrustedDevice,
+  rememberDevice,
+  forgetDevices
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { findOwned } = require('./policies');
+const { getBookingStart, getBookingEnd } = require('./bookingTime');
+
+// Participants may enter a little before the slot starts and stay a little
+// after it ends, so a consultation that overruns is not cut off.
+const OPEN_MINUTES_BEFORE = parseInt(process.env.VIDEO_ROOM_OPEN_MINUTES_BEFORE, 10) || 10;
+const CLOSE_MINUTES_AFTER = parseInt(process.env.VIDEO_ROOM_CLOSE_MINUTES_AFTER, 10) || 30;
+
+const ICE_SERVERS = (process.env.VIDEO_ROOM_ICE_SERVERS || 'stun:stun.l.google.com:19302')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean)
+  .map(urls => ({ urls }));
+
+class RoomAccessError extends Error {
+  constructor(message, status = 403) {
+    super(message);
+    this.name = 'RoomAccessError';
+    this.status = status;
+  }
+}
+
+function roomUrl(baseUrl, bookingId) {
+  return `${baseUrl}/consultation/${bookingId}`;
+}
+
+// The room's opening and closing times, in the doctor's time zone.
+function getRoomWindow(booking) {
+  return {
+    opensAt: getBookingStart(booking).subtract(OPEN_MINUTES_BEFORE, 'minutes'),
+    closesAt: getBookingEnd(booking).add(CLOSE_MINUTES_AFTER, 'minutes')
+  };
+}
+
+function formatRoomTime(time) {
+  return `${time.format('YYYY-MM-DD HH:mm')} (${time.tz()})`;
+}
+
+// Resolves the booking behind a room for a session user, or throws when the
+// user is not the booking's doctor or patient, the booking is not an accepted
+// video consultation, or the room is outside its appointment window.
+async function findRoomBooking(bookingId, user, now = moment()) {
+  if (!user || !mongoose.isValidObjectId(bookingId)) {
+    throw new RoomAccessError('Consultation room not found', 404);
+  }
+
+  const booking = await findOwned('booking', bookingId, user)
+    .populate('doctor', 'name timeZone')
+    .populate('patient', 'name');
+
+  if (!booking || booking.consultationType !== 'Video call') {
+    throw new RoomAccessError('Consultation room not found', 404);
+  }
+
+  if (booking.status !== 'accepted') {
+    throw new RoomAccessError('This consultation is not confirmed');
+  }
+
+  const { opensAt, closesAt } = getRoomWindow(booking);
+
+  if (moment(now).isBefore(opensAt)) {
+    throw new RoomAccessError(`The consultation room opens at ${formatRoomTime(opensAt)}`);
+  }
+
+  if (moment(now).isAfter(closesAt)) {
+    throw new RoomAccessError('This consultation has ended');
+  }
+
+  return booking;
+}
+
+module.exports = {
+  ICE_SERVERS,
+  RoomAccessError,
+  roomUrl,
+  getRoomWindow,
+  formatRoomTime,
+  findRoomBooking
+};